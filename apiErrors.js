@@ -0,0 +1,91 @@
+// Error responses and request validation.
+// Every route answers errors with the same envelope:
+//   { error: 'Readable message', code: 'MACHINE_READABLE_CODE', fields?, details?, timestamp }
+// `fields` lists the problems with a request as { location, path, message, code }, where location
+// is body, query or schedule (stored tasks), path is the field (e.g. jobs[0].location.latitude)
+// and code is the check that failed (a schema keyword such as required, type or format).
+const { validateSchema, formatSchemaErrors } = require('./jsonSchema.js');
+const { FORMATS } = require('./requestSchemas.js');
+
+const ERROR_CODES = {
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  INVALID_JSON: 'INVALID_JSON',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  NOT_FOUND: 'NOT_FOUND',
+  TASK_EXISTS: 'TASK_EXISTS',
+  PLACE_EXISTS: 'PLACE_EXISTS',
+  DEPRECATED_ENDPOINT: 'DEPRECATED_ENDPOINT',
+  TRAVEL_TIME_UNAVAILABLE: 'TRAVEL_TIME_UNAVAILABLE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Helper function to build an error body in the shared envelope
+function buildErrorBody(code, message, { fields, details } = {}) {
+  return {
+    error: message,
+    code,
+    ...(fields && { fields }),
+    ...(details && { details }),
+    timestamp: new Date().toISOString()
+  };
+}
+
+function sendError(res, status, code, message, extra) {
+  return res.status(status).json(buildErrorBody(code, message, extra));
+}
+
+// Send a 400 listing the fields that failed validation
+function sendValidationError(res, fields) {
+  return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, `Invalid request: ${formatSchemaErrors(fields)}`, { fields });
+}
+
+// Helper function to check a value against one of the schemas in requestSchemas.js.
+// Returns field errors tagged with where the value came from.
+function findValidationErrors(schema, value, location, path = '') {
+  return validateSchema(schema, value, path, { formats: FORMATS }).map(error => ({ location, ...error }));
+}
+
+// Middleware validating the request body and/or query string before the handler runs
+function validateRequest({ body, query } = {}) {
+  return (req, res, next) => {
+    const fields = [
+      ...(body ? findValidationErrors(body, req.body ?? {}, 'body') : []),
+      ...(query ? findValidationErrors(query, req.query, 'query') : [])
+    ];
+    if (fields.length > 0) {
+      return sendValidationError(res, fields);
+    }
+    next();
+  };
+}
+
+// Answer requests that matched no route
+function notFoundHandler(req, res) {
+  sendError(res, 404, ERROR_CODES.NOT_FOUND, `Cannot ${req.method} ${req.path}`);
+}
+
+// Last-resort error handler: malformed JSON bodies and anything a route did not catch
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, ERROR_CODES.INVALID_JSON, 'Request body is not valid JSON', { details: error.message });
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 413, ERROR_CODES.PAYLOAD_TOO_LARGE, 'Request body is too large');
+  }
+  console.error('Unhandled error:', error);
+  sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error', { details: error.message });
+}
+
+module.exports = {
+  ERROR_CODES,
+  buildErrorBody,
+  sendError,
+  sendValidationError,
+  findValidationErrors,
+  validateRequest,
+  notFoundHandler,
+  errorHandler
+};
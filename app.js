@@ -0,0 +1,1653 @@
+const express = require('express');
+const { Client } = require('@googlemaps/google-maps-services-js');
+const { DEFAULT_PLACES } = require('./data.js');
+const { findPlace, getPlacePoint, rankByDistance } = require('./places.js');
+const { createPlaceStore } = require('./placeStore.js');
+const { solveRoute } = require('./routeSolver.js');
+const { getJobTimeWindow, validateJobTimeWindows, hasTimeWindows } = require('./timeWindows.js');
+const { formatDurationText, formatDistanceText, getTravelTimeProvider, createBatchedTravelTimeProvider } = require('./travelTime.js');
+const { mapWithConcurrency, withTimeout } = require('./concurrency.js');
+const { createScheduleStore } = require('./scheduleStore.js');
+const { CHAT_TOOLS, parseToolCalls, resolveToolDates } = require('./chatTools.js');
+const { checkTaskConflicts, formatClockTime } = require('./conflicts.js');
+const { formatChatDate, flattenSchedule } = require('./chatDates.js');
+const { TASK_TYPES, parseChatTime, parseDurationMinutes, buildZonedISO, getTaskStartMinutes, getTaskDate, getNextTaskId, applyTaskOperation } = require('./taskOperations.js');
+const { DEFAULT_TIMEZONE, getTodayInTimezone, parseTimestamp, getLocalDate, zonedTimeToInstant, formatInstant } = require('./timezone.js');
+const { wantsEventStream, openEventStream } = require('./chatStream.js');
+const { getLlmProvider } = require('./llmProvider.js');
+const { parseDate, getJobDurationMinutes, scheduleOptimizedJobs } = require('./scheduling.js');
+const { DEFAULT_MAX_JOBS_PER_DAY, planDays } = require('./dayPlanner.js');
+const { DEFAULT_CALENDAR, resolveCalendar, getDayOffReason } = require('./workingCalendar.js');
+const { DEFAULT_BUFFER_RULES, resolveBufferRules, getBufferMinutes } = require('./bufferRules.js');
+const { splitRemainingJobs, getDepartureMinutes, findDelayedJobs } = require('./replan.js');
+const { resolveTechnicians, assignJobs } = require('./dispatch.js');
+const { DEFAULT_FUEL_COST_PER_KM, summarizeRoute, compareWithOriginalOrder, combineRouteSummaries } = require('./routeSummary.js');
+const { isMultiDayJob, mergeSegments } = require('./jobSegments.js');
+const { ERROR_CODES, buildErrorBody, sendError, sendValidationError, findValidationErrors, validateRequest, notFoundHandler, errorHandler } = require('./apiErrors.js');
+const { CHAT_BODY_SCHEMA, OPTIMIZE_ROUTE_BODY_SCHEMA, REPLAN_ROUTE_BODY_SCHEMA, DISPATCH_BODY_SCHEMA, OPTIMIZE_MULTI_DAY_BODY_SCHEMA, ADD_SCHEDULE_BODY_SCHEMA, UPDATE_SCHEDULE_BODY_SCHEMA, SCHEDULE_QUERY_SCHEMA, ADD_PLACE_BODY_SCHEMA, UPDATE_PLACE_BODY_SCHEMA } = require('./requestSchemas.js');
+
+// Routes are registered on a router; createApp mounts it with the services
+// (LLM provider, Google Maps client, schedule and place stores) handlers read from req.app.locals
+const router = express.Router();
+
+// How long a route explanation may take before the solver's own explanation is used
+const ROUTE_EXPLANATION_TIMEOUT_MS = 10000;
+
+// Days a multi-day optimization works on at once, and how long into the run it still
+// asks the AI to explain a day's route (later days get the solver's explanation)
+const MULTI_DAY_CONCURRENCY = 4;
+const MULTI_DAY_EXPLANATION_BUDGET_MS = 20000;
+
+// Technicians /optimize-dispatch routes at once
+const DISPATCH_CONCURRENCY = 4;
+
+// Most places offered when a chat location matches several
+const MAX_LOCATION_OPTIONS = 5;
+
+// Note: Schedules can be passed in requests, or stored server-side per user and
+// loaded by passing userId (body, query or X-User-Id header)
+
+// Helper function to get the user id for schedule storage from a request
+function getUserId(req) {
+  return req.get('x-user-id') || req.query.userId || req.body?.userId || null;
+}
+
+// Helper function to answer a request that needs a user id but has none
+function sendUserIdRequired(res) {
+  return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'userId is required', {
+    fields: [{ location: 'request', path: 'userId', message: 'is required (body, query or X-User-Id header)', code: 'required' }]
+  });
+}
+
+// User ids key the per-user maps in the schedule and place stores, so names that would
+// reach an object's prototype are refused
+const RESERVED_USER_IDS = ['__proto__', 'constructor', 'prototype'];
+
+// Helper function to answer a request whose user id can't be used
+function sendUserIdInvalid(res) {
+  return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'userId is not allowed', {
+    fields: [{ location: 'request', path: 'userId', message: `must not be one of ${RESERVED_USER_IDS.join(', ')}`, code: 'reserved' }]
+  });
+}
+
+// Middleware refusing reserved user ids before any route uses them
+function rejectReservedUserIds(req, res, next) {
+  const userId = getUserId(req);
+  if (userId !== null && RESERVED_USER_IDS.includes(String(userId))) {
+    return sendUserIdInvalid(res);
+  }
+  next();
+}
+
+// Helper function to resolve a request's working calendar.
+// Returns { calendar } or { errors } when its hours leave no time to work.
+function resolveRequestCalendar(body) {
+  const calendar = resolveCalendar(body.calendar);
+  if (calendar.workingMinutes <= 0) {
+    return {
+      errors: [{ location: 'body', path: 'calendar.dayEnd', message: 'must leave working time after dayStart and the lunch break', code: 'calendar' }]
+    };
+  }
+  return { calendar };
+}
+
+// Helper function to get where a request's routes end: endLocation, back at the
+// startLocation with returnToStart, or nowhere (null, an open-ended route).
+// Returns { endLocation } or { errors }.
+function resolveEndLocation(body) {
+  const { startLocation, endLocation, returnToStart } = body;
+  if (returnToStart && endLocation) {
+    return { errors: [{ location: 'body', path: 'returnToStart', message: 'cannot be used with endLocation', code: 'conflict' }] };
+  }
+  if (returnToStart && !startLocation) {
+    return { errors: [{ location: 'body', path: 'returnToStart', message: 'needs a startLocation to return to', code: 'required' }] };
+  }
+  return { endLocation: returnToStart ? startLocation : endLocation || null };
+}
+
+// Helper function to fetch the travel matrix for a day: rows are the start and each job,
+// columns each job and then the end location when the route has one
+function getRouteMatrix(provider, origin, destinations, endLocation) {
+  const points = destinations.map(d => ({ lat: d.lat, lng: d.lng }));
+  return provider.getDistanceMatrix(
+    [origin, ...points],
+    endLocation ? [...points, { lat: endLocation.lat, lng: endLocation.lng }] : points
+  );
+}
+
+// Helper function to work out a day's route metrics, with the saving over driving
+// to the jobs in the order they came in (see routeSummary.js)
+function buildRouteSummary(scheduledJobs, breaks, routeRecommendation, matrix, destinations, { endLocation, timezone, fuelCostPerKm }) {
+  const options = { hasEndLocation: Boolean(endLocation), timezone, breaks, fuelCostPerKm };
+  return {
+    ...summarizeRoute(scheduledJobs, matrix, destinations, options),
+    comparison: compareWithOriginalOrder(routeRecommendation.optimizedRoute.map(index => index - 1), matrix, destinations, options)
+  };
+}
+
+// Helper function to check the jobs an optimization will route, whether they came
+// from the request body or the user's stored schedule. Jobs spanning several days
+// can only be planned by the multi-day optimizer.
+function findJobErrors(jobsSchema, jobs, fromBody, timezone, { allowMultiDay = false } = {}) {
+  const location = fromBody ? 'body' : 'schedule';
+  const errors = findValidationErrors(jobsSchema, jobs, location, 'jobs');
+  if (errors.length > 0) return errors;
+
+  if (!allowMultiDay) {
+    jobs.forEach((job, index) => {
+      if (isMultiDayJob(job)) {
+        errors.push({ location, path: `jobs[${index}].duration.days`, message: 'spans several days; plan it with /optimize-multi-day-route', code: 'multiDay' });
+      }
+    });
+  }
+
+  return [...errors, ...validateJobTimeWindows(jobs, timezone).map(error => ({ location, ...error }))];
+}
+
+router.get('/hello-world', (req, res) => {
+  res.json({
+    message: 'Hello World!',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Helper function to get one assistant message for a chat use case.
+// When events is set the reply is streamed, sending its text as "token" events.
+async function completeChat(llm, useCase, params, events) {
+  return llm.complete(useCase, params, events ? { onText: text => events.send('token', { text }) } : {});
+}
+
+// Chat endpoint for schedule management.
+// Send "Accept: text/event-stream" (or use /chat/stream) to get the reply as Server-Sent Events.
+router.post('/chat', validateRequest({ body: CHAT_BODY_SCHEMA }), (req, res) => handleChat(req, res, wantsEventStream(req)));
+router.post('/chat/stream', validateRequest({ body: CHAT_BODY_SCHEMA }), (req, res) => handleChat(req, res, true));
+
+async function handleChat(req, res, streaming) {
+  const { llm, scheduleStore, placeStore, googleMapsClient } = req.app.locals;
+  let events = null;
+
+  try {
+    const { message, conversationHistory = [], autoResolveConflicts = false, timezone = DEFAULT_TIMEZONE } = req.body;
+    const userId = getUserId(req);
+
+    // Relative dates ("tomorrow", "next Tuesday") are resolved against the reference date
+    const referenceDate = req.body.referenceDate || getTodayInTimezone(timezone);
+
+    // Use the schedule from the request (a task list or the days from /optimize-multi-day-route),
+    // or load the user's stored schedule
+    const schedule = req.body.schedule
+      ? flattenSchedule(req.body.schedule)
+      : (userId ? await scheduleStore.getSchedule(userId, { timezone }) : []);
+
+    // Named places the user can refer to, theirs first so they can shadow the built-in ones
+    const places = [...(userId ? await placeStore.getPlaces(userId) : []), ...DEFAULT_PLACES];
+
+    // New tasks without a date go on the schedule's first day, or the reference date
+    const scheduleDates = [...new Set(schedule.map(task => getTaskDate(task, timezone)).filter(Boolean))].sort();
+    const defaultDate = scheduleDates[0] || referenceDate;
+
+    // System prompt for the schedule management chatbot
+    const systemPrompt = `You are a friendly intelligent schedule management assistant who always responds in English. The user has a schedule of appointments and tasks over one or more days. Your job is to help them modify their schedule by adding new tasks and by changing, moving, cancelling or swapping existing ones.
+
+CRITICAL: Before doing anything else, examine the user's exact message word by word to identify:
+- If "from [PLACE]" appears → LOCATION = [PLACE]
+- If "at [TIME]" appears → TIME = [TIME]
+- If "pickup", "drop-off", "materials", etc. appear → PURPOSE = [obvious activity]
+
+User message: "${message}"
+Now parsing this exact message for TIME, LOCATION, PURPOSE...
+
+Today is ${formatChatDate(referenceDate)} (${timezone}).
+
+Current Schedule:
+${scheduleDates.map(date => `${formatChatDate(date)} (${date}):\n${schedule
+      .filter(task => getTaskDate(task, timezone) === date)
+      .map(task => {
+        const startTime = formatClockTime(getTaskStartMinutes(task.startDate, timezone));
+        const endTime = formatClockTime(getTaskStartMinutes(task.endDate, timezone));
+        return `- [id ${task.id}] ${startTime}-${endTime}: ${task.title} at ${task.location?.formattedAddress || 'Location TBD'}`;
+      }).join('\n')}`).join('\n\n') || '(nothing scheduled yet)'}
+
+Saved places (use the name as the location when the user means one): ${places.map(place => place.name).join(', ')}
+
+When a user wants to add a new task, you MUST have these three pieces of information before adding:
+1. TIME - A specific time (e.g., "2pm", "around midday", "10:30 AM")
+2. LOCATION - Any address, business name, or location (the system will automatically look it up and get coordinates)
+3. PURPOSE/DESCRIPTION - What they need to do there
+
+TONE AND COMMUNICATION:
+- Be casual, friendly, and supportive - you're helping busy tradies get organized
+- Never show frustration or be rude - always stay polite and helpful
+- Use language that's natural and easy to understand
+- Be encouraging and positive in your responses
+- Acknowledge their hard work and busy schedules
+
+SMART PURPOSE INFERENCE AND COMPLETE REQUEST PARSING:
+
+FIRST, PARSE THE FULL REQUEST - Look for TIME, LOCATION, and PURPOSE in every message:
+  * Time indicators: "at 2pm", "around 3", "5:30", "midday", "morning", "afternoon"
+  * Location indicators:
+    - ANY phrase with "from [place]" → LOCATION = [place]
+    - ANY phrase with "at [place]" → LOCATION = [place]
+    - ANY phrase with "to [place]" → LOCATION = [place]
+    - Business names: "Bunnings", "McDonald's", "Woolworths", "Coles", "Officeworks", "Mitre 10"
+    - School names: "Oakhill College", "St Mary's Primary", "[Name] School"
+    - Addresses: "123 Main St", "45 Victoria Road"
+    - Generic locations: "the bank", "post office", "pharmacy"
+  * Purpose indicators: activity names that make the purpose obvious
+
+OBVIOUS ACTIVITIES - PURPOSE IS CLEAR:
+  * "school pickup" → purpose: "school pickup"
+  * "school drop-off" → purpose: "school drop-off"
+  * "pick up materials" → purpose: "material pickup"
+  * "get groceries" → purpose: "grocery shopping"
+  * "get lunch" or "lunch" → purpose: "lunch break"
+  * "fuel up" → purpose: "refuel vehicle"
+  * "go to the bank" → purpose: "banking"
+  * "site visit" or "job site" → purpose: "site inspection"
+  * "post office" → purpose: "postal services"
+  * "pharmacy" → purpose: "prescription/medical supplies"
+
+CRITICAL PARSING EXAMPLES - FOLLOW EXACTLY:
+
+REQUEST: "I need to pick up materials from Bunnings at 2pm"
+PARSING STEP BY STEP:
+1. Find TIME: "at 2pm" ✓
+2. Find LOCATION: "from Bunnings" = Bunnings ✓
+3. Find PURPOSE: "pick up materials" = material pickup ✓
+ALL THREE FOUND → CREATE TASK NOW!
+Call add_task with {"title": "Material pickup", "location": "Bunnings", "startTime": "2:00 PM", "duration": "30 minutes", "description": "material pickup", "type": "Task"}
+
+REQUEST: "school pickup at 3:15 from Oakhill College"
+PARSE: ✓ TIME: "at 3:15" ✓ LOCATION: "Oakhill College" ✓ PURPOSE: "school pickup"
+ACTION: CREATE TASK IMMEDIATELY with the add_task tool
+
+REQUEST: "I need to do a school pickup"
+PARSE: ✗ TIME: missing ✗ LOCATION: missing ✓ PURPOSE: "school pickup"
+ACTION: Ask "When and where do you need to do the school pickup?"
+
+REQUEST: "pick up materials at 2pm"
+PARSE: ✓ TIME: "at 2pm" ✗ LOCATION: missing ✓ PURPOSE: "material pickup"
+ACTION: Ask "Where do you need to pick up materials at 2pm?"
+
+IF YOU HAVE ALL THREE (TIME + LOCATION + PURPOSE), YOU MUST CREATE A TASK IMMEDIATELY.
+
+STRICT RULES:
+- Accept any location - addresses, business names, landmarks, etc.
+- NEVER ask for purpose if it's obvious from the activity mentioned
+- Ask for missing info casually - use "when and where" not "TIME and LOCATION"
+- Don't add a task until you have time, location, and purpose (inferred or explicit)
+- Estimate duration if not provided (30-60 minutes for errands, etc.)
+- If the user doesn't mention a day, the task goes on ${formatChatDate(defaultDate)} (${defaultDate})
+- If the user mentions a day ("tomorrow", "next Tuesday", "Friday arvo", "21/10"), pass it in the "date" field exactly as they said it or as YYYY-MM-DD
+- Make sure times don't conflict with existing tasks - the system also checks overlaps and drive times, and will tell you if a task could not be added
+- If the system says a location could be several places (or could not be found), ask the user which one they mean and don't say the task was added
+
+MANDATORY CONSTRAINTS FOR TASK CREATION:
+- The "type" field can ONLY be one of these three values: "Task", "Quote inspection", or "Job on site"
+- Determine the type based on context: "Task" for personal errands, "Quote inspection" for estimates/quotes, "Job on site" for actual work
+- When the schedule covers several days, always pass "date" (and "taskDate" when referring to an existing task by title or time) so the right day is used
+- You must include the "type" field when calling add_task
+
+CRITICAL TASK CREATION RULE - MUST FOLLOW EXACTLY:
+
+NEVER say "I've added", "I've scheduled", "Great! I've added", or any variation claiming you created a task UNLESS you call the add_task tool in the same reply.
+
+ONLY when you have TIME, SPECIFIC LOCATION, and PURPOSE, call add_task and also reply with a short message such as:
+Perfect! I've added [task] to your schedule at [time]. [friendly comment]
+
+If you don't have all 3 pieces, just ask for what's missing - don't claim you've added anything!
+
+CHANGING EXISTING TASKS:
+Use update_task, move_task, delete_task and swap_tasks to change the schedule. Call one tool per change.
+Refer to existing tasks by "taskId" (the id shown in the schedule above) whenever you can. Otherwise use "taskTitle" (part of the title) or "taskStartTime" (e.g. "2:00 PM").
+
+Examples:
+- "push my 2pm back an hour" → move_task {"taskStartTime": "2:00 PM", "shiftMinutes": 60}
+- "cancel the Bunnings run" → delete_task {"taskTitle": "Bunnings"}
+- "make the quote at Ryde 90 minutes" → update_task {"taskTitle": "quote Ryde", "duration": "90 minutes"}
+- "swap my first two jobs" → swap_tasks {"firstTaskId": 2, "secondTaskId": 5}
+
+If it's unclear which task they mean, ask which one before making the change. Never claim you've changed, moved or cancelled anything without calling the matching tool, and always include a short friendly reply alongside your tool calls.`;
+
+    // Build conversation messages - convert chat format to OpenAI format
+    const convertedHistory = conversationHistory.map(msg => ({
+      role: msg.author?.id === 'trav-chat-service' ? 'assistant' : 'user',
+      content: msg.text
+    }));
+
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      ...convertedHistory,
+      { role: 'user', content: message }
+    ];
+
+    // From here on a streamed request gets its reply, and any error, as events
+    if (streaming) {
+      events = openEventStream(res);
+    }
+
+    let assistantReply = await completeChat(llm, 'chat', {
+      messages: messages,
+      tools: CHAT_TOOLS,
+      max_tokens: 800,
+      temperature: 0.7
+    }, events);
+    let { operations, invalid } = parseToolCalls(assistantReply.tool_calls);
+
+    // Debug logging
+    console.log('LLM Response:', assistantReply.content, assistantReply.tool_calls || []);
+
+    // Give the model one chance to fix invalid tool arguments
+    if (invalid.length > 0) {
+      console.warn('Invalid tool calls, retrying:', invalid);
+
+      const feedback = invalid.map(call => `${call.name}: ${call.error}`).join('\n');
+      events?.send('reset', { reason: 'retry' });
+      assistantReply = await completeChat(llm, 'chat', {
+        messages: [
+          ...messages,
+          assistantReply,
+          ...assistantReply.tool_calls.map(toolCall => ({
+            role: 'tool',
+            tool_call_id: toolCall.id,
+            content: `Not applied. Some tool calls were invalid:\n${feedback}\nResend ALL of your tool calls with the errors fixed.`
+          }))
+        ],
+        tools: CHAT_TOOLS,
+        max_tokens: 800,
+        temperature: 0.3
+      }, events);
+      ({ operations, invalid } = parseToolCalls(assistantReply.tool_calls));
+      console.log('LLM Retry Response:', assistantReply.content, assistantReply.tool_calls || []);
+    }
+
+    // Travel times are used to check new tasks can be reached in time
+    const travelTime = resolveTravelTimeProvider(req.body, googleMapsClient);
+    if (travelTime.error) {
+      console.warn('Conflict check will skip travel times:', travelTime.error);
+    }
+
+    // Apply every task operation the assistant requested, in order
+    let taskAdded = false;
+    let addedTask = null;
+    let updatedSchedule = [...schedule];
+    const changedTasks = [];
+    const conflicts = [];
+    const locationChoices = [];
+    const failedActions = invalid.map(call => ({ action: call.name, error: call.error }));
+    const toolResults = new Map();
+
+    for (const operation of operations) {
+      const { id, action } = operation;
+      const data = resolveToolDates(operation.data, referenceDate);
+      console.log(`Applying ${action}:`, data);
+
+      if (action === 'ADD_TASK') {
+        const { task: newTask, locationChoice } = await createTaskFromChat(data, updatedSchedule, defaultDate, timezone, { googleMapsClient, placeStore, places });
+
+        // The user picks the place first when the location was ambiguous or not found
+        if (locationChoice) {
+          console.log('Task not added until the location is clear:', locationChoice.reason);
+          locationChoices.push({ request: data, ...locationChoice });
+          toolResults.set(id, describeLocationChoice(locationChoice));
+          continue;
+        }
+        console.log('Created new task:', newTask);
+
+        // Check the new task against the rest of the schedule
+        const conflictCheck = await checkTaskConflicts(newTask, updatedSchedule, travelTime.provider, timezone);
+        if (conflictCheck.conflicts.length > 0) {
+          const { suggestedSlot } = conflictCheck;
+
+          if (!autoResolveConflicts || !suggestedSlot) {
+            console.log('Task not added due to conflicts:', conflictCheck.conflicts);
+            conflicts.push({ task: newTask, conflicts: conflictCheck.conflicts, suggestedSlot, resolution: 'not_added' });
+            toolResults.set(id, `Not added because it conflicts with the schedule: ${conflictCheck.conflicts.map(c => c.message).join('; ')}. ${suggestedSlot ? `The nearest free slot is ${suggestedSlot.startTime}.` : 'There is no free slot left that day.'} Ask the user what they would like to do.`);
+            continue;
+          }
+
+          console.log(`Moving new task to nearest free slot ${suggestedSlot.startTime}`);
+          conflicts.push({ task: newTask, conflicts: conflictCheck.conflicts, suggestedSlot, resolution: 'moved' });
+          newTask.startDate = suggestedSlot.startDate;
+          newTask.endDate = suggestedSlot.endDate;
+          toolResults.set(id, `Added at ${suggestedSlot.startTime} instead, because the requested time conflicted with the schedule.`);
+        }
+
+        updatedSchedule.push(newTask);
+
+        // Sort schedule by start time
+        updatedSchedule.sort((a, b) => parseTimestamp(a.startDate, timezone) - parseTimestamp(b.startDate, timezone));
+
+        taskAdded = true;
+        addedTask = addedTask || newTask;
+        changedTasks.push({ action, before: null, after: newTask });
+      } else {
+        const result = applyTaskOperation(updatedSchedule, action, data, timezone);
+        if (result.error) {
+          console.warn(`Could not apply ${action}:`, result.error);
+          failedActions.push({ action, request: data, error: result.error });
+          toolResults.set(id, `Not applied: ${result.error}`);
+        } else {
+          updatedSchedule = result.schedule;
+          changedTasks.push(...result.changes);
+        }
+      }
+    }
+
+    let cleanResponse = (assistantReply.content || '').trim() ||
+      (changedTasks.length > 0 ? 'Done! Your schedule has been updated.' : "Sorry, I couldn't make that change. Could you try rephrasing it?");
+
+    // When something could not be added as asked, let the assistant explain and ask the user
+    if (conflicts.some(c => c.resolution === 'not_added') || locationChoices.length > 0) {
+      events?.send('reset', { reason: 'conflicts' });
+      cleanResponse = await describeConflicts(llm, messages, assistantReply, toolResults, conflicts, locationChoices, events);
+    }
+
+    // Persist changes for users with a stored schedule. New tasks get their ids from the
+    // store, as a schedule sent in the body may not hold all of the user's stored tasks;
+    // later changes to a new task in the same message are moved over to its stored id.
+    if (userId) {
+      // Read every change's id before any of them is given a stored id
+      const temporaryIds = changedTasks.map(change => String((change.after || change.before).id));
+      const storedIds = new Map();
+      for (const [index, change] of changedTasks.entries()) {
+        const temporaryId = temporaryIds[index];
+        if (!change.before) {
+          const { id: _id, ...task } = change.after;
+          const [stored] = await scheduleStore.addTasks(userId, [task]);
+          storedIds.set(temporaryId, stored.id);
+          change.after.id = stored.id;
+          continue;
+        }
+        if (storedIds.has(temporaryId)) {
+          for (const task of [change.before, change.after].filter(Boolean)) task.id = storedIds.get(temporaryId);
+        }
+        if (change.after) {
+          await scheduleStore.upsertTasks(userId, [change.after]);
+        } else {
+          await scheduleStore.deleteTask(userId, change.before.id);
+        }
+      }
+    }
+
+    const result = {
+      response: cleanResponse,
+      schedule: updatedSchedule,
+      taskAdded,
+      addedTask,
+      changedTasks,
+      conflicts,
+      locationChoices,
+      failedActions,
+      timestamp: new Date().toISOString()
+    };
+
+    if (events) {
+      events.send('done', result);
+      events.close();
+    } else {
+      res.json(result);
+    }
+
+  } catch (error) {
+    console.error('Chat error:', error);
+    const body = buildErrorBody(ERROR_CODES.INTERNAL_ERROR, 'Failed to process chat message', { details: error.message });
+
+    if (events) {
+      events.send('error', body);
+      events.close();
+    } else {
+      res.status(500).json(body);
+    }
+  }
+}
+
+// Helper function to tell the assistant (as a tool result) which places a location could mean
+function describeLocationChoice({ query, reason, options }) {
+  if (options.length === 0) {
+    return `Not added: ${reason}. Ask the user for a street address or a more specific place name.`;
+  }
+  const list = options
+    .map((option, index) => `${index + 1}. ${option.formattedAddress}${option.distanceKm !== null ? ` (${option.distanceKm} km from the nearest job)` : ''}`)
+    .join('\n');
+  return `Not added: "${query}" could be any of these places, nearest first:\n${list}\nAsk the user which one they mean, then call add_task again with that address as the location.`;
+}
+
+// Helper function to get the assistant to tell the user about scheduling conflicts and
+// ask which place they meant for locations that matched several (or none).
+// Falls back to a plain message listing them if the follow-up call fails.
+async function describeConflicts(llm, messages, assistantReply, toolResults, conflicts, locationChoices, events) {
+  const fallback = [
+    ...conflicts
+      .filter(c => c.resolution === 'not_added')
+      .map(c => `I couldn't add "${c.task.title}" - ${c.conflicts.map(x => x.message.charAt(0).toLowerCase() + x.message.slice(1)).join(', ')}.${c.suggestedSlot ? ` The nearest free slot is ${c.suggestedSlot.startTime}. Want me to book it then?` : ' There are no free slots left that day.'}`),
+    ...locationChoices.map(choice => choice.options.length > 0
+      ? `Which "${choice.query}" do you mean for "${choice.request.title}"? ${choice.options.map((option, index) => `${index + 1}) ${option.formattedAddress}`).join(', ')}`
+      : `I couldn't find "${choice.query}" for "${choice.request.title}" - what's the address?`)
+  ].join('\n');
+
+  try {
+    const reply = await completeChat(llm, 'conflictReply', {
+      messages: [
+        ...messages,
+        assistantReply,
+        ...assistantReply.tool_calls.map(toolCall => ({
+          role: 'tool',
+          tool_call_id: toolCall.id,
+          content: toolResults.get(toolCall.id) || 'Applied.'
+        }))
+      ],
+      tools: CHAT_TOOLS,
+      tool_choice: 'none',
+      max_tokens: 400,
+      temperature: 0.7
+    }, events);
+    return reply.content?.trim() || fallback;
+  } catch (error) {
+    console.error('Failed to get conflict reply:', error.message);
+    events?.send('reset', { reason: 'conflicts' });
+    events?.send('token', { text: fallback });
+    return fallback;
+  }
+}
+
+// Get a user's stored schedule, optionally limited to a date range (?from=YYYY-MM-DD&to=YYYY-MM-DD&timezone=Australia/Sydney)
+router.get('/schedule', validateRequest({ query: SCHEDULE_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const { scheduleStore } = req.app.locals;
+    const userId = getUserId(req);
+    const { from, to, timezone = DEFAULT_TIMEZONE } = req.query;
+
+    if (!userId) {
+      return sendUserIdRequired(res);
+    }
+
+    const schedule = await scheduleStore.getSchedule(userId, { from, to, timezone });
+
+    res.json({
+      userId,
+      schedule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to load schedule', { details: error.message });
+  }
+});
+
+// Add one task ({ task }) or several ({ tasks }) to a user's stored schedule
+router.post('/schedule', validateRequest({ body: ADD_SCHEDULE_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { scheduleStore } = req.app.locals;
+    const userId = getUserId(req);
+    const { task, tasks } = req.body;
+    const newTasks = tasks || [task];
+
+    if (!userId) {
+      return sendUserIdRequired(res);
+    }
+
+    const added = await scheduleStore.addTasks(userId, newTasks);
+
+    res.status(201).json({
+      userId,
+      added,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.message.includes('already exists')) {
+      return sendError(res, 409, ERROR_CODES.TASK_EXISTS, error.message);
+    }
+    console.error('Add schedule task error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to add task', { details: error.message });
+  }
+});
+
+// Update fields on a stored task
+router.patch('/schedule/:taskId', validateRequest({ body: UPDATE_SCHEDULE_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { scheduleStore } = req.app.locals;
+    const userId = getUserId(req);
+    const { userId: _userId, id: _id, ...changes } = req.body;
+
+    if (!userId) {
+      return sendUserIdRequired(res);
+    }
+
+    const task = await scheduleStore.updateTask(userId, req.params.taskId, changes);
+    if (!task) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `Task ${req.params.taskId} not found`);
+    }
+
+    res.json({
+      userId,
+      task,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Update schedule task error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to update task', { details: error.message });
+  }
+});
+
+// Remove a stored task
+router.delete('/schedule/:taskId', async (req, res) => {
+  try {
+    const { scheduleStore } = req.app.locals;
+    const userId = getUserId(req);
+
+    if (!userId) {
+      return sendUserIdRequired(res);
+    }
+
+    const task = await scheduleStore.deleteTask(userId, req.params.taskId);
+    if (!task) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `Task ${req.params.taskId} not found`);
+    }
+
+    res.json({
+      userId,
+      deleted: task,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Delete schedule task error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to delete task', { details: error.message });
+  }
+});
+
+// Add task to schedule (deprecated - use POST /schedule or POST /chat instead)
+router.post('/schedule/add', (req, res) => {
+  sendError(res, 400, ERROR_CODES.DEPRECATED_ENDPOINT, 'This endpoint is deprecated. Use POST /schedule or POST /chat instead.');
+});
+
+// Helper function to look up a place's address. Returns { location } or { errors } when it
+// matched several places (listed in the message) or none.
+async function lookUpPlaceAddress(address, googleMapsClient, placeStore) {
+  const { location, error, options } = await lookUpLocation(address, googleMapsClient, placeStore);
+  if (location) return { location };
+  return {
+    errors: [{
+      location: 'body',
+      path: 'address',
+      message: options.length > 0
+        ? `matches several places (${options.map(option => option.formattedAddress).join('; ')}); use one of them or send a location`
+        : `could not be looked up: ${error}`,
+      code: options.length > 0 ? 'ambiguous' : 'notFound'
+    }]
+  };
+}
+
+// List a user's named places, followed by the built-in ones every user has
+router.get('/places', async (req, res) => {
+  try {
+    const { placeStore } = req.app.locals;
+    const userId = getUserId(req);
+
+    if (!userId) {
+      return sendUserIdRequired(res);
+    }
+
+    res.json({
+      userId,
+      places: await placeStore.getPlaces(userId),
+      builtInPlaces: DEFAULT_PLACES,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get places error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to load places', { details: error.message });
+  }
+});
+
+// Save a named place ("the yard", "Mitre 10 Thornleigh", a regular customer's site).
+// A place sent with an address instead of a location is geocoded first.
+router.post('/places', validateRequest({ body: ADD_PLACE_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { placeStore, googleMapsClient } = req.app.locals;
+    const userId = getUserId(req);
+    const { userId: _userId, address, ...place } = req.body;
+
+    if (!userId) {
+      return sendUserIdRequired(res);
+    }
+
+    if (!place.location) {
+      const { location, errors } = await lookUpPlaceAddress(address, googleMapsClient, placeStore);
+      if (errors) {
+        return sendValidationError(res, errors);
+      }
+      place.location = location;
+    }
+
+    const added = await placeStore.addPlace(userId, place);
+
+    res.status(201).json({
+      userId,
+      place: added,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.message.includes('already exists')) {
+      return sendError(res, 409, ERROR_CODES.PLACE_EXISTS, error.message);
+    }
+    console.error('Add place error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to add place', { details: error.message });
+  }
+});
+
+// Update fields on a saved place (an address is geocoded into its new location)
+router.patch('/places/:placeId', validateRequest({ body: UPDATE_PLACE_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { placeStore, googleMapsClient } = req.app.locals;
+    const userId = getUserId(req);
+    const { userId: _userId, address, ...changes } = req.body;
+
+    if (!userId) {
+      return sendUserIdRequired(res);
+    }
+
+    if (address && !changes.location) {
+      const { location, errors } = await lookUpPlaceAddress(address, googleMapsClient, placeStore);
+      if (errors) {
+        return sendValidationError(res, errors);
+      }
+      changes.location = location;
+    }
+
+    const place = await placeStore.updatePlace(userId, req.params.placeId, changes);
+    if (!place) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `Place ${req.params.placeId} not found`);
+    }
+
+    res.json({
+      userId,
+      place,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Update place error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to update place', { details: error.message });
+  }
+});
+
+// Remove a saved place
+router.delete('/places/:placeId', async (req, res) => {
+  try {
+    const { placeStore } = req.app.locals;
+    const userId = getUserId(req);
+
+    if (!userId) {
+      return sendUserIdRequired(res);
+    }
+
+    const place = await placeStore.deletePlace(userId, req.params.placeId);
+    if (!place) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `Place ${req.params.placeId} not found`);
+    }
+
+    res.json({
+      userId,
+      deleted: place,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Delete place error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to delete place', { details: error.message });
+  }
+});
+
+// Helper function to build a schedule task from add_task arguments.
+// Returns { task }, or { locationChoice: { query, reason, options } } when the location
+// matched several places or none, so the user has to pick one (options nearest that day's
+// jobs first) or say where they mean before the task can be added.
+async function createTaskFromChat(taskData, schedule, defaultDate, timezone, { googleMapsClient, placeStore, places }) {
+  // Parse duration
+  const durationMinutes = parseDurationMinutes(taskData.duration);
+
+  // Use the resolved date from the assistant, or the default day being discussed
+  const baseDate = taskData.date || defaultDate;
+
+  // Parse start time - handle different formats, default to noon if can't parse
+  const startMinutes = parseChatTime(taskData.startTime) ?? 12 * 60;
+
+  // The jobs around the new task: that day's, or the whole schedule's on an empty day
+  const dayPoints = schedule.filter(task => getTaskDate(task, timezone) === baseDate).map(getPlacePoint).filter(Boolean);
+  const routePoints = dayPoints.length > 0 ? dayPoints : schedule.map(getPlacePoint).filter(Boolean);
+
+  // Use a named place when one matches (the branch nearest the jobs when just a brand is given),
+  // otherwise look the address up
+  const placeMatch = findPlace(places, taskData.location, routePoints);
+  let locationData;
+  if (placeMatch) {
+    console.log(`Location "${taskData.location}" is saved place ${placeMatch.place.name} (${placeMatch.match})`);
+    locationData = placeMatch.place.location;
+  } else {
+    const lookup = await lookUpLocation(taskData.location, googleMapsClient, placeStore, routePoints);
+    if (!lookup.location) {
+      return { locationChoice: { query: taskData.location, reason: lookup.error, options: lookup.options } };
+    }
+    locationData = lookup.location;
+  }
+
+  // Create new task in the expected schema format
+  return {
+    task: {
+      id: getNextTaskId(schedule),
+      title: taskData.title,
+      jobTitle: taskData.title,
+      type: TASK_TYPES.includes(taskData.type) ? taskData.type : 'Task',
+      startDate: buildZonedISO(baseDate, startMinutes, timezone),
+      endDate: buildZonedISO(baseDate, startMinutes + durationMinutes, timezone),
+      location: locationData,
+      duration: {
+        days: 0,
+        hours: Math.floor(durationMinutes / 60),
+        minutes: durationMinutes % 60
+      },
+      jobDescription: taskData.description,
+      ...(taskData.priority && { priority: taskData.priority }),
+      ...(taskData.dueBy && { dueBy: taskData.dueBy })
+    }
+  };
+}
+
+// Helper function to look up an address, using the place store's cache of earlier lookups.
+// Returns { location } for a single match. Otherwise returns { error, options }: the matches
+// ranked by distance from routePoints (at most MAX_LOCATION_OPTIONS), or none when the lookup
+// failed. Single matches are cached, and so is each option under its own address, so picking
+// one by its address does not need another lookup.
+async function lookUpLocation(address, googleMapsClient, placeStore, routePoints = []) {
+  const cached = await placeStore.getGeocode(address);
+  if (cached) return { location: cached };
+
+  const { candidates, error } = await geocodeAddress(address, googleMapsClient);
+  if (error) {
+    return { error, options: [] };
+  }
+  if (candidates.length === 1) {
+    await placeStore.saveGeocode(address, candidates[0]);
+    return { location: candidates[0] };
+  }
+
+  const options = rankByDistance(candidates, routePoints).slice(0, MAX_LOCATION_OPTIONS);
+  for (const { distanceKm: _distanceKm, ...option } of options) {
+    await placeStore.saveGeocode(option.formattedAddress, option);
+  }
+  return { error: `"${address}" matches ${candidates.length} places`, options };
+}
+
+// Helper function to turn a Google geocoding result into a task location
+function toTaskLocation(result) {
+  const location = result.geometry.location;
+
+  // Extract address components
+  let streetNumber = '';
+  let route = '';
+  let suburb = '';
+  let state = '';
+  let postcode = '';
+
+  result.address_components.forEach(component => {
+    const types = component.types;
+    if (types.includes('street_number')) {
+      streetNumber = component.long_name;
+    } else if (types.includes('route')) {
+      route = component.long_name;
+    } else if (types.includes('locality') || types.includes('sublocality_level_1')) {
+      suburb = component.long_name;
+    } else if (types.includes('administrative_area_level_1')) {
+      state = component.short_name;
+    } else if (types.includes('postal_code')) {
+      postcode = component.long_name;
+    }
+  });
+
+  const streetAddress = `${streetNumber} ${route}`.trim();
+
+  return {
+    formattedAddress: result.formatted_address,
+    streetAddress: streetAddress || result.formatted_address,
+    suburb: suburb,
+    state: state,
+    postcode: postcode,
+    googlePlaceId: result.place_id,
+    latitude: location.lat,
+    longitude: location.lng,
+  };
+}
+
+// Helper function to geocode an address using Google Places API.
+// Returns { candidates } (every match, in Google's order) or { error } when the lookup
+// could not be made or found nothing.
+async function geocodeAddress(address, googleMapsClient) {
+  if (!process.env.GOOGLE_MAPS_API_KEY) {
+    console.warn('Google Maps API key not configured, cannot look up locations');
+    return { error: 'Locations cannot be looked up because Google Maps is not configured' };
+  }
+
+  try {
+    // Use Google Places API for address lookup
+    const response = await googleMapsClient.geocode({
+      params: {
+        address: address,
+        key: process.env.GOOGLE_MAPS_API_KEY,
+      }
+    });
+
+    const results = response.data.results || [];
+    if (results.length === 0) {
+      console.warn(`No geocoding results found for address: ${address}`);
+      return { error: `No place found for "${address}"` };
+    }
+    return { candidates: results.map(toTaskLocation) };
+  } catch (error) {
+    console.error('Geocoding error:', error);
+    return { error: `Could not look up "${address}": ${error.message}` };
+  }
+}
+
+
+// Helper function to order jobs with the local route solver.
+// Time windows on the jobs are passed to the solver so windowed jobs are visited in time.
+// departureMinutes re-plans the rest of a day from then (see scheduleOptimizedJobs).
+// The AI is only asked to explain the chosen order; if that fails a plain explanation is used.
+async function buildRouteOptimization(llm, jobs, destinations, matrix, dayLabel, timezone = DEFAULT_TIMEZONE, calendar = DEFAULT_CALENDAR, bufferRules = DEFAULT_BUFFER_RULES, hasEndLocation = false, departureMinutes = null) {
+  const routeJobs = destinations.map(d => jobs.find(j => j.id === d.jobId));
+  const timing = hasTimeWindows(routeJobs, timezone) ? {
+    startMinutes: departureMinutes ?? calendar.startMinutes,
+    driveFromStart: departureMinutes !== null,
+    bufferMinutes: routeJobs.map(job => getBufferMinutes(job, bufferRules).minutes),
+    serviceMinutes: routeJobs.map(job => getJobDurationMinutes(job)),
+    windows: routeJobs.map(job => getJobTimeWindow(job, timezone))
+  } : null;
+
+  const solution = solveRoute(matrix, destinations.length, timing, { hasEndLocation });
+  const optimizedRoute = solution.order.map(index => index + 1);
+  const totalTravelTime = formatDurationText(solution.totalCost);
+
+  const legs = [];
+  let fromLabel = 'Start';
+  let fromRow = 0;
+  for (const index of solution.order) {
+    const element = matrix.rows[fromRow]?.elements[index];
+    const duration = element?.duration ? element.duration.text : 'N/A';
+    const distance = element?.distance ? element.distance.text : 'N/A';
+    legs.push(`${fromLabel} → ${destinations[index].title}: ${duration} (${distance})`);
+    fromLabel = destinations[index].title;
+    fromRow = index + 1;
+  }
+  if (hasEndLocation) {
+    const element = matrix.rows[fromRow]?.elements[destinations.length];
+    legs.push(`${fromLabel} → End: ${element?.duration ? element.duration.text : 'N/A'} (${element?.distance ? element.distance.text : 'N/A'})`);
+  }
+
+  let explanation = `Route ordered by the ${solution.method} route solver to minimise total travel time (${totalTravelTime}).`;
+
+  // Without an LLM (e.g. past a multi-day run's explanation budget) the solver's explanation stands
+  if (llm) {
+    try {
+      const aiPrompt = `A route${dayLabel ? ` for ${dayLabel}` : ''} has already been optimized to minimize total travel time. Briefly explain to a tradie, in one or two sentences, why this order makes sense.
+
+Route legs in order:
+${legs.join('\n')}
+
+Total travel time: ${totalTravelTime}`;
+
+      const reply = await withTimeout(llm.complete('routeExplanation', {
+        messages: [
+          { role: 'system', content: 'You are a route optimization expert. Respond with plain text only.' },
+          { role: 'user', content: aiPrompt }
+        ],
+        max_tokens: 200,
+        temperature: 0.3
+      }), ROUTE_EXPLANATION_TIMEOUT_MS, 'Route explanation timed out');
+
+      const aiExplanation = reply?.content?.trim();
+      if (aiExplanation) {
+        explanation = aiExplanation;
+      }
+    } catch (error) {
+      console.error('Failed to get AI route explanation:', error.message);
+    }
+  }
+
+  return {
+    optimizedRoute,
+    totalTravelTime,
+    explanation,
+    solver: solution.method
+  };
+}
+
+// Helper function to pick the travel-time provider for a (validated) request body.
+// The provider is batched (see createBatchedTravelTimeProvider), so matrices of any size
+// stay within the provider's request limits and legs are fetched once per request.
+// Returns { provider } or { error } when the provider is not configured.
+function resolveTravelTimeProvider(body, googleMapsClient) {
+  const { travelTimeProvider, travelTimeOptions } = body;
+
+  try {
+    return {
+      provider: createBatchedTravelTimeProvider(getTravelTimeProvider(travelTimeProvider, {
+        googleMapsClient,
+        options: travelTimeOptions || {}
+      }))
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Route optimization endpoint
+router.post('/optimize-route', validateRequest({ body: OPTIMIZE_ROUTE_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { llm, scheduleStore, googleMapsClient } = req.app.locals;
+    const { startLocation, routingDate, saveSchedule = true, timezone = DEFAULT_TIMEZONE, fuelCostPerKm = DEFAULT_FUEL_COST_PER_KM } = req.body;
+    const userId = getUserId(req);
+
+    // Use the jobs from the request, or the user's stored tasks on the routing date
+    const jobs = req.body.jobs || (userId && routingDate
+      ? await scheduleStore.getSchedule(userId, { from: routingDate, to: routingDate, timezone })
+      : undefined);
+
+    if (!jobs) {
+      return sendValidationError(res, [
+        { location: 'body', path: 'jobs', message: 'is required unless a userId and routingDate are given', code: 'required' }
+      ]);
+    }
+
+    const jobErrors = findJobErrors(OPTIMIZE_ROUTE_BODY_SCHEMA.properties.jobs, jobs, Boolean(req.body.jobs), timezone);
+    if (jobErrors.length > 0) {
+      return sendValidationError(res, jobErrors);
+    }
+
+    const { calendar, errors: calendarErrors } = resolveRequestCalendar(req.body);
+    if (calendarErrors) {
+      return sendValidationError(res, calendarErrors);
+    }
+    const bufferRules = resolveBufferRules(req.body.buffers);
+
+    const { endLocation, errors: endErrors } = resolveEndLocation(req.body);
+    if (endErrors) {
+      return sendValidationError(res, endErrors);
+    }
+
+    // Only route on a day the tradie works
+    const dayOffReason = routingDate ? getDayOffReason(parseDate(routingDate, timezone), calendar) : null;
+    if (dayOffReason) {
+      return sendValidationError(res, [
+        { location: 'body', path: 'routingDate', message: `is not a working day: ${dayOffReason}`, code: 'nonWorkingDay' }
+      ]);
+    }
+
+    const travelTime = resolveTravelTimeProvider(req.body, googleMapsClient);
+    if (travelTime.error) {
+      return sendError(res, 500, ERROR_CODES.TRAVEL_TIME_UNAVAILABLE, travelTime.error);
+    }
+
+    // Extract locations from jobs
+    const destinations = jobs.map(job => ({
+      lat: job.location.latitude,
+      lng: job.location.longitude,
+      jobId: job.id,
+      title: job.title,
+      address: job.location.formattedAddress
+    }));
+
+    // Use start location if provided, otherwise use first job location
+    const origin = startLocation || {
+      lat: destinations[0].lat,
+      lng: destinations[0].lng
+    };
+
+    // Get distance matrix to calculate travel times between all points
+    const matrix = await getRouteMatrix(travelTime.provider, origin, destinations, endLocation);
+
+    // Solve the visiting order locally and let the AI explain it
+    const routeRecommendation = await buildRouteOptimization(llm, jobs, destinations, matrix, null, timezone, calendar, bufferRules, Boolean(endLocation));
+
+    // Create detailed route with job information
+    const optimizedJobsRoute = routeRecommendation.optimizedRoute.map(jobIndex => {
+      const job = jobs.find(j => j.id === destinations[jobIndex - 1].jobId);
+      return {
+        ...job,
+        routeOrder: routeRecommendation.optimizedRoute.indexOf(jobIndex) + 1
+      };
+    });
+
+    console.log('=== ROUTE OPTIMIZATION DEBUG ===');
+    console.log('Original jobs count:', jobs.length);
+    console.log('Solver route:', routeRecommendation.optimizedRoute);
+    console.log('Optimized jobs route:', optimizedJobsRoute.map(j => ({ id: j.id, title: j.title, routeOrder: j.routeOrder })));
+
+    // Schedule jobs with updated start/end times
+    const { scheduledJobs, unscheduledJobs, breaks } = scheduleOptimizedJobs(optimizedJobsRoute, matrix, destinations, routingDate, timezone, calendar, bufferRules);
+    const routeSummary = buildRouteSummary(scheduledJobs, breaks, routeRecommendation, matrix, destinations, { endLocation, timezone, fuelCostPerKm });
+
+    console.log('=== SCHEDULING DEBUG ===');
+    scheduledJobs.forEach(job => {
+      console.log(`Job ${job.routeOrder}: ${job.title}`);
+      console.log(`  Start: ${job.startDate}`);
+      console.log(`  End: ${job.endDate}`);
+      console.log(`  Duration: ${job.duration.hours}h ${job.duration.minutes}m`);
+      if (job.travelTimeToNext) {
+        console.log(`  Travel to next: ${job.travelTimeToNext}`);
+      }
+      console.log('');
+    });
+
+    // Save the new times back to the user's stored schedule
+    if (userId && saveSchedule) {
+      await scheduleStore.upsertTasks(userId, scheduledJobs);
+    }
+
+    res.json({
+      originalJobs: jobs,
+      optimizedRoute: scheduledJobs,
+      unscheduled: unscheduledJobs,
+      breaks,
+      buffers: bufferRules,
+      endLocation,
+      fuelCostPerKm,
+      routeSummary,
+      routeOptimization: routeRecommendation,
+      distanceMatrix: matrix,
+      travelTimeProvider: travelTime.provider.name,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Route optimization error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to optimize route', { details: error.message });
+  }
+});
+
+
+// Re-plan the rest of a day from the tradie's live position: the remaining jobs (not
+// completed or in progress) are re-sequenced and re-timed from when the tradie can leave.
+// Jobs that can no longer start in their window are flagged in missedWindows, and jobs
+// now starting later than planned in delayedJobs, so the office can let customers know.
+router.post('/replan-route', validateRequest({ body: REPLAN_ROUTE_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { llm, scheduleStore, googleMapsClient } = req.app.locals;
+    const {
+      currentTime,
+      currentLocation,
+      completedJobIds = [],
+      inProgress = null,
+      lunchTaken = false,
+      saveSchedule = true,
+      timezone = DEFAULT_TIMEZONE,
+      fuelCostPerKm = DEFAULT_FUEL_COST_PER_KM
+    } = req.body;
+    const userId = getUserId(req);
+    const routingDate = getLocalDate(currentTime, timezone);
+
+    // Use the jobs from the request, or the user's stored tasks for today
+    const jobs = req.body.jobs || (userId
+      ? await scheduleStore.getSchedule(userId, { from: routingDate, to: routingDate, timezone })
+      : undefined);
+
+    if (!jobs) {
+      return sendValidationError(res, [
+        { location: 'body', path: 'jobs', message: 'is required unless a userId is given', code: 'required' }
+      ]);
+    }
+
+    const jobErrors = findJobErrors(REPLAN_ROUTE_BODY_SCHEMA.properties.jobs, jobs, Boolean(req.body.jobs), timezone);
+    if (jobErrors.length > 0) {
+      return sendValidationError(res, jobErrors);
+    }
+
+    const { completed, inProgressJob, remaining, unknownIds } = splitRemainingJobs(jobs, { completedJobIds, inProgress });
+    if (unknownIds.length > 0) {
+      return sendValidationError(res, unknownIds.map(id => ({
+        location: 'body',
+        path: inProgress && id === inProgress.jobId ? 'inProgress.jobId' : 'completedJobIds',
+        message: `${id} is not one of the day's jobs`,
+        code: 'unknownJob'
+      })));
+    }
+
+    const { calendar: workingCalendar, errors: calendarErrors } = resolveRequestCalendar(req.body);
+    if (calendarErrors) {
+      return sendValidationError(res, calendarErrors);
+    }
+    const calendar = lunchTaken ? { ...workingCalendar, lunchBreak: null } : workingCalendar;
+    const bufferRules = resolveBufferRules(req.body.buffers);
+
+    const { endLocation, errors: endErrors } = resolveEndLocation(req.body);
+    if (endErrors) {
+      return sendValidationError(res, endErrors);
+    }
+
+    const departureMinutes = getDepartureMinutes(currentTime, { inProgress, inProgressJob, calendar, timezone });
+    const replannedFrom = {
+      currentTime,
+      currentLocation,
+      departureTime: formatInstant(zonedTimeToInstant(routingDate, departureMinutes, timezone), timezone)
+    };
+
+    if (remaining.length === 0) {
+      return res.json({
+        replannedFrom,
+        completedJobs: completed,
+        inProgressJob,
+        optimizedRoute: [],
+        unscheduled: [],
+        missedWindows: [],
+        delayedJobs: [],
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const travelTime = resolveTravelTimeProvider(req.body, googleMapsClient);
+    if (travelTime.error) {
+      return sendError(res, 500, ERROR_CODES.TRAVEL_TIME_UNAVAILABLE, travelTime.error);
+    }
+
+    const destinations = remaining.map(job => ({
+      lat: job.location.latitude,
+      lng: job.location.longitude,
+      jobId: job.id,
+      title: job.title,
+      address: job.location.formattedAddress
+    }));
+
+    // Travel from where the tradie is now
+    const matrix = await getRouteMatrix(travelTime.provider, currentLocation, destinations, endLocation);
+
+    const routeRecommendation = await buildRouteOptimization(llm, remaining, destinations, matrix, 'the rest of the day', timezone, calendar, bufferRules, Boolean(endLocation), departureMinutes);
+
+    const optimizedJobsRoute = routeRecommendation.optimizedRoute.map(jobIndex => {
+      const job = remaining.find(j => j.id === destinations[jobIndex - 1].jobId);
+      return {
+        ...job,
+        routeOrder: routeRecommendation.optimizedRoute.indexOf(jobIndex) + 1
+      };
+    });
+
+    const { scheduledJobs, unscheduledJobs, breaks } = scheduleOptimizedJobs(optimizedJobsRoute, matrix, destinations, routingDate, timezone, calendar, bufferRules, departureMinutes);
+    const routeSummary = buildRouteSummary(scheduledJobs, breaks, routeRecommendation, matrix, destinations, { endLocation, timezone, fuelCostPerKm });
+
+    console.log(`Re-planned ${scheduledJobs.length} remaining jobs from ${replannedFrom.departureTime}`);
+
+    // Save the new times back to the user's stored schedule
+    if (userId && saveSchedule) {
+      await scheduleStore.upsertTasks(userId, scheduledJobs);
+    }
+
+    res.json({
+      replannedFrom,
+      completedJobs: completed,
+      inProgressJob,
+      optimizedRoute: scheduledJobs,
+      unscheduled: unscheduledJobs,
+      missedWindows: unscheduledJobs.map(job => ({ id: job.id, title: job.title, reason: job.reason })),
+      delayedJobs: findDelayedJobs(remaining, scheduledJobs, timezone),
+      breaks,
+      buffers: bufferRules,
+      endLocation,
+      fuelCostPerKm,
+      routeSummary,
+      routeOptimization: routeRecommendation,
+      travelTimeProvider: travelTime.provider.name,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Route re-plan error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to re-plan route', { details: error.message });
+  }
+});
+
+// Helper function to check a dispatch request's technicians: unique ids, a start to return
+// to, and working hours that leave time to work
+function findTechnicianErrors(technicians) {
+  const errors = [];
+  technicians.forEach((technician, index) => {
+    const path = `technicians[${index}]`;
+    if (technicians.findIndex(other => String(other.id) === String(technician.id)) !== index) {
+      errors.push({ location: 'body', path: `${path}.id`, message: `${technician.id} is used by another technician`, code: 'unique' });
+    }
+    if (technician.returnToStart && technician.endLocation) {
+      errors.push({ location: 'body', path: `${path}.returnToStart`, message: 'cannot be used with endLocation', code: 'conflict' });
+    }
+    const { errors: calendarErrors } = resolveRequestCalendar(technician);
+    for (const error of calendarErrors || []) {
+      errors.push({ ...error, path: `${path}.${error.path}` });
+    }
+  });
+  return errors;
+}
+
+// Crew dispatch endpoint: assigns a day's jobs to qualified technicians (skills, working
+// hours, van capacity) and returns one optimized, timed route per technician
+router.post('/optimize-dispatch', validateRequest({ body: DISPATCH_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { llm, googleMapsClient } = req.app.locals;
+    const { jobs, timezone = DEFAULT_TIMEZONE, fuelCostPerKm = DEFAULT_FUEL_COST_PER_KM } = req.body;
+    const routingDate = req.body.routingDate || getTodayInTimezone(timezone);
+
+    const jobErrors = findJobErrors(DISPATCH_BODY_SCHEMA.properties.jobs, jobs, true, timezone);
+    const technicianErrors = findTechnicianErrors(req.body.technicians);
+    if (jobErrors.length > 0 || technicianErrors.length > 0) {
+      return sendValidationError(res, [...jobErrors, ...technicianErrors]);
+    }
+
+    const travelTime = resolveTravelTimeProvider(req.body, googleMapsClient);
+    if (travelTime.error) {
+      return sendError(res, 500, ERROR_CODES.TRAVEL_TIME_UNAVAILABLE, travelTime.error);
+    }
+
+    const bufferRules = resolveBufferRules(req.body.buffers);
+
+    // Only technicians working on the routing date get jobs
+    const techniciansOff = [];
+    const technicians = resolveTechnicians(req.body.technicians).filter(technician => {
+      const reason = getDayOffReason(routingDate, technician.calendar);
+      if (reason) techniciansOff.push({ id: technician.id, name: technician.name, reason });
+      return !reason;
+    });
+
+    const { routes: assignments, unassigned } = assignJobs(jobs, technicians, {
+      bufferRules,
+      travelOptions: req.body.travelTimeOptions
+    });
+
+    console.log(`=== DISPATCH: ${jobs.length} jobs across ${technicians.length} technicians on ${routingDate} ===`);
+
+    // Route technicians a few at a time, so their route explanations don't queue up one after another
+    const routes = await mapWithConcurrency(assignments, DISPATCH_CONCURRENCY, async ({ technician, jobs: technicianJobs }) => {
+      const technicianSummary = { id: technician.id, name: technician.name, skills: technician.skills };
+      if (technicianJobs.length === 0) {
+        return { technician: technicianSummary, jobs: [], unscheduled: [], breaks: [], routeSummary: null, totalJobs: 0 };
+      }
+
+      const destinations = technicianJobs.map(job => ({
+        lat: job.location.latitude,
+        lng: job.location.longitude,
+        jobId: job.id,
+        title: job.title,
+        address: job.location.formattedAddress
+      }));
+      const matrix = await getRouteMatrix(travelTime.provider, technician.start, destinations, technician.end);
+
+      const routeRecommendation = await buildRouteOptimization(llm, technicianJobs, destinations, matrix, `${technician.name}'s day`, timezone, technician.calendar, bufferRules, Boolean(technician.end));
+
+      const optimizedJobsRoute = routeRecommendation.optimizedRoute.map(jobIndex => {
+        const job = technicianJobs.find(j => j.id === destinations[jobIndex - 1].jobId);
+        return {
+          ...job,
+          technicianId: technician.id,
+          routeOrder: routeRecommendation.optimizedRoute.indexOf(jobIndex) + 1
+        };
+      });
+
+      const { scheduledJobs, unscheduledJobs, breaks } = scheduleOptimizedJobs(optimizedJobsRoute, matrix, destinations, routingDate, timezone, technician.calendar, bufferRules);
+      const routeSummary = buildRouteSummary(scheduledJobs, breaks, routeRecommendation, matrix, destinations, { endLocation: technician.end, timezone, fuelCostPerKm });
+
+      console.log(`${technician.name}: ${scheduledJobs.length} jobs, route: ${routeRecommendation.optimizedRoute.join(' → ')}`);
+
+      return {
+        technician: technicianSummary,
+        jobs: scheduledJobs,
+        unscheduled: unscheduledJobs,
+        breaks,
+        routeOptimization: routeRecommendation,
+        routeSummary,
+        totalJobs: scheduledJobs.length,
+        estimatedStartTime: scheduledJobs[0]?.startDate,
+        estimatedEndTime: scheduledJobs[scheduledJobs.length - 1]?.endDate
+      };
+    });
+
+    const unscheduled = routes.flatMap(route => route.unscheduled.map(job => ({ ...job, technicianId: route.technician.id })));
+    const routeSummaries = routes.filter(route => route.routeSummary);
+
+    res.json({
+      routingDate,
+      routes,
+      unassigned,
+      unscheduled,
+      techniciansOff,
+      summary: {
+        totalJobs: jobs.length,
+        assignedJobs: routes.reduce((sum, route) => sum + route.totalJobs, 0),
+        totalUnassigned: unassigned.length,
+        totalUnscheduled: unscheduled.length,
+        techniciansWorking: technicians.length,
+        travelTimeProvider: travelTime.provider.name,
+        buffers: bufferRules,
+        fuelCostPerKm,
+        routeMetrics: combineRouteSummaries(
+          routeSummaries.map(route => route.routeSummary),
+          routeSummaries.map(route => route.routeSummary.comparison)
+        )
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Dispatch optimization error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to optimize dispatch', { details: error.message });
+  }
+});
+
+// Multi-day route optimization endpoint
+router.post('/optimize-multi-day-route', validateRequest({ body: OPTIMIZE_MULTI_DAY_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { llm, scheduleStore, googleMapsClient } = req.app.locals;
+    const {
+      startLocation,
+      startFromDate,
+      saveSchedule = true,
+      timezone = DEFAULT_TIMEZONE,
+      maxJobsPerDay = DEFAULT_MAX_JOBS_PER_DAY,
+      fuelCostPerKm = DEFAULT_FUEL_COST_PER_KM
+    } = req.body;
+    const userId = getUserId(req);
+
+    // Use the jobs from the request, or the user's stored tasks from startFromDate onwards
+    const jobs = req.body.jobs || (userId
+      ? await scheduleStore.getSchedule(userId, { from: startFromDate, timezone })
+      : undefined);
+
+    if (!jobs) {
+      return sendValidationError(res, [
+        { location: 'body', path: 'jobs', message: 'is required unless a userId is given', code: 'required' }
+      ]);
+    }
+
+    const jobErrors = findJobErrors(OPTIMIZE_MULTI_DAY_BODY_SCHEMA.properties.jobs, jobs, Boolean(req.body.jobs), timezone, { allowMultiDay: true });
+    if (jobErrors.length > 0) {
+      return sendValidationError(res, jobErrors);
+    }
+
+    const { calendar, errors: calendarErrors } = resolveRequestCalendar(req.body);
+    if (calendarErrors) {
+      return sendValidationError(res, calendarErrors);
+    }
+    const bufferRules = resolveBufferRules(req.body.buffers);
+
+    const { endLocation, errors: endErrors } = resolveEndLocation(req.body);
+    if (endErrors) {
+      return sendValidationError(res, endErrors);
+    }
+    const { maxDayDuration = calendar.workingMinutes } = req.body;
+
+    const travelTime = resolveTravelTimeProvider(req.body, googleMapsClient);
+    if (travelTime.error) {
+      return sendError(res, 500, ERROR_CODES.TRAVEL_TIME_UNAVAILABLE, travelTime.error);
+    }
+
+    console.log(`=== MULTI-DAY OPTIMIZATION START ===`);
+    console.log(`Total jobs: ${jobs.length}`);
+    console.log(`Start date: ${startFromDate}`);
+
+    // Step 1: Plan which jobs go on which working day (clustered, packed by work plus estimated travel)
+    const plan = planDays(jobs, {
+      startLocation,
+      startFromDate,
+      endLocation,
+      calendar,
+      bufferRules,
+      maxJobsPerDay,
+      maxDayDuration,
+      travelOptions: req.body.travelTimeOptions
+    });
+
+    console.log(`Jobs planned across ${plan.days.length} days (score ${plan.score.total}):`);
+    plan.days.forEach((day, index) => {
+      console.log(`Day ${index + 1}: ${day.jobs.length} jobs, ~${day.dayMinutes} min - ${day.jobs.map(j => j.title).join(', ')}`);
+    });
+
+    // Step 2: Optimize the route for each day, a few days at a time. Legs are fetched once
+    // and shared between days; past the explanation budget days keep the solver's explanation.
+    const explainUntil = Date.now() + MULTI_DAY_EXPLANATION_BUDGET_MS;
+    const optimizedDays = await mapWithConcurrency(plan.days, MULTI_DAY_CONCURRENCY, async (day, dayIndex) => {
+      const { jobs: dayJobs, date: routingDate } = day;
+
+      console.log(`\n--- Optimizing Day ${dayIndex + 1} (${routingDate}) ---`);
+
+      // Reuse the existing single-day optimization logic
+      const destinations = dayJobs.map(job => ({
+        lat: job.location.latitude,
+        lng: job.location.longitude,
+        jobId: job.id,
+        title: job.title,
+        address: job.location.formattedAddress
+      }));
+
+      const origin = startLocation || {
+        lat: destinations[0].lat,
+        lng: destinations[0].lng
+      };
+
+      // Get distance matrix for this day's jobs
+      const matrix = await getRouteMatrix(travelTime.provider, origin, destinations, endLocation);
+
+      // Solve this day's visiting order locally and let the AI explain it
+      const explainer = Date.now() < explainUntil ? llm : null;
+      const routeRecommendation = await buildRouteOptimization(explainer, dayJobs, destinations, matrix, `Day ${dayIndex + 1}`, timezone, calendar, bufferRules, Boolean(endLocation));
+
+      // Create detailed route with job information
+      const optimizedJobsRoute = routeRecommendation.optimizedRoute.map(jobIndex => {
+        const job = dayJobs.find(j => j.id === destinations[jobIndex - 1].jobId);
+        return {
+          ...job,
+          routeOrder: routeRecommendation.optimizedRoute.indexOf(jobIndex) + 1
+        };
+      });
+
+      // Schedule jobs with updated start/end times
+      const { scheduledJobs, unscheduledJobs, breaks } = scheduleOptimizedJobs(optimizedJobsRoute, matrix, destinations, routingDate, timezone, calendar, bufferRules);
+      const routeSummary = buildRouteSummary(scheduledJobs, breaks, routeRecommendation, matrix, destinations, { endLocation, timezone, fuelCostPerKm });
+
+      console.log(`Day ${dayIndex + 1} optimized: ${scheduledJobs.length} jobs, route: ${routeRecommendation.optimizedRoute.join(' → ')}`);
+
+      return {
+        date: routingDate,
+        dayNumber: dayIndex + 1,
+        jobs: scheduledJobs,
+        unscheduled: unscheduledJobs,
+        breaks,
+        routeOptimization: routeRecommendation,
+        routeSummary,
+        totalJobs: scheduledJobs.length,
+        plannedMinutes: day.dayMinutes,
+        estimatedStartTime: scheduledJobs[0]?.startDate,
+        estimatedEndTime: scheduledJobs[scheduledJobs.length - 1]?.endDate
+      };
+    });
+
+    // Calculate summary statistics
+    // (a multi-day job counts once, however many days its segments cover)
+    const totalJobs = new Set(optimizedDays.flatMap(day => day.jobs.map(job => job.segment?.jobId ?? job.id))).size;
+    const totalDays = optimizedDays.length;
+    const unscheduled = optimizedDays.flatMap(day =>
+      day.unscheduled.map(job => ({ ...job, date: day.date }))
+    );
+    const totalMeters = optimizedDays.reduce((sum, day) => sum + day.routeSummary.totalDistance.value, 0);
+    const totalDriveSeconds = optimizedDays.reduce((sum, day) => sum + day.routeSummary.totalDriveTime.value, 0);
+
+    console.log(`\n=== MULTI-DAY OPTIMIZATION COMPLETE ===`);
+    console.log(`Total jobs scheduled: ${totalJobs} across ${totalDays} days`);
+
+    // Save the new times back to the user's stored schedule (multi-day jobs as one task)
+    if (userId && saveSchedule) {
+      await scheduleStore.upsertTasks(userId, mergeSegments(optimizedDays.flatMap(day => day.jobs)));
+    }
+
+    res.json({
+      originalJobs: jobs,
+      optimizedSchedule: optimizedDays,
+      unscheduled,
+      summary: {
+        totalJobs,
+        totalUnscheduled: unscheduled.length,
+        totalDays,
+        startDate: startFromDate,
+        endDate: optimizedDays[optimizedDays.length - 1]?.date,
+        averageJobsPerDay: Math.round(totalJobs / totalDays * 10) / 10,
+        travelTimeProvider: travelTime.provider.name,
+        travelTimeRequests: { ...travelTime.provider.stats },
+        endLocation,
+        totalDistance: { value: totalMeters, text: formatDistanceText(totalMeters) },
+        totalDriveTime: { value: totalDriveSeconds, text: formatDurationText(totalDriveSeconds) },
+        fuelCostPerKm,
+        routeMetrics: combineRouteSummaries(
+          optimizedDays.map(day => day.routeSummary),
+          optimizedDays.map(day => day.routeSummary.comparison)
+        ),
+        maxJobsPerDay,
+        maxDayDuration,
+        buffers: bufferRules,
+        daysOff: getDaysOff(startFromDate, optimizedDays[optimizedDays.length - 1]?.date, calendar),
+        planScore: plan.score,
+        lateJobs: plan.lateJobs
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Multi-day route optimization error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to optimize multi-day route', { details: error.message });
+  }
+});
+
+// Helper function to list the days off (weekends, public holidays, ...) a multi-day plan skipped
+function getDaysOff(fromDate, toDate, calendar) {
+  const daysOff = [];
+  if (!toDate) return daysOff;
+  for (let time = Date.parse(`${fromDate}T00:00:00Z`); time <= Date.parse(`${toDate}T00:00:00Z`); time += 86400000) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    const reason = getDayOffReason(date, calendar);
+    if (reason) daysOff.push({ date, reason });
+  }
+  return daysOff;
+}
+
+// Create the Express app. Services default to the real ones configured from the
+// environment; tests pass stubs instead.
+function createApp({
+  llm = getLlmProvider(),
+  googleMapsClient = new Client({}),
+  scheduleStore = createScheduleStore(),
+  placeStore = createPlaceStore()
+} = {}) {
+  const app = express();
+  Object.assign(app.locals, { llm, googleMapsClient, scheduleStore, placeStore });
+
+  // Multi-day optimizations can send a few hundred jobs, more than the default 100kb
+  app.use(express.json({ limit: '1mb' }));
+  app.use(rejectReservedUserIds);
+  app.use(router);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,83 @@
+// Buffer time between jobs: parking, unloading and setting up on top of the drive.
+// Buffers follow fixed rules so the same request always gives the same schedule.
+// Requests send the rules as `buffers`:
+//   { defaultMinutes: 15, byType: { 'Job on site': 15 }, bySuburb: { 'Surry Hills': 10 },
+//     jitter: { maxMinutes: 10, seed: 42 } }
+// The buffer before a job is defaultMinutes plus the extra minutes for its type and suburb.
+// Jitter is off unless asked for; it then adds 0 to maxMinutes per job, picked from the seed
+// and the job id, so a seed always gives the same buffers whatever order the jobs are in.
+const { AU_STATES } = require('./publicHolidays.js');
+
+const DEFAULT_BUFFER_SETTINGS = {
+  defaultMinutes: 15,
+  byType: {},
+  bySuburb: {},
+  jitter: null
+};
+
+// Helper function to normalise a suburb name for lookups
+function suburbKey(suburb) {
+  return suburb.trim().toLowerCase();
+}
+
+// Turn buffer settings into the form the schedulers use (suburbs are matched ignoring case).
+// A jitter without a seed gets a random one, returned in jitter.seed so the schedule can be repeated.
+// The type and suburb maps have no prototype, so a suburb like "Constructor" is just another key.
+function resolveBufferRules(settings = {}) {
+  const merged = { ...DEFAULT_BUFFER_SETTINGS, ...settings };
+  const jitter = merged.jitter && merged.jitter.maxMinutes > 0
+    ? { maxMinutes: merged.jitter.maxMinutes, seed: merged.jitter.seed ?? Math.floor(Math.random() * 2 ** 31) }
+    : null;
+
+  return {
+    defaultMinutes: merged.defaultMinutes,
+    byType: Object.assign(Object.create(null), merged.byType),
+    bySuburb: Object.assign(Object.create(null), Object.fromEntries(Object.entries(merged.bySuburb).map(([suburb, minutes]) => [suburbKey(suburb), minutes]))),
+    jitter
+  };
+}
+
+const DEFAULT_BUFFER_RULES = resolveBufferRules();
+
+// Helper function to get a job's suburb from its location, or from an
+// Australian formatted address ("12 Oak St, Surry Hills NSW 2010")
+function getJobSuburb(job) {
+  const location = job.location || {};
+  if (location.suburb) return location.suburb;
+
+  const match = (location.formattedAddress || '').match(new RegExp(`,\\s*([^,]+?)\\s+(?:${AU_STATES.join('|')})\\s+\\d{4}`));
+  return match ? match[1] : null;
+}
+
+// Helper function to pick a whole number from 0 to max from a seed and a job id (FNV-1a hash)
+function seededMinutes(seed, jobId, max) {
+  let hash = 2166136261;
+  for (const char of `${seed}:${jobId}`) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return (hash >>> 0) % (max + 1);
+}
+
+// Get the buffer before a job: { minutes, parts: { defaultMinutes, typeMinutes, suburbMinutes, jitterMinutes } }
+function getBufferMinutes(job, rules = DEFAULT_BUFFER_RULES) {
+  const suburb = getJobSuburb(job);
+  const parts = {
+    defaultMinutes: rules.defaultMinutes,
+    typeMinutes: rules.byType[job.type] || 0,
+    suburbMinutes: suburb ? rules.bySuburb[suburbKey(suburb)] || 0 : 0,
+    jitterMinutes: rules.jitter ? seededMinutes(rules.jitter.seed, job.id, rules.jitter.maxMinutes) : 0
+  };
+
+  return {
+    minutes: parts.defaultMinutes + parts.typeMinutes + parts.suburbMinutes + parts.jitterMinutes,
+    parts
+  };
+}
+
+module.exports = {
+  DEFAULT_BUFFER_SETTINGS,
+  DEFAULT_BUFFER_RULES,
+  resolveBufferRules,
+  getJobSuburb,
+  getBufferMinutes
+};
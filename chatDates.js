@@ -0,0 +1,145 @@
+// Date understanding for /chat: resolves phrases like "tomorrow", "next Tuesday",
+// "Friday arvo", "20th October" or "21/10" against a reference date.
+// All dates are YYYY-MM-DD strings; arithmetic is done in UTC so the server
+// timezone never shifts a day.
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2, tues: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6
+};
+
+const MONTHS = {
+  january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4,
+  may: 5, june: 6, jun: 6, july: 7, jul: 7, august: 8, aug: 8,
+  september: 9, sep: 9, sept: 9, october: 10, oct: 10, november: 11, nov: 11,
+  december: 12, dec: 12
+};
+
+// Helper function to turn YYYY-MM-DD into a UTC Date
+function toUTCDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Helper function to turn a UTC Date back into YYYY-MM-DD
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Helper function to add days to a YYYY-MM-DD string
+function addDays(dateString, days) {
+  const date = toUTCDate(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+// Helper function to check a YYYY-MM-DD string is a real calendar date
+function isValidDateString(dateString) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString)) return false;
+  return toDateString(toUTCDate(dateString)) === dateString;
+}
+
+// Helper function to build a date from day and month, rolling to next year when it has passed
+function upcomingDayMonth(day, month, referenceDate) {
+  const referenceYear = Number(referenceDate.slice(0, 4));
+  for (const year of [referenceYear, referenceYear + 1]) {
+    const candidate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    if (!isValidDateString(candidate)) return null;
+    if (candidate >= referenceDate) return candidate;
+  }
+  return null;
+}
+
+// Resolve a date phrase to YYYY-MM-DD. Returns null when it can't be understood.
+function resolveChatDate(text, referenceDate) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const phrase = text.trim().toLowerCase();
+
+  const isoMatch = phrase.match(/^(\d{4}-\d{2}-\d{2})/);
+  if (isoMatch) return isValidDateString(isoMatch[1]) ? isoMatch[1] : null;
+
+  if (/\bday after tomorrow\b/.test(phrase)) return addDays(referenceDate, 2);
+  if (/\b(tomorrow|tmrw|tomoz)\b/.test(phrase)) return addDays(referenceDate, 1);
+  if (/\b(today|tonight|this (morning|arvo|afternoon|evening))\b/.test(phrase)) return referenceDate;
+  if (/\byesterday\b/.test(phrase)) return addDays(referenceDate, -1);
+
+  const inDaysMatch = phrase.match(/\bin (\d+) days?\b/);
+  if (inDaysMatch) return addDays(referenceDate, parseInt(inDaysMatch[1]));
+  if (/\bnext week\b/.test(phrase)) return addDays(referenceDate, 7);
+
+  // Weekday names: "Friday" is the coming Friday (today if it is Friday),
+  // "next Friday" is the Friday of next week
+  const weekdayMatch = phrase.match(/\b(next |this )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues|tue|wed|thurs|thur|thu|fri|sat)\b/);
+  if (weekdayMatch) {
+    const target = WEEKDAYS[weekdayMatch[2]];
+    const referenceWeekday = toUTCDate(referenceDate).getUTCDay();
+    let daysAhead = (target - referenceWeekday + 7) % 7;
+
+    if (weekdayMatch[1] === 'next ') {
+      if (daysAhead === 0) daysAhead = 7;
+      // Monday-based weeks: if the day is still in this week, move to next week's
+      const daysLeftInWeek = (7 - referenceWeekday) % 7;
+      if (daysAhead <= daysLeftInWeek) daysAhead += 7;
+    }
+
+    return addDays(referenceDate, daysAhead);
+  }
+
+  // "20th October", "20 Oct"
+  const dayMonthMatch = phrase.match(/\b(\d{1,2})(?:st|nd|rd|th)?(?: of)? ([a-z]+)\b/);
+  if (dayMonthMatch && MONTHS[dayMonthMatch[2]]) {
+    return upcomingDayMonth(parseInt(dayMonthMatch[1]), MONTHS[dayMonthMatch[2]], referenceDate);
+  }
+
+  // "October 20", "Oct 20th"
+  const monthDayMatch = phrase.match(/\b([a-z]+) (\d{1,2})(?:st|nd|rd|th)?\b/);
+  if (monthDayMatch && MONTHS[monthDayMatch[1]]) {
+    return upcomingDayMonth(parseInt(monthDayMatch[2]), MONTHS[monthDayMatch[1]], referenceDate);
+  }
+
+  // Australian day/month, optionally with a year: "21/10", "21/10/2025"
+  const slashMatch = phrase.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+  if (slashMatch) {
+    const day = parseInt(slashMatch[1]);
+    const month = parseInt(slashMatch[2]);
+    if (slashMatch[3]) {
+      const year = slashMatch[3].length === 2 ? 2000 + parseInt(slashMatch[3]) : parseInt(slashMatch[3]);
+      const candidate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      return isValidDateString(candidate) ? candidate : null;
+    }
+    return upcomingDayMonth(day, month, referenceDate);
+  }
+
+  return null;
+}
+
+// Helper function to format YYYY-MM-DD as "Tue 14 Oct 2025"
+function formatChatDate(dateString) {
+  return toUTCDate(dateString).toLocaleDateString('en-AU', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+// Flatten a schedule that may be a list of tasks or the day list returned by
+// /optimize-multi-day-route ([{ date, jobs: [...] }])
+function flattenSchedule(schedule) {
+  if (!Array.isArray(schedule)) return [];
+  return schedule.flatMap(entry => (Array.isArray(entry?.jobs) ? entry.jobs : [entry]));
+}
+
+module.exports = {
+  addDays,
+  isValidDateString,
+  resolveChatDate,
+  formatChatDate,
+  flattenSchedule
+};
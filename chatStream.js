@@ -0,0 +1,39 @@
+// Server-Sent Events support for streaming /chat replies.
+// A streamed reply sends these events:
+//   token - { text } a piece of the assistant's reply as it is generated
+//   reset - { reason } discard the text streamed so far, a new reply follows
+//   done  - the same body /chat returns as JSON (task changes, updated schedule, ...)
+//   error - { error, code, details, timestamp } the request failed part way through (see apiErrors.js)
+// The `response` in the done event is the final reply and should replace the streamed text.
+
+// Helper function to check whether a request asked for an event stream
+function wantsEventStream(req) {
+  return (req.get('accept') || '').includes('text/event-stream');
+}
+
+// Start an event stream on a response. Returns { send(event, data), close() }.
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+module.exports = {
+  wantsEventStream,
+  openEventStream
+};
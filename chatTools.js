@@ -0,0 +1,187 @@
+// OpenAI tool definitions for the /chat task operations, and validation of the
+// arguments the model sends back. Each tool maps onto one task action.
+const { validateSchema, formatSchemaErrors } = require('./jsonSchema.js');
+const { TASK_TYPES, TASK_PRIORITIES, parseChatTime } = require('./taskOperations.js');
+const { resolveChatDate } = require('./chatDates.js');
+
+// Date fields accept YYYY-MM-DD or phrases such as "tomorrow", "next Tuesday", "Friday arvo"
+const DATE_FIELDS = ['date', 'taskDate', 'firstTaskDate', 'secondTaskDate', 'dueBy'];
+const dateProperty = { type: 'string', minLength: 1, description: 'Day, as YYYY-MM-DD or words like "tomorrow", "next Tuesday", "Friday"' };
+
+// Fields shared by every tool that targets an existing task
+const taskTargetProperties = {
+  taskId: { type: ['integer', 'string'], description: 'Id of the task, as shown in the schedule' },
+  taskTitle: { type: 'string', minLength: 1, description: 'Part of the task title, when the id is not known' },
+  taskStartTime: { type: 'string', minLength: 1, description: 'Current start time of the task, e.g. "2:00 PM"' },
+  taskDate: { ...dateProperty, description: 'Current day of the task, to tell apart tasks on different days' }
+};
+
+// A target needs at least one of id, title or start time
+const TASK_TARGET_FIELDS = ['taskId', 'taskTitle', 'taskStartTime'];
+
+const TOOL_SCHEMAS = {
+  add_task: {
+    action: 'ADD_TASK',
+    description: 'Add a new task once the time, location and purpose are all known.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', minLength: 1, description: 'Short task title' },
+        location: { type: 'string', minLength: 1, description: 'Address, business name or landmark' },
+        date: { ...dateProperty, description: 'Day of the task; leave out to use the day being discussed' },
+        startTime: { type: 'string', minLength: 1, description: 'Start time, e.g. "2:00 PM"' },
+        duration: { type: 'string', minLength: 1, description: 'Duration, e.g. "30 minutes"' },
+        description: { type: 'string', description: 'What needs to be done' },
+        type: { type: 'string', enum: TASK_TYPES },
+        priority: { type: 'string', enum: TASK_PRIORITIES, description: 'How pressing the job is, e.g. "urgent" for a burst pipe' },
+        dueBy: { ...dateProperty, description: 'Day the job was promised to the customer by' }
+      },
+      required: ['title', 'location', 'startTime', 'duration', 'description', 'type'],
+      additionalProperties: false
+    }
+  },
+  update_task: {
+    action: 'UPDATE_TASK',
+    description: 'Change details of an existing task. Only include the fields that change.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...taskTargetProperties,
+        title: { type: 'string', minLength: 1 },
+        date: { ...dateProperty, description: 'New day for the task' },
+        startTime: { type: 'string', minLength: 1 },
+        duration: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        type: { type: 'string', enum: TASK_TYPES },
+        priority: { type: 'string', enum: TASK_PRIORITIES },
+        dueBy: { ...dateProperty, description: 'Day the job was promised to the customer by' }
+      },
+      additionalProperties: false
+    },
+    requireOneOf: [TASK_TARGET_FIELDS]
+  },
+  move_task: {
+    action: 'MOVE_TASK',
+    description: 'Move an existing task to a new start time and/or day, or shift it by a number of minutes (negative to bring it forward).',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...taskTargetProperties,
+        date: { ...dateProperty, description: 'New day for the task' },
+        startTime: { type: 'string', minLength: 1 },
+        shiftMinutes: { type: 'integer' }
+      },
+      additionalProperties: false
+    },
+    requireOneOf: [TASK_TARGET_FIELDS, ['startTime', 'date', 'shiftMinutes']]
+  },
+  delete_task: {
+    action: 'DELETE_TASK',
+    description: 'Cancel an existing task.',
+    parameters: {
+      type: 'object',
+      properties: { ...taskTargetProperties },
+      additionalProperties: false
+    },
+    requireOneOf: [TASK_TARGET_FIELDS]
+  },
+  swap_tasks: {
+    action: 'SWAP_TASKS',
+    description: 'Swap the time slots of two existing tasks.',
+    parameters: {
+      type: 'object',
+      properties: {
+        firstTaskId: { type: ['integer', 'string'] },
+        firstTaskTitle: { type: 'string', minLength: 1 },
+        firstTaskStartTime: { type: 'string', minLength: 1 },
+        firstTaskDate: dateProperty,
+        secondTaskId: { type: ['integer', 'string'] },
+        secondTaskTitle: { type: 'string', minLength: 1 },
+        secondTaskStartTime: { type: 'string', minLength: 1 },
+        secondTaskDate: dateProperty
+      },
+      additionalProperties: false
+    },
+    requireOneOf: [['firstTaskId', 'firstTaskTitle', 'firstTaskStartTime'], ['secondTaskId', 'secondTaskTitle', 'secondTaskStartTime']]
+  }
+};
+
+// Tools in the format expected by openai.chat.completions.create
+const CHAT_TOOLS = Object.entries(TOOL_SCHEMAS).map(([name, tool]) => ({
+  type: 'function',
+  function: {
+    name,
+    description: tool.description,
+    parameters: tool.parameters
+  }
+}));
+
+// Helper function to validate the arguments of a single tool call
+function validateToolArguments(name, args) {
+  const tool = TOOL_SCHEMAS[name];
+  if (!tool) return [{ path: '(tool)', message: `unknown tool ${name}` }];
+
+  const errors = validateSchema(tool.parameters, args);
+  if (errors.length > 0) return errors;
+
+  for (const field of ['startTime', 'taskStartTime', 'firstTaskStartTime', 'secondTaskStartTime']) {
+    if (args[field] !== undefined && parseChatTime(args[field]) === null) {
+      errors.push({ path: field, message: 'must be a time such as "2:00 PM"' });
+    }
+  }
+
+  for (const field of DATE_FIELDS) {
+    // The reference date only matters for the result, not for whether the phrase makes sense
+    if (args[field] !== undefined && resolveChatDate(args[field], '2000-01-01') === null) {
+      errors.push({ path: field, message: 'must be a date such as "2025-10-21", "tomorrow" or "next Tuesday"' });
+    }
+  }
+
+  for (const group of tool.requireOneOf || []) {
+    if (!group.some(field => args[field] !== undefined)) {
+      errors.push({ path: '(root)', message: `must include one of: ${group.join(', ')}` });
+    }
+  }
+
+  return errors;
+}
+
+// Parse and validate the tool calls from an assistant message.
+// Returns { operations: [{ id, action, data }], invalid: [{ id, name, error }] }
+function parseToolCalls(toolCalls = []) {
+  const operations = [];
+  const invalid = [];
+
+  for (const toolCall of toolCalls) {
+    const name = toolCall.function?.name;
+    let args;
+    try {
+      args = JSON.parse(toolCall.function?.arguments || '{}');
+    } catch (error) {
+      invalid.push({ id: toolCall.id, name, error: `arguments are not valid JSON: ${error.message}` });
+      continue;
+    }
+
+    const errors = validateToolArguments(name, args);
+    if (errors.length > 0) {
+      invalid.push({ id: toolCall.id, name, error: formatSchemaErrors(errors) });
+    } else {
+      operations.push({ id: toolCall.id, action: TOOL_SCHEMAS[name].action, data: args });
+    }
+  }
+
+  return { operations, invalid };
+}
+
+// Resolve every date phrase in a tool call's arguments to YYYY-MM-DD
+function resolveToolDates(args, referenceDate) {
+  const resolved = { ...args };
+  for (const field of DATE_FIELDS) {
+    if (resolved[field] !== undefined) {
+      resolved[field] = resolveChatDate(resolved[field], referenceDate);
+    }
+  }
+  return resolved;
+}
+
+module.exports = { CHAT_TOOLS, parseToolCalls, validateToolArguments, resolveToolDates };
@@ -0,0 +1,48 @@
+// Helpers for running a bounded number of async tasks at once and for
+// putting a time limit on a promise.
+
+// Create a limiter: limit(task) runs task() once fewer than `concurrency` tasks
+// are running, and resolves or rejects with its result
+function createLimiter(concurrency) {
+  let running = 0;
+  const queue = [];
+
+  const next = () => {
+    if (running >= concurrency || queue.length === 0) return;
+    const { task, resolve, reject } = queue.shift();
+    running++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+// Map items with an async function, at most `concurrency` at a time, keeping their order
+function mapWithConcurrency(items, concurrency, mapper) {
+  const limit = createLimiter(concurrency);
+  return Promise.all(items.map((item, index) => limit(() => mapper(item, index))));
+}
+
+// Resolve with the promise's result, or reject once `ms` milliseconds have passed
+function withTimeout(promise, ms, message = `Timed out after ${ms} ms`) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  createLimiter,
+  mapWithConcurrency,
+  withTimeout
+};
@@ -0,0 +1,152 @@
+// Conflict detection for tasks added through /chat.
+// A new task conflicts when it overlaps another task on the same day, or when
+// there is not enough time to drive to it from the previous task (or on to the next one).
+const { buildZonedISO, getTaskStartMinutes, getTaskLengthMinutes, getTaskDate } = require('./taskOperations.js');
+const { DEFAULT_TIMEZONE } = require('./timezone.js');
+
+// Window searched for a free slot when the requested time conflicts (6am - 8pm)
+const SLOT_SEARCH_START_MINUTES = 6 * 60;
+const SLOT_SEARCH_END_MINUTES = 20 * 60;
+const SLOT_STEP_MINUTES = 15;
+
+// Helper function to format minutes after midnight as "2:15 PM"
+function formatClockTime(totalMinutes) {
+  const hour24 = Math.floor(totalMinutes / 60) % 24;
+  const minute = String(totalMinutes % 60).padStart(2, '0');
+  const period = hour24 >= 12 ? 'PM' : 'AM';
+  const hour12 = hour24 % 12 === 0 ? 12 : hour24 % 12;
+  return `${hour12}:${minute} ${period}`;
+}
+
+// Helper function to check whether a task has usable coordinates
+function hasCoordinates(task) {
+  return typeof task.location?.latitude === 'number' && typeof task.location?.longitude === 'number';
+}
+
+// Fetch drive times (minutes) between the new task and every other task that day.
+// Returns a lookup (fromTask, toTask) => minutes, or null when the leg is unknown.
+async function buildTravelLookup(task, dayTasks, travelTimeProvider) {
+  const points = [task, ...dayTasks].filter(hasCoordinates);
+  if (!travelTimeProvider || !hasCoordinates(task) || points.length < 2) {
+    return () => null;
+  }
+
+  try {
+    const coordinates = points.map(p => ({ lat: p.location.latitude, lng: p.location.longitude }));
+    const matrix = await travelTimeProvider.getDistanceMatrix(coordinates, coordinates);
+    return (from, to) => {
+      const fromIndex = points.indexOf(from);
+      const toIndex = points.indexOf(to);
+      const element = fromIndex === -1 || toIndex === -1 ? null : matrix.rows[fromIndex]?.elements[toIndex];
+      return element?.duration ? Math.ceil(element.duration.value / 60) : null;
+    };
+  } catch (error) {
+    console.error('Failed to get travel times for conflict check:', error.message);
+    return () => null;
+  }
+}
+
+// Helper function to list the conflicts for a task placed at a given start time.
+// dayTasks carry precomputed local startMinutes and endMinutes.
+function conflictsAt(task, startMinutes, lengthMinutes, dayTasks, travelMinutes) {
+  const endMinutes = startMinutes + lengthMinutes;
+  const conflicts = [];
+
+  for (const { task: other, startMinutes: otherStart, endMinutes: otherEnd } of dayTasks) {
+    const otherTimes = `${formatClockTime(otherStart)}-${formatClockTime(otherEnd)}`;
+
+    if (otherStart < endMinutes && otherEnd > startMinutes) {
+      conflicts.push({
+        type: 'overlap',
+        taskId: other.id,
+        title: other.title,
+        message: `Overlaps with "${other.title}" (${otherTimes})`
+      });
+      continue;
+    }
+
+    // Previous task: must be able to drive from it in the gap before this task
+    if (otherEnd <= startMinutes) {
+      const drive = travelMinutes(other, task);
+      const gap = startMinutes - otherEnd;
+      if (drive !== null && drive > gap && !dayTasks.some(t => t.task !== other &&
+          t.startMinutes >= otherEnd && t.startMinutes < startMinutes)) {
+        conflicts.push({
+          type: 'travel',
+          taskId: other.id,
+          title: other.title,
+          travelMinutes: drive,
+          availableMinutes: gap,
+          message: `Only ${gap} minutes after "${other.title}" (${otherTimes}) but the drive takes ${drive} minutes`
+        });
+      }
+    }
+
+    // Next task: must be able to drive on to it after this task
+    if (otherStart >= endMinutes) {
+      const drive = travelMinutes(task, other);
+      const gap = otherStart - endMinutes;
+      if (drive !== null && drive > gap && !dayTasks.some(t => t.task !== other &&
+          t.startMinutes >= endMinutes && t.startMinutes < otherStart)) {
+        conflicts.push({
+          type: 'travel',
+          taskId: other.id,
+          title: other.title,
+          travelMinutes: drive,
+          availableMinutes: gap,
+          message: `Only ${gap} minutes before "${other.title}" (${otherTimes}) but the drive takes ${drive} minutes`
+        });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+// Check a new task against the schedule.
+// Returns { conflicts, suggestedSlot } where suggestedSlot is the nearest conflict-free
+// { startDate, endDate } on the same day (null when there are no conflicts or no free slot).
+async function checkTaskConflicts(task, schedule, travelTimeProvider, timezone = DEFAULT_TIMEZONE) {
+  const datePart = getTaskDate(task, timezone);
+  const startMinutes = getTaskStartMinutes(task.startDate, timezone);
+  const lengthMinutes = getTaskLengthMinutes(task, timezone);
+  const dayTasks = schedule
+    .filter(t => t !== task && t.id !== task.id && t.startDate && getTaskDate(t, timezone) === datePart)
+    .map(t => {
+      const otherStart = getTaskStartMinutes(t.startDate, timezone);
+      return { task: t, startMinutes: otherStart, endMinutes: otherStart + getTaskLengthMinutes(t, timezone) };
+    });
+
+  const travelMinutes = await buildTravelLookup(task, dayTasks.map(t => t.task), travelTimeProvider);
+  const conflicts = conflictsAt(task, startMinutes, lengthMinutes, dayTasks, travelMinutes);
+
+  if (conflicts.length === 0) {
+    return { conflicts, suggestedSlot: null };
+  }
+
+  // Search outwards from the requested time, trying the later slot first
+  let suggestedSlot = null;
+  for (let offset = SLOT_STEP_MINUTES; !suggestedSlot; offset += SLOT_STEP_MINUTES) {
+    const later = startMinutes + offset;
+    const earlier = startMinutes - offset;
+    const laterInRange = later + lengthMinutes <= SLOT_SEARCH_END_MINUTES;
+    const earlierInRange = earlier >= SLOT_SEARCH_START_MINUTES;
+    if (!laterInRange && !earlierInRange) break;
+
+    for (const candidate of [laterInRange ? later : null, earlierInRange ? earlier : null]) {
+      if (candidate === null) continue;
+      if (conflictsAt(task, candidate, lengthMinutes, dayTasks, travelMinutes).length === 0) {
+        suggestedSlot = {
+          startDate: buildZonedISO(datePart, candidate, timezone),
+          endDate: buildZonedISO(datePart, candidate + lengthMinutes, timezone),
+          startTime: formatClockTime(candidate)
+        };
+        break;
+      }
+    }
+  }
+
+  return { conflicts, suggestedSlot };
+}
+
+module.exports = { checkTaskConflicts, formatClockTime };
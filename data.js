@@ -11,4 +11,11 @@ const bunningsLocation = {
     },
   };
 
-module.exports = { bunningsLocation };
\ No newline at end of file
+// Places every user can use by name in chat (see places.js); users add their own on top.
+// Only the Carlingford Bunnings is built in: other branches of a brand come from each user's
+// saved places (/places), and anything else is geocoded, so no store coordinates are made up here.
+const DEFAULT_PLACES = [
+  { id: 'bunnings-carlingford', name: bunningsLocation.name, aliases: [], brand: 'Bunnings', location: bunningsLocation.location },
+];
+
+module.exports = { bunningsLocation, DEFAULT_PLACES };
@@ -0,0 +1,383 @@
+// Multi-day planner: decides which jobs go on which day before each day's route is solved.
+// Jobs are clustered by sweeping around the depot (the start location), and each day is
+// packed by its work plus estimated travel and buffers, within maxJobsPerDay and
+// maxDayDuration (minutes). Travel is estimated from the straight-line distance here;
+// the real travel matrix is fetched once the days are known.
+// Days are the working days of the tradie's calendar from startFromDate on (weekends,
+// public holidays and days off are skipped), and maxDayDuration defaults to its working hours.
+// Jobs may carry a `deadline` (YYYY-MM-DD, the last day the job can be done) and a `dueBy`
+// date promised to the customer; the earlier of the two is the job's due date. Jobs may also
+// carry a `priority` (urgent, high, normal, low). Days are ordered so due dates are met where
+// capacity allows and urgent work comes first; jobs that still miss their due date are
+// reported as late rather than quietly moved to a later day.
+// Multi-day jobs are split into segments (see jobSegments.js). The last segment is planned
+// like any other job, and the whole days before it ("lead days") go straight in front of its day.
+const { estimateTravelMinutes, DEFAULT_AVERAGE_SPEED_KMH, DEFAULT_DETOUR_FACTOR } = require('./travelTime.js');
+const { getJobDurationMinutes } = require('./scheduling.js');
+const { DEFAULT_BUFFER_RULES, getBufferMinutes } = require('./bufferRules.js');
+const { isMultiDayJob, splitJobIntoSegments } = require('./jobSegments.js');
+const { DEFAULT_CALENDAR, getWorkingDates, countWorkingDays } = require('./workingCalendar.js');
+
+const DEFAULT_MAX_JOBS_PER_DAY = 7;
+
+// Plan score weights, in minutes of driving: every day used costs an hour,
+// and a late job outweighs any amount of driving
+const DAY_COST_MINUTES = 60;
+const LATE_JOB_PENALTY = 100000;
+
+// How many minutes of driving it is worth to start a job one day sooner, by priority
+const PRIORITY_DAY_COST_MINUTES = { urgent: 480, high: 120, normal: 0, low: 0 };
+
+// Safety cap on jobs moved between days while improving a plan
+const MAX_IMPROVEMENT_MOVES = 200;
+
+// Most sweep starting points tried; longer job lists try this many, evenly spread
+const MAX_SWEEP_STARTS = 40;
+
+// Safety cap on passes over the days while putting them in order
+const MAX_DAY_ORDER_PASSES = 10;
+
+// Helper function to use the start location as the depot, or the middle of the jobs without one
+function getDepot(startLocation, jobs) {
+  if (startLocation) return { lat: startLocation.lat, lng: startLocation.lng };
+  return {
+    lat: jobs.reduce((sum, job) => sum + job.location.latitude, 0) / jobs.length,
+    lng: jobs.reduce((sum, job) => sum + job.location.longitude, 0) / jobs.length
+  };
+}
+
+// Measure a day's stops (in visiting order).
+// dayMinutes is what the scheduler lays out from the day start: work, plus travel and
+// buffer between jobs rounded to quarter hours. travelMinutes also counts the drive from the
+// depot and, when the route has an end location, the drive there after the last job.
+function measureDay(stops, depot, settings) {
+  let workMinutes = 0;
+  let travelMinutes = 0;
+  let dayMinutes = 0;
+
+  stops.forEach((stop, index) => {
+    const leg = estimateTravelMinutes(index === 0 ? depot : stops[index - 1].point, stop.point, settings.travel);
+    travelMinutes += leg;
+    workMinutes += stop.workMinutes;
+    dayMinutes += stop.workMinutes;
+    if (index > 0) {
+      dayMinutes += Math.ceil((leg + stop.bufferMinutes) / 15) * 15;
+    }
+  });
+
+  if (settings.end && stops.length > 0) {
+    travelMinutes += estimateTravelMinutes(stops[stops.length - 1].point, settings.end, settings.travel);
+  }
+
+  return { workMinutes, travelMinutes, dayMinutes };
+}
+
+// Helper function to measure a day once per planning run (days are never changed in place,
+// so the same list of stops always measures the same)
+function measureDayOnce(stops, depot, settings) {
+  if (!settings.measured) return measureDay(stops, depot, settings);
+  let measured = settings.measured.get(stops);
+  if (!measured) {
+    measured = measureDay(stops, depot, settings);
+    settings.measured.set(stops, measured);
+  }
+  return measured;
+}
+
+// Helper function to add a stop to a day where it adds the least travel
+function insertCheapest(stops, stop, depot, settings) {
+  let best = null;
+  let bestTravel = Infinity;
+
+  for (let position = 0; position <= stops.length; position++) {
+    const candidate = [...stops.slice(0, position), stop, ...stops.slice(position)];
+    const { travelMinutes } = measureDay(candidate, depot, settings);
+    if (travelMinutes < bestTravel) {
+      bestTravel = travelMinutes;
+      best = candidate;
+    }
+  }
+  return best;
+}
+
+// Helper function to check a day against the limits (a single job longer than a day still gets one).
+// Only one multi-day job can end on a day, as its lead days go right before it.
+function fitsInDay(stops, depot, settings) {
+  if (stops.length === 1) return true;
+  return stops.length <= settings.maxJobsPerDay &&
+    stops.filter(stop => stop.leadDays > 0).length <= 1 &&
+    measureDay(stops, depot, settings).dayMinutes <= settings.maxDayDuration;
+}
+
+// Helper function to get each planned day's position in the final schedule,
+// counting the lead days of multi-day jobs that go before it
+function getDayNumbers(days) {
+  let dayNumber = 0;
+  return days.map(stops => {
+    dayNumber += stops.reduce((sum, stop) => sum + stop.leadDays, 0);
+    return dayNumber++;
+  });
+}
+
+// Helper function to get a job's due date: the earlier of its deadline and dueBy, or null
+function getDueDate(job) {
+  const dates = [job.deadline, job.dueBy].filter(Boolean).sort();
+  return dates[0] || null;
+}
+
+// Helper function to order days so due dates are met and urgent work goes first.
+// Days are sorted by their earliest due date and then by the priority of their jobs, and
+// the other way round; whichever order scores better is kept (others keep their order).
+function sortDays(days, depot, settings) {
+  const earliestDue = stops => Math.min(...stops.map(stop => stop.deadlineDay ?? Infinity));
+  const priorityCost = stops => stops.reduce((sum, stop) => sum + stop.priorityCost, 0);
+  const byDueDate = [...days].sort((a, b) => earliestDue(a) - earliestDue(b) || priorityCost(b) - priorityCost(a));
+  const byPriority = [...days].sort((a, b) => priorityCost(b) - priorityCost(a) || earliestDue(a) - earliestDue(b));
+  return scorePlan(byPriority, depot, settings).total < scorePlan(byDueDate, depot, settings).total ? byPriority : byDueDate;
+}
+
+// Helper function to put the days of a finished plan in order: sorted as in sortDays,
+// then improved by moving single days earlier or later while that lowers the plan's score
+function orderDays(days, depot, settings) {
+  let best = sortDays(days, depot, settings);
+  let bestScore = scorePlan(best, depot, settings).total;
+
+  for (let pass = 0, improved = true; improved && pass < MAX_DAY_ORDER_PASSES; pass++) {
+    improved = false;
+    for (let from = 0; from < best.length; from++) {
+      for (let to = 0; to < best.length; to++) {
+        if (to === from) continue;
+        const candidate = [...best];
+        candidate.splice(to, 0, ...candidate.splice(from, 1));
+        const score = scorePlan(candidate, depot, settings).total;
+        if (score < bestScore) {
+          best = candidate;
+          bestScore = score;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+// Score a plan (a list of days, each a list of stops). Lower totals are better.
+function scorePlan(days, depot, settings) {
+  const dayNumbers = getDayNumbers(days);
+  let travelMinutes = 0;
+  let workMinutes = 0;
+  let lateJobs = 0;
+  let priorityMinutes = 0;
+
+  days.forEach((stops, dayIndex) => {
+    const measured = measureDayOnce(stops, depot, settings);
+    travelMinutes += measured.travelMinutes;
+    workMinutes += measured.workMinutes;
+    lateJobs += stops.filter(stop => stop.deadlineDay !== null && dayNumbers[dayIndex] > stop.deadlineDay).length;
+    // Each day a pressing job waits (until its first day) costs its priority's weight
+    priorityMinutes += stops.reduce((sum, stop) => sum + stop.priorityCost * (dayNumbers[dayIndex] - stop.leadDays), 0);
+
+    // Lead days: a drive out to the multi-day job (and on to the end location) and a full day's work there
+    for (const stop of stops) {
+      if (stop.leadDays > 0) {
+        travelMinutes += stop.leadDays * measureDay([stop], depot, settings).travelMinutes;
+      }
+      workMinutes += stop.leadDays * settings.maxDayDuration;
+    }
+  });
+
+  const totalDays = days.length === 0 ? 0 : dayNumbers[dayNumbers.length - 1] + 1;
+  return {
+    total: Math.round(travelMinutes + totalDays * DAY_COST_MINUTES + lateJobs * LATE_JOB_PENALTY + priorityMinutes),
+    days: totalDays,
+    travelMinutes: Math.round(travelMinutes),
+    workMinutes,
+    lateJobs,
+    priorityMinutes
+  };
+}
+
+// Helper function to pack stops (in sweep order) into days, starting a new day when the next stop does not fit
+function packSweep(orderedStops, depot, settings) {
+  const days = [];
+  let current = [];
+
+  for (const stop of orderedStops) {
+    const candidate = insertCheapest(current, stop, depot, settings);
+    if (current.length === 0 || fitsInDay(candidate, depot, settings)) {
+      current = candidate;
+    } else {
+      days.push(current);
+      current = [stop];
+    }
+  }
+  if (current.length > 0) days.push(current);
+
+  return sortDays(days, depot, settings);
+}
+
+// Improve a plan by moving single jobs to other days while the score drops
+// (taking the first improving move each time). Moves that break a day's limits
+// are skipped; days left empty are removed.
+function improvePlan(days, depot, settings) {
+  let plan = days;
+  let best = scorePlan(plan, depot, settings).total;
+
+  for (let move = 0; move < MAX_IMPROVEMENT_MOVES; move++) {
+    let improved = false;
+
+    for (let from = 0; from < plan.length; from++) {
+      for (const stop of plan[from]) {
+        for (let to = 0; to < plan.length; to++) {
+          if (to === from) continue;
+          const target = insertCheapest(plan[to], stop, depot, settings);
+          if (!fitsInDay(target, depot, settings)) continue;
+
+          const candidate = plan
+            .map((stops, index) => {
+              if (index === from) return stops.filter(s => s !== stop);
+              if (index === to) return target;
+              return stops;
+            })
+            .filter(stops => stops.length > 0);
+          const total = scorePlan(candidate, depot, settings).total;
+
+          if (total < best) {
+            plan = candidate;
+            best = total;
+            improved = true;
+            break;
+          }
+        }
+        if (improved) break;
+      }
+      if (improved) break;
+    }
+
+    if (!improved) break;
+  }
+
+  return plan;
+}
+
+// Plan which day each job is done on.
+// options: { startLocation, endLocation, startFromDate, calendar, maxJobsPerDay, maxDayDuration, bufferRules, travelOptions }
+// where calendar is a resolved working calendar (see workingCalendar.js) and bufferRules
+// the resolved buffer rules (see bufferRules.js).
+// Returns { days: [{ date, jobs, workMinutes, travelMinutes, dayMinutes }], score, lateJobs }
+// where jobs are in the order the planner expects to visit them. A multi-day job (duration.days,
+// each a day of maxDayDuration minutes) appears as one segment on each of its consecutive days.
+// lateJobs lists the jobs planned after their due date: { id, title, priority, deadline, dueBy,
+// dueDate, date, reason }.
+function planDays(jobs, {
+  startLocation = null,
+  endLocation = null,
+  startFromDate,
+  calendar = DEFAULT_CALENDAR,
+  maxJobsPerDay = DEFAULT_MAX_JOBS_PER_DAY,
+  maxDayDuration = calendar.workingMinutes,
+  bufferRules = DEFAULT_BUFFER_RULES,
+  travelOptions = {}
+} = {}) {
+  if (jobs.length === 0) {
+    return { days: [], score: scorePlan([], null, {}), lateJobs: [] };
+  }
+
+  const settings = {
+    maxJobsPerDay,
+    maxDayDuration,
+    end: endLocation ? { lat: endLocation.lat, lng: endLocation.lng } : null,
+    measured: new WeakMap(),
+    travel: {
+      averageSpeedKmh: travelOptions.averageSpeedKmh || DEFAULT_AVERAGE_SPEED_KMH,
+      detourFactor: travelOptions.detourFactor || DEFAULT_DETOUR_FACTOR
+    }
+  };
+  const depot = getDepot(startLocation, jobs);
+
+  const stops = jobs.map(job => {
+    const segments = isMultiDayJob(job) ? splitJobIntoSegments(job, maxDayDuration) : [job];
+    const lastSegment = segments[segments.length - 1];
+    const dueDate = getDueDate(job);
+    return {
+      job: lastSegment,
+      segments,
+      leadDays: segments.length - 1,
+      point: { lat: job.location.latitude, lng: job.location.longitude },
+      workMinutes: getJobDurationMinutes(lastSegment),
+      bufferMinutes: getBufferMinutes(job, bufferRules).minutes,
+      dueDate,
+      deadlineDay: dueDate && startFromDate ? countWorkingDays(startFromDate, dueDate, calendar) - 1 : null,
+      priorityCost: PRIORITY_DAY_COST_MINUTES[job.priority || 'normal']
+    };
+  });
+
+  // Sweep around the depot by bearing, trying each starting job (up to MAX_SWEEP_STARTS of them)
+  // and keeping the best packing
+  const bySweepAngle = [...stops].sort((a, b) =>
+    Math.atan2(a.point.lat - depot.lat, a.point.lng - depot.lng) -
+    Math.atan2(b.point.lat - depot.lat, b.point.lng - depot.lng)
+  );
+
+  let bestDays = null;
+  let bestTotal = Infinity;
+  const sweepStarts = Math.min(bySweepAngle.length, MAX_SWEEP_STARTS);
+  for (let attempt = 0; attempt < sweepStarts; attempt++) {
+    const start = Math.floor(attempt * bySweepAngle.length / sweepStarts);
+    const rotated = [...bySweepAngle.slice(start), ...bySweepAngle.slice(0, start)];
+    const days = packSweep(rotated, depot, settings);
+    const { total } = scorePlan(days, depot, settings);
+    if (total < bestTotal) {
+      bestTotal = total;
+      bestDays = days;
+    }
+  }
+
+  const plan = orderDays(improvePlan(bestDays, depot, settings), depot, settings);
+
+  // Lay out the days, putting each multi-day job's lead days straight before its last segment
+  const days = [];
+  for (const dayStops of plan) {
+    for (const stop of dayStops.filter(s => s.leadDays > 0)) {
+      for (const segment of stop.segments.slice(0, -1)) {
+        days.push({ jobs: [segment], ...measureDay([{ ...stop, workMinutes: maxDayDuration }], depot, settings) });
+      }
+    }
+    days.push({ jobs: dayStops.map(stop => stop.job), ...measureDay(dayStops, depot, settings) });
+  }
+
+  const workingDates = startFromDate ? getWorkingDates(startFromDate, days.length, calendar) : [];
+  days.forEach((day, dayIndex) => {
+    day.date = workingDates[dayIndex] || null;
+    day.travelMinutes = Math.round(day.travelMinutes);
+  });
+
+  // Link each multi-day job's segments by the dates they fall on
+  for (const stop of stops.filter(s => s.leadDays > 0)) {
+    const dates = days.filter(day => day.jobs.some(job => stop.segments.includes(job))).map(day => day.date);
+    stop.segments.forEach(segment => {
+      segment.segment.dates = dates;
+    });
+  }
+
+  const dayNumbers = getDayNumbers(plan);
+  const lateJobs = plan.flatMap((dayStops, dayIndex) => dayStops
+    .filter(stop => stop.deadlineDay !== null && dayNumbers[dayIndex] > stop.deadlineDay)
+    .map(stop => ({
+      id: stop.job.id,
+      title: stop.job.title,
+      priority: stop.job.priority || 'normal',
+      deadline: stop.job.deadline,
+      dueBy: stop.job.dueBy,
+      dueDate: stop.dueDate,
+      date: days[dayNumbers[dayIndex]].date,
+      reason: `Due by ${stop.dueDate} but there is no room for it until ${days[dayNumbers[dayIndex]].date}`
+    })));
+
+  return { days, score: scorePlan(plan, depot, settings), lateJobs };
+}
+
+module.exports = {
+  DEFAULT_MAX_JOBS_PER_DAY,
+  planDays
+};
@@ -0,0 +1,185 @@
+// Crew dispatch: assigns each job to a technician who has the skills for it. Each
+// technician's jobs are then routed and timed like a single tradie's day.
+// Technicians come in as { id, name, skills, startLocation, endLocation | returnToStart,
+// calendar, vanCapacity }; jobs list the skills they need in requiredSkills and the van
+// space they take up in load.
+// Jobs are assigned on estimated (straight-line) travel within each technician's working
+// hours and van capacity. The most constrained jobs go first (fewest qualified technicians,
+// then the longest), each where it adds the least driving; single jobs are then moved
+// between technicians while that shortens the total drive by a worthwhile amount.
+const { estimateTravelMinutes } = require('./travelTime.js');
+const { getJobDurationMinutes } = require('./scheduling.js');
+const { DEFAULT_BUFFER_RULES, getBufferMinutes } = require('./bufferRules.js');
+const { resolveCalendar } = require('./workingCalendar.js');
+
+// Safety cap on jobs moved between technicians while improving an assignment
+const MAX_REASSIGNMENT_MOVES = 200;
+
+// A move must save at least this much driving; smaller savings aren't worth piling
+// more work onto one technician for
+const MIN_REASSIGNMENT_GAIN_MINUTES = 5;
+
+// Helper function to compare skills ignoring case and spacing
+const skillKey = skill => skill.trim().toLowerCase();
+
+// Turn the technicians of a request into the form the dispatcher uses:
+// { id, name, skills, start, end, calendar, vanCapacity } where start and end are { lat, lng }
+// (end is null for an open-ended day) and calendar is resolved (see workingCalendar.js)
+function resolveTechnicians(technicians) {
+  return technicians.map(technician => ({
+    id: technician.id,
+    name: technician.name || `Technician ${technician.id}`,
+    skills: (technician.skills || []).map(skillKey),
+    start: { lat: technician.startLocation.lat, lng: technician.startLocation.lng },
+    end: technician.returnToStart
+      ? { lat: technician.startLocation.lat, lng: technician.startLocation.lng }
+      : technician.endLocation ? { lat: technician.endLocation.lat, lng: technician.endLocation.lng } : null,
+    calendar: resolveCalendar(technician.calendar),
+    vanCapacity: technician.vanCapacity ?? Infinity
+  }));
+}
+
+// Helper function to check whether a technician has every skill a job needs
+function isQualified(technician, job) {
+  return (job.requiredSkills || []).every(skill => technician.skills.includes(skillKey(skill)));
+}
+
+// Measure a technician's stops in visiting order: travelMinutes counts the drive from their
+// start and on to their end; dayMinutes is work plus travel and buffers between jobs rounded
+// to quarter hours (the day starts at the first job, as in the scheduler)
+function measureRoute(technician, stops, settings) {
+  let travelMinutes = 0;
+  let dayMinutes = 0;
+  let load = 0;
+
+  stops.forEach((stop, index) => {
+    const leg = estimateTravelMinutes(index === 0 ? technician.start : stops[index - 1].point, stop.point, settings.travel);
+    travelMinutes += leg;
+    dayMinutes += stop.workMinutes;
+    load += stop.load;
+    if (index > 0) {
+      dayMinutes += Math.ceil((leg + stop.bufferMinutes) / 15) * 15;
+    }
+  });
+
+  if (technician.end && stops.length > 0) {
+    travelMinutes += estimateTravelMinutes(stops[stops.length - 1].point, technician.end, settings.travel);
+  }
+
+  return { travelMinutes, dayMinutes, load };
+}
+
+// Helper function to check a technician's stops against their hours and van (a single job
+// longer than their day still gets done)
+function fitsTechnician(technician, stops, settings) {
+  const measured = measureRoute(technician, stops, settings);
+  return measured.load <= technician.vanCapacity &&
+    (stops.length === 1 || measured.dayMinutes <= technician.calendar.workingMinutes);
+}
+
+// Helper function to find where a stop adds the least driving to a technician's route:
+// { stops, addedMinutes }, or null when it fits nowhere
+function bestInsertion(technician, stops, stop, settings) {
+  const current = measureRoute(technician, stops, settings).travelMinutes;
+  let best = null;
+
+  for (let position = 0; position <= stops.length; position++) {
+    const candidate = [...stops.slice(0, position), stop, ...stops.slice(position)];
+    if (!fitsTechnician(technician, candidate, settings)) continue;
+    const addedMinutes = measureRoute(technician, candidate, settings).travelMinutes - current;
+    if (!best || addedMinutes < best.addedMinutes) {
+      best = { stops: candidate, addedMinutes };
+    }
+  }
+  return best;
+}
+
+// Move single jobs to other qualified technicians while it shortens the total drive
+// by at least MIN_REASSIGNMENT_GAIN_MINUTES
+function improveAssignment(routes, technicians, settings) {
+  for (let moves = 0; moves < MAX_REASSIGNMENT_MOVES; moves++) {
+    let bestMove = null;
+
+    routes.forEach((stops, from) => {
+      stops.forEach((stop, index) => {
+        const remaining = stops.filter((_, i) => i !== index);
+        const saved = measureRoute(technicians[from], stops, settings).travelMinutes -
+          measureRoute(technicians[from], remaining, settings).travelMinutes;
+
+        routes.forEach((targetStops, to) => {
+          if (to === from || !stop.qualified.includes(to)) return;
+          const insertion = bestInsertion(technicians[to], targetStops, stop, settings);
+          if (!insertion) return;
+          const gain = saved - insertion.addedMinutes;
+          if (gain >= MIN_REASSIGNMENT_GAIN_MINUTES && (!bestMove || gain > bestMove.gain)) {
+            bestMove = { from, to, remaining, stops: insertion.stops, gain };
+          }
+        });
+      });
+    });
+
+    if (!bestMove) break;
+    routes[bestMove.from] = bestMove.remaining;
+    routes[bestMove.to] = bestMove.stops;
+  }
+  return routes;
+}
+
+// Assign jobs to technicians (resolved with resolveTechnicians).
+// options: { bufferRules, travelOptions }
+// Returns { routes: [{ technician, jobs }] in technician order, with each technician's jobs
+// in the order they would be visited, and unassigned: [{ ...job, reason }] }
+function assignJobs(jobs, technicians, { bufferRules = DEFAULT_BUFFER_RULES, travelOptions = {} } = {}) {
+  const settings = { travel: travelOptions };
+  const unassigned = [];
+  const stops = [];
+
+  for (const job of jobs) {
+    const qualified = technicians.map((technician, index) => isQualified(technician, job) ? index : -1).filter(index => index !== -1);
+    if (qualified.length === 0) {
+      const skills = (job.requiredSkills || []).join(', ');
+      unassigned.push({ ...job, reason: technicians.length === 0 ? 'No technician is working' : `No technician has the skills: ${skills}` });
+      continue;
+    }
+    stops.push({
+      job,
+      qualified,
+      point: { lat: job.location.latitude, lng: job.location.longitude },
+      workMinutes: getJobDurationMinutes(job),
+      bufferMinutes: getBufferMinutes(job, bufferRules).minutes,
+      load: job.load || 0
+    });
+  }
+
+  // Most constrained jobs first: fewest qualified technicians, then the longest
+  stops.sort((a, b) => a.qualified.length - b.qualified.length || b.workMinutes - a.workMinutes);
+
+  const routes = technicians.map(() => []);
+  for (const stop of stops) {
+    let best = null;
+    for (const index of stop.qualified) {
+      const insertion = bestInsertion(technicians[index], routes[index], stop, settings);
+      if (insertion && (!best || insertion.addedMinutes < best.addedMinutes)) {
+        best = { index, ...insertion };
+      }
+    }
+    if (best) {
+      routes[best.index] = best.stops;
+    } else {
+      unassigned.push({ ...stop.job, reason: 'No qualified technician has the time or van space left' });
+    }
+  }
+
+  return {
+    routes: improveAssignment(routes, technicians, settings).map((route, index) => ({
+      technician: technicians[index],
+      jobs: route.map(stop => stop.job)
+    })),
+    unassigned
+  };
+}
+
+module.exports = {
+  resolveTechnicians,
+  assignJobs
+};
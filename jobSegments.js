@@ -0,0 +1,66 @@
+// Multi-day jobs. A job whose duration has days (full working days) is split into one
+// segment per day so the multi-day planner can put it on consecutive days: every segment
+// but the last takes a whole day, the last takes what is left and can share its day.
+// Segments keep the job's id and are linked by segment: { jobId, number, of, dates, totalDuration }.
+const { WORKDAY_MINUTES, getJobDurationMinutes } = require('./scheduling.js');
+
+// Helper function to check whether a job spans more than one day
+function isMultiDayJob(job) {
+  return (job.duration?.days || 0) > 0;
+}
+
+// Split a multi-day job into day-sized segments (dayMinutes of work each)
+function splitJobIntoSegments(job, dayMinutes = WORKDAY_MINUTES) {
+  const { segments: _segments, ...task } = job;
+  const totalMinutes = getJobDurationMinutes(task, dayMinutes);
+  const count = Math.ceil(totalMinutes / dayMinutes);
+
+  return Array.from({ length: count }, (_, index) => {
+    const minutes = index < count - 1 ? dayMinutes : totalMinutes - dayMinutes * (count - 1);
+    return {
+      ...task,
+      duration: { days: 0, hours: Math.floor(minutes / 60), minutes: minutes % 60 },
+      segment: {
+        jobId: task.id,
+        number: index + 1,
+        of: count,
+        dates: [],
+        totalDuration: task.duration
+      }
+    };
+  });
+}
+
+// Combine scheduled segments (in date order) back into one task per job for storage.
+// The task runs from the first segment's start to the last segment's end and lists its segments.
+function mergeSegments(jobs) {
+  const merged = [];
+  const byJobId = new Map();
+
+  for (const job of jobs) {
+    if (!job.segment) {
+      merged.push(job);
+      continue;
+    }
+
+    const { segment, ...task } = job;
+    let entry = byJobId.get(segment.jobId);
+    if (!entry) {
+      entry = { ...task, duration: segment.totalDuration, segments: [] };
+      byJobId.set(segment.jobId, entry);
+      merged.push(entry);
+    }
+
+    entry.segments.push({ number: segment.number, startDate: job.startDate, endDate: job.endDate });
+    entry.startDate = entry.segments[0].startDate;
+    entry.endDate = job.endDate;
+  }
+
+  return merged;
+}
+
+module.exports = {
+  isMultiDayJob,
+  splitJobIntoSegments,
+  mergeSegments
+};
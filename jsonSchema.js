@@ -0,0 +1,116 @@
+// Minimal JSON Schema validator covering the keywords our schemas use:
+// type, enum, required, properties, additionalProperties (false or a schema), items, minItems, maxItems,
+// minLength, minimum, maximum, pattern, format and anyOf.
+// Returns a list of { path, message, code } errors, where code is the keyword that
+// failed; an empty list means the value is valid.
+// Formats are checked with the functions in options.formats: { name: value => boolean },
+// and a schema can give a formatMessage to explain a failed format.
+
+// Helper function to get the JSON type name of a value
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Helper function to check a value against a schema type (integers are numbers too)
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+function validateSchema(schema, value, path = '', options = {}) {
+  const errors = [];
+  const at = path || '(root)';
+
+  // anyOf is checked on top of the schema's other keywords
+  if (schema.anyOf) {
+    const branchErrors = schema.anyOf.map(branch => validateSchema(branch, value, path, options));
+    if (branchErrors.every(list => list.length > 0)) {
+      // Report the branch that got furthest so the message is useful
+      const closest = branchErrors.reduce((a, b) => (b.length < a.length ? b : a));
+      errors.push(...closest);
+    }
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path: at, message: `must be of type ${[].concat(schema.type).join(' or ')}`, code: 'type' });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}`, code: 'enum' });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: `must be at least ${schema.minLength} characters`, code: 'minLength' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: schema.patternMessage || `must match ${schema.pattern}`, code: 'pattern' });
+    }
+    if (schema.format) {
+      const check = options.formats?.[schema.format];
+      if (!check) {
+        throw new Error(`Unknown schema format: ${schema.format}`);
+      }
+      if (!check(value)) {
+        errors.push({ path: at, message: schema.formatMessage || `must be a valid ${schema.format}`, code: 'format' });
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be at least ${schema.minimum}`, code: 'minimum' });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be at most ${schema.maximum}`, code: 'maximum' });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must contain at least ${schema.minItems} item(s)`, code: 'minItems' });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must contain at most ${schema.maxItems} item(s)`, code: 'maxItems' });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`, options));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push({ path: path ? `${path}.${field}` : field, message: 'is required', code: 'required' });
+      }
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const fieldPath = path ? `${path}.${field}` : field;
+      if (schema.properties && Object.hasOwn(schema.properties, field)) {
+        if (fieldValue !== undefined) {
+          errors.push(...validateSchema(schema.properties[field], fieldValue, fieldPath, options));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: fieldPath, message: 'is not allowed', code: 'additionalProperties' });
+      } else if (typeof schema.additionalProperties === 'object' && fieldValue !== undefined) {
+        errors.push(...validateSchema(schema.additionalProperties, fieldValue, fieldPath, options));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Helper function to turn validation errors into one readable line
+function formatSchemaErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`).join('; ');
+}
+
+module.exports = { validateSchema, formatSchemaErrors };
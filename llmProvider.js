@@ -0,0 +1,158 @@
+// LLM providers used for chat replies and route explanations.
+// Every provider exposes complete(useCase, params, { onText }) which resolves to an
+// OpenAI-style assistant message: { role, content, tool_calls }.
+// `params` are chat completion params without a model; the provider picks the model
+// configured for the use case. With onText the reply is streamed and onText is
+// called with each piece of reply text as it arrives.
+const OpenAI = require('openai');
+const { createMockLlmClient, readMockResponses } = require('./mockLlm.js');
+
+// Models used for each use case unless overridden by LLM_MODEL or LLM_MODEL_<USE_CASE>
+const DEFAULT_MODELS = {
+  chat: 'gpt-4o-mini',
+  conflictReply: 'gpt-4o-mini',
+  routeExplanation: 'gpt-3.5-turbo'
+};
+
+// Helper function to read the model for each use case from the environment,
+// e.g. LLM_MODEL_ROUTE_EXPLANATION for routeExplanation
+function getModelsFromEnv(env = process.env) {
+  const models = {};
+  for (const [useCase, defaultModel] of Object.entries(DEFAULT_MODELS)) {
+    const envName = `LLM_MODEL_${useCase.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+    models[useCase] = env[envName] || env.LLM_MODEL || defaultModel;
+  }
+  return models;
+}
+
+// Assemble a streamed chat completion into a single assistant message,
+// calling onText with each piece of reply text as it arrives
+async function collectStreamedMessage(stream, onText) {
+  let content = '';
+  const toolCalls = [];
+
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) continue;
+
+    if (delta.content) {
+      content += delta.content;
+      onText(delta.content);
+    }
+
+    // Tool calls arrive in pieces keyed by index; the arguments JSON is split across chunks
+    for (const part of delta.tool_calls || []) {
+      const toolCall = toolCalls[part.index] ||
+        (toolCalls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+      if (part.id) toolCall.id = part.id;
+      if (part.function?.name) toolCall.function.name += part.function.name;
+      if (part.function?.arguments) toolCall.function.arguments += part.function.arguments;
+    }
+  }
+
+  const message = { role: 'assistant', content: content || null };
+  const completeToolCalls = toolCalls.filter(Boolean);
+  if (completeToolCalls.length > 0) message.tool_calls = completeToolCalls;
+  return message;
+}
+
+// Build a provider on top of any client with the OpenAI chat completions API.
+// getClient(useCase) is called for every request so clients can be created lazily.
+function createChatCompletionsProvider(name, getClient, models) {
+  return {
+    name,
+    models,
+    async complete(useCase, params, { onText } = {}) {
+      const model = models[useCase];
+      if (!model) {
+        throw new Error(`Unknown LLM use case: ${useCase}`);
+      }
+
+      const client = getClient(useCase);
+      if (!onText) {
+        const completion = await client.chat.completions.create({ ...params, model });
+        return completion.choices[0].message;
+      }
+
+      const stream = await client.chat.completions.create({ ...params, model, stream: true });
+      return collectStreamedMessage(stream, onText);
+    }
+  };
+}
+
+// Provider for OpenAI, or any OpenAI-compatible endpoint when baseURL is set
+// (e.g. a local Ollama or LM Studio server). The client is created on first use,
+// so a missing API key only fails the requests that need the LLM.
+// An existing client (or a stub with the same chat.completions API) can be passed instead.
+function createOpenAiLlmProvider({ client = null, apiKey, baseURL, models = DEFAULT_MODELS, name = 'openai' } = {}) {
+  return createChatCompletionsProvider(name, () => {
+    if (!client) {
+      if (!apiKey && !baseURL) {
+        throw new Error('OpenAI API key is not configured');
+      }
+      // Local endpoints usually ignore the key, but the client requires one
+      client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL });
+    }
+    return client;
+  }, models);
+}
+
+// Provider that replays canned replies, for running the API offline and in tests.
+// `responses` is either one list of replies used in order by every use case, or an
+// object with a list per use case: { chat: [...], routeExplanation: [...] }.
+function createMockLlmProvider(responses = [], { models = DEFAULT_MODELS } = {}) {
+  const sharedClient = Array.isArray(responses) ? createMockLlmClient({ responses }) : null;
+  const clients = {};
+
+  return createChatCompletionsProvider('mock', useCase => {
+    if (sharedClient) return sharedClient;
+    if (!clients[useCase]) {
+      clients[useCase] = createMockLlmClient({ responses: responses[useCase] || [] });
+    }
+    return clients[useCase];
+  }, models);
+}
+
+// Pick the LLM provider from LLM_PROVIDER (default openai):
+//   openai            - OPENAI_API_KEY
+//   openai-compatible - LLM_BASE_URL, with an optional LLM_API_KEY
+//   mock              - canned replies from the JSON file in LLM_MOCK_RESPONSES, if set
+function getLlmProvider(name = process.env.LLM_PROVIDER || 'openai') {
+  const models = getModelsFromEnv();
+
+  switch (name) {
+    case 'openai':
+      return createOpenAiLlmProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.LLM_BASE_URL || undefined,
+        models
+      });
+
+    case 'openai-compatible':
+      if (!process.env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL must be set to use an OpenAI-compatible provider');
+      }
+      return createOpenAiLlmProvider({
+        apiKey: process.env.LLM_API_KEY,
+        baseURL: process.env.LLM_BASE_URL,
+        models,
+        name
+      });
+
+    case 'mock':
+      return createMockLlmProvider(readMockResponses(process.env.LLM_MOCK_RESPONSES), { models });
+
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+module.exports = {
+  createOpenAiLlmProvider,
+  createMockLlmProvider,
+  getLlmProvider,
+  getModelsFromEnv,
+  collectStreamedMessage,
+  DEFAULT_MODELS,
+  LLM_PROVIDERS: ['openai', 'openai-compatible', 'mock']
+};
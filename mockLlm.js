@@ -0,0 +1,87 @@
+// Local stand-in for the OpenAI client so the API can run offline.
+// It replays canned assistant replies in order, each { content, tool_calls }, where a
+// tool call may be written as { name, arguments } for short. Once the replies run out
+// every request gets a fixed text reply. Streaming requests get the reply in chunks.
+const fs = require('fs');
+
+const DEFAULT_REPLY = { content: 'This is a reply from the mock LLM.' };
+
+// Helper function to read canned replies from a JSON file: an array of replies,
+// or an object with an array of replies per use case
+function readMockResponses(filePath) {
+  if (!filePath) return [];
+  const responses = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const lists = Array.isArray(responses) ? [responses] : Object.values(responses || {});
+  if (!responses || typeof responses !== 'object' || !lists.every(Array.isArray)) {
+    throw new Error(`Mock LLM responses in ${filePath} must be an array, or an object of arrays`);
+  }
+  return responses;
+}
+
+// Helper function to turn a canned reply into an OpenAI assistant message
+function toAssistantMessage(reply, replyNumber) {
+  const message = { role: 'assistant', content: reply.content ?? null };
+
+  if (Array.isArray(reply.tool_calls) && reply.tool_calls.length > 0) {
+    message.tool_calls = reply.tool_calls.map((toolCall, index) => {
+      const fn = toolCall.function || toolCall;
+      return {
+        id: toolCall.id || `call_mock_${replyNumber}_${index}`,
+        type: 'function',
+        function: {
+          name: fn.name,
+          arguments: typeof fn.arguments === 'string' ? fn.arguments : JSON.stringify(fn.arguments || {})
+        }
+      };
+    });
+  }
+
+  return message;
+}
+
+// Helper function to stream a message as chat completion chunks, a word at a time
+async function* streamMessage(message, model) {
+  const chunk = (delta, finishReason = null) => ({
+    object: 'chat.completion.chunk',
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  });
+
+  yield chunk({ role: 'assistant' });
+
+  for (const word of (message.content || '').match(/\S+\s*/g) || []) {
+    yield chunk({ content: word });
+  }
+
+  for (const [index, toolCall] of (message.tool_calls || []).entries()) {
+    yield chunk({ tool_calls: [{ index, ...toolCall }] });
+  }
+
+  yield chunk({}, message.tool_calls ? 'tool_calls' : 'stop');
+}
+
+function createMockLlmClient({ responses = [] } = {}) {
+  let replyCount = 0;
+
+  return {
+    chat: {
+      completions: {
+        async create(params) {
+          const reply = responses[replyCount] || DEFAULT_REPLY;
+          replyCount++;
+          const message = toAssistantMessage(reply, replyCount);
+
+          if (params.stream) return streamMessage(message, params.model);
+
+          return {
+            object: 'chat.completion',
+            model: params.model,
+            choices: [{ index: 0, message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }]
+          };
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createMockLlmClient, readMockResponses };
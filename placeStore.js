@@ -0,0 +1,116 @@
+// File-backed store for the geocode cache and each user's named places.
+// Everything is kept in a single JSON file:
+//   { "geocodes": { "<normalized address>": { location, cachedAt } },
+//     "places": { "<userId>": [place, ...] } }
+// Writes go through a temporary file and a queue, as in scheduleStore.js.
+const fs = require('fs');
+const path = require('path');
+const { normalizeAddress } = require('./places.js');
+
+const DEFAULT_PLACE_STORE_PATH = path.join(__dirname, 'data', 'places.json');
+
+// Helper function to build a place id from its name ("Mitre 10 Thornleigh" -> "mitre-10-thornleigh")
+function placeIdFromName(name) {
+  return normalizeAddress(name).replace(/ /g, '-');
+}
+
+function createPlaceStore({ filePath = process.env.PLACE_STORE_PATH || DEFAULT_PLACE_STORE_PATH } = {}) {
+  let writeQueue = Promise.resolve();
+
+  // Both maps are keyed by outside input (addresses and user ids), so they're read into
+  // objects without a prototype ("constructor" or "__proto__" is then just another key)
+  const readAll = () => {
+    let data = {};
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return {
+      geocodes: Object.assign(Object.create(null), data.geocodes),
+      places: Object.assign(Object.create(null), data.places)
+    };
+  };
+
+  const writeAll = (data) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  // Run a read-modify-write against the whole store
+  const update = (mutate) => {
+    const run = writeQueue.then(() => {
+      const data = readAll();
+      const result = mutate(data);
+      writeAll(data);
+      return result;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  // Run a read-modify-write against one user's places
+  const updatePlaces = (userId, mutate) => update(data => {
+    const places = data.places[userId] || [];
+    const result = mutate(places);
+    data.places[userId] = places;
+    return result;
+  });
+
+  return {
+    // Get the cached geocode result for an address, or null
+    async getGeocode(address) {
+      await writeQueue;
+      return readAll().geocodes[normalizeAddress(address)]?.location || null;
+    },
+
+    // Cache a geocode result under the normalized address
+    async saveGeocode(address, location) {
+      return update(data => {
+        data.geocodes[normalizeAddress(address)] = { location, cachedAt: new Date().toISOString() };
+        return location;
+      });
+    },
+
+    // Get a user's named places
+    async getPlaces(userId) {
+      await writeQueue;
+      return readAll().places[userId] || [];
+    },
+
+    // Add a place, with an id made from its name unless it has one
+    async addPlace(userId, place) {
+      return updatePlaces(userId, places => {
+        const stored = { aliases: [], ...place, id: place.id ?? placeIdFromName(place.name) };
+        if (places.some(p => p.id === stored.id)) {
+          throw new Error(`Place ${stored.id} already exists`);
+        }
+        places.push(stored);
+        return stored;
+      });
+    },
+
+    // Merge changes into a place; resolves to null when it does not exist
+    async updatePlace(userId, placeId, changes) {
+      return updatePlaces(userId, places => {
+        const index = places.findIndex(p => p.id === placeId);
+        if (index === -1) return null;
+        places[index] = { ...places[index], ...changes, id: places[index].id };
+        return places[index];
+      });
+    },
+
+    // Remove a place; resolves to the removed place or null when it does not exist
+    async deletePlace(userId, placeId) {
+      return updatePlaces(userId, places => {
+        const index = places.findIndex(p => p.id === placeId);
+        if (index === -1) return null;
+        return places.splice(index, 1)[0];
+      });
+    }
+  };
+}
+
+module.exports = { createPlaceStore, placeIdFromName };
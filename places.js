@@ -0,0 +1,140 @@
+// Named places a tradie goes to often ("the yard", "Bunnings Carlingford", a regular
+// customer's site) and matching what someone typed in chat against them.
+// A place is { id, name, aliases, brand, location } where location has the same shape
+// as a task's location. Places of the same brand (e.g. every Bunnings) are branches;
+// asking for just the brand picks the branch closest to the day's route. The branches are
+// the user's saved places plus the built-in ones in data.js, so a brand only has the branches
+// someone has saved.
+const { calculateDistance } = require('./travelTime.js');
+
+// Common street type abbreviations, so "12 Smith St" and "12 Smith Street" match
+const ADDRESS_ABBREVIATIONS = {
+  st: 'street',
+  rd: 'road',
+  ave: 'avenue',
+  av: 'avenue',
+  dr: 'drive',
+  hwy: 'highway',
+  pde: 'parade',
+  cres: 'crescent',
+  ct: 'court',
+  pl: 'place',
+  ln: 'lane',
+  tce: 'terrace',
+  bvd: 'boulevard',
+  blvd: 'boulevard'
+};
+
+// Words that can go with a brand and still mean "whichever branch" ("the Bunnings store")
+const GENERIC_BRANCH_WORDS = new Set(['the', 'a', 'nearest', 'closest', 'local', 'store', 'shop', 'branch', 'outlet', 'warehouse']);
+
+// Normalize an address or place name for matching and cache keys:
+// lower case, no punctuation, single spaces and street types spelled out
+function normalizeAddress(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+// Helper function to check whether normalized text contains a normalized phrase as whole words
+function containsPhrase(text, phrase) {
+  return phrase.length > 0 && ` ${text} `.includes(` ${phrase} `);
+}
+
+// Helper function to check whether normalized text asks for a brand and nothing more specific:
+// just the brand, or the brand with generic words ("bunnings", "the nearest bunnings store")
+function isBrandOnly(text, brand) {
+  if (!containsPhrase(text, brand)) return false;
+  const rest = ` ${text} `.replace(` ${brand} `, ' ').trim();
+  return rest === '' || rest.split(' ').every(word => GENERIC_BRANCH_WORDS.has(word));
+}
+
+// Get the coordinates of a place (or anything else with a task-style location) as { lat, lng },
+// or null without them
+function getPlacePoint(place) {
+  const { latitude, longitude } = place.location || {};
+  return typeof latitude === 'number' && typeof longitude === 'number' ? { lat: latitude, lng: longitude } : null;
+}
+
+// Helper function to get the straight-line km from a { lat, lng } point to the nearest of a
+// route's points (Infinity without a point or a route)
+function getDistanceToRoute(point, routePoints) {
+  if (!point) return Infinity;
+  return Math.min(...routePoints.map(routePoint => calculateDistance(point.lat, point.lng, routePoint.lat, routePoint.lng)));
+}
+
+// Get the place closest to a route (the smallest distance to any of its { lat, lng } points).
+// Without a route, or places without coordinates, the first place is returned.
+function findNearestPlace(places, routePoints = []) {
+  let nearest = places[0] || null;
+  let nearestKm = Infinity;
+
+  for (const place of places) {
+    const km = getDistanceToRoute(getPlacePoint(place), routePoints);
+    if (km < nearestKm) {
+      nearestKm = km;
+      nearest = place;
+    }
+  }
+  return nearest;
+}
+
+// Rank task locations by how far they are from a route, nearest first, adding distanceKm
+// (rounded to 0.1 km; null without a route or coordinates). Ties keep their order.
+function rankByDistance(locations, routePoints = []) {
+  return locations
+    .map(location => {
+      const km = getDistanceToRoute(getPlacePoint({ location }), routePoints);
+      return { ...location, distanceKm: Number.isFinite(km) ? Math.round(km * 10) / 10 : null };
+    })
+    .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+}
+
+// Match what was typed against the places. In order of preference:
+//   name   - the text is a place's name or alias
+//   name   - the text mentions a place's name or alias (the longest one wins)
+//   branch - the text is just a brand (maybe with words like "store"); the branch closest
+//            to routePoints is picked
+// Returns { place, match } or null when nothing matches, e.g. for "Bunnings Penrith" without
+// a saved Penrith branch, so the address can be looked up instead.
+function findPlace(places, text, routePoints = []) {
+  const normalized = normalizeAddress(text);
+  if (!normalized) return null;
+
+  const names = place => [place.name, ...(place.aliases || [])].map(normalizeAddress);
+
+  const exact = places.find(place => names(place).includes(normalized));
+  if (exact) return { place: exact, match: 'name' };
+
+  let mentioned = null;
+  let mentionedLength = 0;
+  for (const place of places) {
+    for (const name of names(place)) {
+      if (name.length > mentionedLength && containsPhrase(normalized, name)) {
+        mentioned = place;
+        mentionedLength = name.length;
+      }
+    }
+  }
+  if (mentioned) return { place: mentioned, match: 'name' };
+
+  const branches = places.filter(place => place.brand && isBrandOnly(normalized, normalizeAddress(place.brand)));
+  if (branches.length > 0) {
+    return { place: findNearestPlace(branches, routePoints), match: 'branch' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  normalizeAddress,
+  getPlacePoint,
+  findNearestPlace,
+  findPlace,
+  rankByDistance
+};
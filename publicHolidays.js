@@ -0,0 +1,164 @@
+// Australian public holidays by state, worked out from the rules rather than a fixed
+// list so any year is covered. Only statewide holidays are included: regional days
+// (show days, regattas), part-day holidays and one-off proclamations are not, and can
+// be added as extra days off in the working calendar.
+// Dates are YYYY-MM-DD strings.
+
+const AU_STATES = ['NSW', 'VIC', 'QLD', 'SA', 'WA', 'TAS', 'ACT', 'NT'];
+
+// Helper function to format a UTC date as YYYY-MM-DD
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Helper function to build a UTC date (month is 1-12)
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Helper function to shift a UTC date by a number of days
+function shiftDays(date, days) {
+  return new Date(date.getTime() + days * 86400000);
+}
+
+// Helper function to get the nth weekday (0 = Sunday) of a month; n = -1 is the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n < 0) {
+    const last = utcDate(year, month + 1, 0);
+    return shiftDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = utcDate(year, month, 1);
+  return shiftDays(first, (weekday - first.getUTCDay() + 7) % 7 + (n - 1) * 7);
+}
+
+// Helper function to get the first given weekday on or after a date
+function weekdayOnOrAfter(date, weekday) {
+  return shiftDays(date, (weekday - date.getUTCDay() + 7) % 7);
+}
+
+// Helper function to get Easter Sunday (anonymous Gregorian algorithm)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+}
+
+// Helper function to add a fixed-date holiday, with the following Monday off when it falls on a weekend
+function withMondaySubstitute(date, name) {
+  const holidays = [{ date, name }];
+  const weekday = date.getUTCDay();
+  if (weekday === 6 || weekday === 0) {
+    holidays.push({ date: weekdayOnOrAfter(date, 1), name: `${name} (additional day)` });
+  }
+  return holidays;
+}
+
+// Helper function to add Christmas Day and Boxing Day, with weekday substitutes
+function christmasHolidays(year, boxingDayName) {
+  const christmas = utcDate(year, 12, 25);
+  const holidays = [
+    { date: christmas, name: 'Christmas Day' },
+    { date: utcDate(year, 12, 26), name: boxingDayName }
+  ];
+  const weekday = christmas.getUTCDay();
+  if (weekday === 5) {
+    // Boxing Day on Saturday
+    holidays.push({ date: utcDate(year, 12, 28), name: `${boxingDayName} (additional day)` });
+  } else if (weekday === 6) {
+    holidays.push({ date: utcDate(year, 12, 27), name: 'Christmas Day (additional day)' });
+    holidays.push({ date: utcDate(year, 12, 28), name: `${boxingDayName} (additional day)` });
+  } else if (weekday === 0) {
+    holidays.push({ date: utcDate(year, 12, 27), name: 'Christmas Day (additional day)' });
+  }
+  return holidays;
+}
+
+// Get a state's public holidays for a year, sorted by date: [{ date, name }]
+function getPublicHolidays(state, year) {
+  if (!AU_STATES.includes(state)) {
+    throw new Error(`Unknown state: ${state}. Use one of: ${AU_STATES.join(', ')}`);
+  }
+
+  const easter = easterSunday(year);
+  const anzacDay = utcDate(year, 4, 25);
+  const holidays = [
+    ...withMondaySubstitute(utcDate(year, 1, 1), "New Year's Day"),
+    ...withMondaySubstitute(utcDate(year, 1, 26), 'Australia Day'),
+    { date: shiftDays(easter, -2), name: 'Good Friday' },
+    { date: easter, name: 'Easter Sunday' },
+    { date: shiftDays(easter, 1), name: 'Easter Monday' },
+    ...(['WA', 'ACT'].includes(state) ? withMondaySubstitute(anzacDay, 'Anzac Day') : [{ date: anzacDay, name: 'Anzac Day' }]),
+    ...christmasHolidays(year, state === 'SA' ? 'Proclamation Day' : 'Boxing Day')
+  ];
+
+  if (!['WA', 'TAS'].includes(state)) {
+    holidays.push({ date: shiftDays(easter, -1), name: 'Easter Saturday' });
+  }
+
+  // King's Birthday: second Monday in June, except Queensland (October) and WA (September)
+  if (state === 'QLD') {
+    holidays.push({ date: nthWeekday(year, 10, 1, 1), name: "King's Birthday" });
+  } else if (state === 'WA') {
+    holidays.push({ date: nthWeekday(year, 9, 1, -1), name: "King's Birthday" });
+  } else {
+    holidays.push({ date: nthWeekday(year, 6, 1, 2), name: "King's Birthday" });
+  }
+
+  const labourDay = {
+    NSW: nthWeekday(year, 10, 1, 1),
+    ACT: nthWeekday(year, 10, 1, 1),
+    SA: nthWeekday(year, 10, 1, 1),
+    VIC: nthWeekday(year, 3, 1, 2),
+    TAS: nthWeekday(year, 3, 1, 2),
+    WA: nthWeekday(year, 3, 1, 1),
+    QLD: nthWeekday(year, 5, 1, 1),
+    NT: nthWeekday(year, 5, 1, 1)
+  }[state];
+  holidays.push({ date: labourDay, name: { TAS: 'Eight Hours Day', NT: 'May Day' }[state] || 'Labour Day' });
+
+  if (state === 'VIC') {
+    holidays.push({ date: nthWeekday(year, 11, 2, 1), name: 'Melbourne Cup' });
+  }
+  if (state === 'SA') {
+    holidays.push({ date: nthWeekday(year, 3, 1, 2), name: 'Adelaide Cup Day' });
+  }
+  if (state === 'WA') {
+    holidays.push({ date: nthWeekday(year, 6, 1, 1), name: 'Western Australia Day' });
+  }
+  if (state === 'ACT') {
+    holidays.push({ date: nthWeekday(year, 3, 1, 2), name: 'Canberra Day' });
+    holidays.push({ date: weekdayOnOrAfter(utcDate(year, 5, 27), 1), name: 'Reconciliation Day' });
+  }
+  if (state === 'NT') {
+    holidays.push({ date: nthWeekday(year, 8, 1, 1), name: 'Picnic Day' });
+  }
+
+  return holidays
+    .map(holiday => ({ date: toDateString(holiday.date), name: holiday.name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Get the name of the public holiday on a date in a state, or null
+function getPublicHolidayName(state, dateString) {
+  const year = parseInt(dateString.slice(0, 4));
+  return getPublicHolidays(state, year).find(holiday => holiday.date === dateString)?.name || null;
+}
+
+module.exports = {
+  AU_STATES,
+  easterSunday,
+  getPublicHolidays,
+  getPublicHolidayName
+};
@@ -0,0 +1,70 @@
+// Re-planning the rest of a day from where the tradie is. Jobs that are done or under way
+// are taken out, and the remaining jobs are re-sequenced and re-timed from the moment the
+// tradie can leave: now, or when the job in progress is expected to finish.
+const { getJobDurationMinutes } = require('./scheduling.js');
+const { DEFAULT_TIMEZONE, getLocalMinutes, parseTimestamp } = require('./timezone.js');
+
+// Helper function to compare job ids that may arrive as numbers or strings
+const sameId = (a, b) => String(a) === String(b);
+
+// Split a day's jobs into completed, in-progress and remaining ones.
+// Returns { completed, inProgressJob, remaining, unknownIds } where unknownIds lists ids
+// in completedJobIds or inProgress that are not among the jobs.
+function splitRemainingJobs(jobs, { completedJobIds = [], inProgress = null } = {}) {
+  const isCompleted = job => completedJobIds.some(id => sameId(id, job.id));
+  const inProgressJob = inProgress ? jobs.find(job => sameId(job.id, inProgress.jobId)) || null : null;
+
+  const unknownIds = [
+    ...completedJobIds.filter(id => !jobs.some(job => sameId(job.id, id))),
+    ...(inProgress && !inProgressJob ? [inProgress.jobId] : [])
+  ];
+
+  return {
+    completed: jobs.filter(isCompleted),
+    inProgressJob,
+    remaining: jobs.filter(job => !isCompleted(job) && job !== inProgressJob),
+    unknownIds
+  };
+}
+
+// Work out when the tradie can leave for the remaining jobs, in minutes after midnight:
+// the current time, or once the job in progress is done. Its remaining time is
+// inProgress.remainingMinutes, else what is left of its scheduled time (its endDate),
+// else its whole duration counted from now. Never earlier than the day's start.
+function getDepartureMinutes(currentTime, { inProgress = null, inProgressJob = null, calendar, timezone = DEFAULT_TIMEZONE }) {
+  const nowMinutes = getLocalMinutes(currentTime, timezone);
+  let remainingMinutes = 0;
+
+  if (inProgressJob) {
+    if (inProgress.remainingMinutes !== undefined) {
+      remainingMinutes = inProgress.remainingMinutes;
+    } else if (inProgressJob.endDate) {
+      remainingMinutes = Math.max(0, Math.ceil((parseTimestamp(inProgressJob.endDate, timezone) - parseTimestamp(currentTime, timezone)) / 60000));
+    } else {
+      remainingMinutes = getJobDurationMinutes(inProgressJob);
+    }
+  }
+
+  return Math.max(calendar.startMinutes, nowMinutes + remainingMinutes);
+}
+
+// Find the re-timed jobs that now start later than they were planned to (their previous startDate,
+// read in the timezone when it has no offset): [{ id, title, previousStartDate, startDate, delayMinutes }]
+function findDelayedJobs(previousJobs, scheduledJobs, timezone = DEFAULT_TIMEZONE) {
+  const delayed = [];
+  for (const job of scheduledJobs) {
+    const previous = previousJobs.find(p => sameId(p.id, job.id));
+    if (!previous?.startDate) continue;
+    const delayMinutes = Math.round((parseTimestamp(job.startDate, timezone) - parseTimestamp(previous.startDate, timezone)) / 60000);
+    if (delayMinutes > 0) {
+      delayed.push({ id: job.id, title: job.title, previousStartDate: previous.startDate, startDate: job.startDate, delayMinutes });
+    }
+  }
+  return delayed;
+}
+
+module.exports = {
+  splitRemainingJobs,
+  getDepartureMinutes,
+  findDelayedJobs
+};
@@ -0,0 +1,397 @@
+// JSON schemas for the job/task object and the body (or query) of each endpoint.
+// Checked by the validateRequest middleware in apiErrors.js before a handler runs,
+// so handlers can rely on the shapes described here.
+const { isValidDateString } = require('./chatDates.js');
+const { isValidTimezone, parseTimestamp } = require('./timezone.js');
+const { parseTimeOfDay } = require('./timeWindows.js');
+const { TASK_TYPES, TASK_PRIORITIES } = require('./taskOperations.js');
+const { TRAVEL_TIME_PROVIDERS } = require('./travelTime.js');
+const { WEEKDAYS } = require('./workingCalendar.js');
+const { AU_STATES } = require('./publicHolidays.js');
+
+// Maximum jobs for one day's route (/optimize-route and /replan-route)
+const MAX_DAY_JOBS = 50;
+
+// Maximum jobs for one multi-day optimization request
+const MAX_MULTI_DAY_JOBS = 300;
+
+// Maximum jobs and technicians for one dispatch request
+const MAX_DISPATCH_JOBS = 50;
+const MAX_TECHNICIANS = 20;
+
+// String formats used by the schemas below (see jsonSchema.js)
+const FORMATS = {
+  date: value => isValidDateString(value),
+  timezone: value => isValidTimezone(value),
+  timestamp: value => parseTimestamp(value) !== null,
+  'time-of-day': value => !Number.isNaN(parseTimeOfDay(value))
+};
+
+const DATE_SCHEMA = { type: 'string', format: 'date', formatMessage: 'must be a date in YYYY-MM-DD format' };
+const TIMEZONE_SCHEMA = { type: 'string', format: 'timezone', formatMessage: 'must be an IANA timezone such as Australia/Sydney' };
+const TIMESTAMP_SCHEMA = { type: 'string', format: 'timestamp', formatMessage: 'must be an ISO date and time' };
+const TIME_OF_DAY_SCHEMA = { type: 'string', format: 'time-of-day', formatMessage: 'must be HH:MM, h:mm am/pm or an ISO date' };
+
+const DURATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    days: { type: 'integer', minimum: 0 },
+    hours: { type: 'integer', minimum: 0 },
+    minutes: { type: 'integer', minimum: 0, maximum: 59 }
+  },
+  additionalProperties: false
+};
+
+// Tasks added through chat before locations had to be found may not have coordinates, so they can be null here
+const LOCATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    streetAddress: { type: ['string', 'null'] },
+    suburb: { type: ['string', 'null'] },
+    state: { type: ['string', 'null'] },
+    postcode: { type: ['string', 'null'] },
+    formattedAddress: { type: ['string', 'null'] },
+    googlePlaceId: { type: ['string', 'null'] },
+    latitude: { type: ['number', 'null'], minimum: -90, maximum: 90 },
+    longitude: { type: ['number', 'null'], minimum: -180, maximum: 180 }
+  }
+};
+
+// A job or task on a schedule. Other fields (customer details, revenue, ...) are kept as they are.
+const TASK_SCHEMA = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: ['integer', 'string'] },
+    title: { type: 'string' },
+    jobTitle: { type: 'string' },
+    type: { type: 'string', enum: TASK_TYPES },
+    startDate: TIMESTAMP_SCHEMA,
+    endDate: TIMESTAMP_SCHEMA,
+    duration: DURATION_SCHEMA,
+    location: { anyOf: [LOCATION_SCHEMA, { type: 'null' }] },
+    earliestStart: TIME_OF_DAY_SCHEMA,
+    latestStart: TIME_OF_DAY_SCHEMA,
+    pinned: { anyOf: [{ type: 'boolean' }, TIME_OF_DAY_SCHEMA] },
+    // Last day the job can be done on, and the day it was promised to the customer by
+    // (multi-day planning keeps to the earlier of the two)
+    deadline: DATE_SCHEMA,
+    dueBy: DATE_SCHEMA,
+    priority: { type: 'string', enum: TASK_PRIORITIES },
+    // Skills a technician needs for the job and the van space it takes (dispatch)
+    requiredSkills: { type: 'array', items: { type: 'string', minLength: 1 } },
+    load: { type: 'number', minimum: 0 },
+    jobDescription: { type: ['string', 'null'] }
+  }
+};
+
+// A job that can be routed: it must have coordinates
+const ROUTABLE_JOB_SCHEMA = {
+  ...TASK_SCHEMA,
+  required: ['id', 'location'],
+  properties: {
+    ...TASK_SCHEMA.properties,
+    location: {
+      ...LOCATION_SCHEMA,
+      required: ['latitude', 'longitude'],
+      properties: {
+        ...LOCATION_SCHEMA.properties,
+        latitude: { type: 'number', minimum: -90, maximum: 90 },
+        longitude: { type: 'number', minimum: -180, maximum: 180 }
+      }
+    }
+  }
+};
+
+const START_LOCATION_SCHEMA = {
+  type: 'object',
+  required: ['lat', 'lng'],
+  properties: {
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lng: { type: 'number', minimum: -180, maximum: 180 }
+  }
+};
+
+const TRAVEL_TIME_PROPERTIES = {
+  travelTimeProvider: { type: 'string', enum: TRAVEL_TIME_PROVIDERS },
+  travelTimeOptions: {
+    type: 'object',
+    properties: {
+      averageSpeedKmh: { type: 'number', minimum: Number.MIN_VALUE },
+      detourFactor: { type: 'number', minimum: Number.MIN_VALUE }
+    }
+  }
+};
+
+const USER_ID_SCHEMA = { type: ['string', 'integer'] };
+
+// Buffer rules between jobs (see bufferRules.js); every field is optional
+const BUFFER_MINUTES_SCHEMA = { type: 'integer', minimum: 0, maximum: 240 };
+const BUFFERS_SCHEMA = {
+  type: 'object',
+  properties: {
+    defaultMinutes: BUFFER_MINUTES_SCHEMA,
+    byType: {
+      type: 'object',
+      properties: Object.fromEntries(TASK_TYPES.map(type => [type, BUFFER_MINUTES_SCHEMA])),
+      additionalProperties: false
+    },
+    bySuburb: { type: 'object', additionalProperties: BUFFER_MINUTES_SCHEMA },
+    jitter: {
+      anyOf: [
+        { type: 'null' },
+        {
+          type: 'object',
+          required: ['maxMinutes'],
+          properties: {
+            maxMinutes: { type: 'integer', minimum: 0, maximum: 60 },
+            seed: { type: 'integer' }
+          },
+          additionalProperties: false
+        }
+      ]
+    }
+  },
+  additionalProperties: false
+};
+
+// A tradie's working calendar (see workingCalendar.js); every field is optional
+const CALENDAR_SCHEMA = {
+  type: 'object',
+  properties: {
+    workingDays: { type: 'array', minItems: 1, items: { type: 'string', enum: WEEKDAYS } },
+    dayStart: TIME_OF_DAY_SCHEMA,
+    dayEnd: TIME_OF_DAY_SCHEMA,
+    lunchBreak: {
+      anyOf: [
+        { type: 'null' },
+        {
+          type: 'object',
+          required: ['minutes'],
+          properties: {
+            after: TIME_OF_DAY_SCHEMA,
+            minutes: { type: 'integer', minimum: 0, maximum: 180 }
+          },
+          additionalProperties: false
+        }
+      ]
+    },
+    state: { type: ['string', 'null'], enum: [...AU_STATES, null] },
+    holidays: { type: 'array', items: DATE_SCHEMA }
+  },
+  additionalProperties: false
+};
+
+const CHAT_BODY_SCHEMA = {
+  type: 'object',
+  required: ['message'],
+  properties: {
+    message: { type: 'string', minLength: 1 },
+    conversationHistory: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { type: 'string' },
+          author: { type: 'object' }
+        }
+      }
+    },
+    autoResolveConflicts: { type: 'boolean' },
+    timezone: TIMEZONE_SCHEMA,
+    referenceDate: DATE_SCHEMA,
+    // A task list, or the days returned by /optimize-multi-day-route
+    schedule: {
+      type: 'array',
+      items: {
+        anyOf: [
+          {
+            type: 'object',
+            required: ['jobs'],
+            properties: {
+              date: DATE_SCHEMA,
+              jobs: { type: 'array', items: TASK_SCHEMA }
+            }
+          },
+          TASK_SCHEMA
+        ]
+      }
+    },
+    userId: USER_ID_SCHEMA
+  }
+};
+
+const OPTIMIZE_ROUTE_BODY_SCHEMA = {
+  type: 'object',
+  properties: {
+    jobs: { type: 'array', minItems: 1, maxItems: MAX_DAY_JOBS, items: ROUTABLE_JOB_SCHEMA },
+    startLocation: START_LOCATION_SCHEMA,
+    // Where the day's route finishes (home, the yard); returnToStart ends it at startLocation
+    endLocation: START_LOCATION_SCHEMA,
+    returnToStart: { type: 'boolean' },
+    // Fuel cost per km driven, for the route metrics
+    fuelCostPerKm: { type: 'number', minimum: 0 },
+    routingDate: DATE_SCHEMA,
+    saveSchedule: { type: 'boolean' },
+    timezone: TIMEZONE_SCHEMA,
+    calendar: CALENDAR_SCHEMA,
+    buffers: BUFFERS_SCHEMA,
+    userId: USER_ID_SCHEMA,
+    ...TRAVEL_TIME_PROPERTIES
+  }
+};
+
+// Re-planning the rest of a day from the tradie's live position (/replan-route).
+// The day is the date of currentTime; startLocation is only used by returnToStart.
+const { routingDate: _replanRoutingDate, ...replanProperties } = OPTIMIZE_ROUTE_BODY_SCHEMA.properties;
+const REPLAN_ROUTE_BODY_SCHEMA = {
+  type: 'object',
+  required: ['currentTime', 'currentLocation'],
+  properties: {
+    ...replanProperties,
+    currentTime: TIMESTAMP_SCHEMA,
+    currentLocation: START_LOCATION_SCHEMA,
+    completedJobIds: { type: 'array', items: { type: ['integer', 'string'] } },
+    inProgress: {
+      type: 'object',
+      required: ['jobId'],
+      properties: {
+        jobId: { type: ['integer', 'string'] },
+        // Minutes left on the job; defaults to what is left of its scheduled time
+        remainingMinutes: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    lunchTaken: { type: 'boolean' }
+  }
+};
+
+// Same as /optimize-route, but days run from startFromDate instead of one routingDate
+const { routingDate: _routingDate, ...multiDayProperties } = OPTIMIZE_ROUTE_BODY_SCHEMA.properties;
+const OPTIMIZE_MULTI_DAY_BODY_SCHEMA = {
+  type: 'object',
+  required: ['startFromDate'],
+  properties: {
+    ...multiDayProperties,
+    jobs: { type: 'array', minItems: 1, maxItems: MAX_MULTI_DAY_JOBS, items: ROUTABLE_JOB_SCHEMA },
+    startFromDate: DATE_SCHEMA,
+    maxJobsPerDay: { type: 'integer', minimum: 1 },
+    // Longest working day in minutes, including travel and buffers between jobs
+    // (defaults to the calendar's working hours less lunch)
+    maxDayDuration: { type: 'integer', minimum: 15 }
+  }
+};
+
+// A technician (or crew) that jobs can be dispatched to
+const TECHNICIAN_SCHEMA = {
+  type: 'object',
+  required: ['id', 'startLocation'],
+  properties: {
+    id: { type: ['integer', 'string'] },
+    name: { type: 'string' },
+    skills: { type: 'array', items: { type: 'string', minLength: 1 } },
+    startLocation: START_LOCATION_SCHEMA,
+    endLocation: START_LOCATION_SCHEMA,
+    returnToStart: { type: 'boolean' },
+    // Working days, hours and lunch break (see workingCalendar.js)
+    calendar: CALENDAR_SCHEMA,
+    // Total job load the van carries in a day
+    vanCapacity: { type: 'number', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+// Dispatching one day's jobs across several technicians (/optimize-dispatch)
+const DISPATCH_BODY_SCHEMA = {
+  type: 'object',
+  required: ['jobs', 'technicians'],
+  properties: {
+    jobs: { type: 'array', minItems: 1, maxItems: MAX_DISPATCH_JOBS, items: ROUTABLE_JOB_SCHEMA },
+    technicians: { type: 'array', minItems: 1, maxItems: MAX_TECHNICIANS, items: TECHNICIAN_SCHEMA },
+    routingDate: DATE_SCHEMA,
+    timezone: TIMEZONE_SCHEMA,
+    buffers: BUFFERS_SCHEMA,
+    fuelCostPerKm: { type: 'number', minimum: 0 },
+    ...TRAVEL_TIME_PROPERTIES
+  }
+};
+
+// One task ({ task }) or several ({ tasks })
+const ADD_SCHEDULE_BODY_SCHEMA = {
+  type: 'object',
+  properties: {
+    task: TASK_SCHEMA,
+    tasks: { type: 'array', minItems: 1, items: TASK_SCHEMA },
+    userId: USER_ID_SCHEMA
+  },
+  anyOf: [{ required: ['task'] }, { required: ['tasks'] }]
+};
+
+// Changes to a stored task: any task field, none required
+const UPDATE_SCHEDULE_BODY_SCHEMA = {
+  ...TASK_SCHEMA,
+  required: [],
+  properties: { ...TASK_SCHEMA.properties, userId: USER_ID_SCHEMA }
+};
+
+// A named place (see places.js): a location with coordinates, or an address to look up
+const PLACE_PROPERTIES = {
+  name: { type: 'string', minLength: 1 },
+  aliases: { type: 'array', items: { type: 'string', minLength: 1 } },
+  brand: { type: 'string', minLength: 1 },
+  location: {
+    ...LOCATION_SCHEMA,
+    required: ['latitude', 'longitude'],
+    properties: {
+      ...LOCATION_SCHEMA.properties,
+      latitude: { type: 'number', minimum: -90, maximum: 90 },
+      longitude: { type: 'number', minimum: -180, maximum: 180 }
+    }
+  },
+  address: { type: 'string', minLength: 1 },
+  userId: USER_ID_SCHEMA
+};
+
+const ADD_PLACE_BODY_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: { id: { type: 'string', minLength: 1 }, ...PLACE_PROPERTIES },
+  anyOf: [{ required: ['location'] }, { required: ['address'] }],
+  additionalProperties: false
+};
+
+// Changes to a stored place: any place field, none required
+const UPDATE_PLACE_BODY_SCHEMA = {
+  type: 'object',
+  properties: PLACE_PROPERTIES,
+  additionalProperties: false
+};
+
+const SCHEDULE_QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    from: DATE_SCHEMA,
+    to: DATE_SCHEMA,
+    timezone: TIMEZONE_SCHEMA,
+    userId: { type: 'string' }
+  }
+};
+
+module.exports = {
+  FORMATS,
+  MAX_DAY_JOBS,
+  MAX_MULTI_DAY_JOBS,
+  TASK_SCHEMA,
+  ROUTABLE_JOB_SCHEMA,
+  CHAT_BODY_SCHEMA,
+  OPTIMIZE_ROUTE_BODY_SCHEMA,
+  REPLAN_ROUTE_BODY_SCHEMA,
+  DISPATCH_BODY_SCHEMA,
+  OPTIMIZE_MULTI_DAY_BODY_SCHEMA,
+  ADD_SCHEDULE_BODY_SCHEMA,
+  UPDATE_SCHEDULE_BODY_SCHEMA,
+  SCHEDULE_QUERY_SCHEMA,
+  ADD_PLACE_BODY_SCHEMA,
+  UPDATE_PLACE_BODY_SCHEMA
+};
@@ -0,0 +1,364 @@
+// Deterministic route solver used by the optimize endpoints.
+// Works on a Google-style distance matrix where row 0 is the start location,
+// row i + 1 is job i, and element j of every row is job j. When the route ends
+// somewhere (back at the yard, at home) that end location is one more element
+// after the jobs, and the drive to it counts towards the route.
+
+// Cost used for legs the matrix could not price (e.g. ZERO_RESULTS)
+const UNREACHABLE_COST = 1e9;
+
+// Up to this many jobs the route is solved exactly with Held-Karp
+const EXACT_SOLVER_LIMIT = 10;
+
+// With time windows, routes up to this size are solved exactly by branch and bound
+const EXACT_TIMED_SOLVER_LIMIT = 8;
+
+// Safety cap on local-search passes for large routes
+const MAX_IMPROVEMENT_PASSES = 50;
+
+// Each minute a job starts after its latest start outweighs any amount of travel
+const LATENESS_PENALTY = 1e6;
+
+// Helper function to get the cost (seconds) of a matrix element
+function elementCost(element, fallback) {
+  if (element && element.duration && typeof element.duration.value === 'number') {
+    return element.duration.value;
+  }
+  if (element && element.distance && typeof element.distance.value === 'number') {
+    return element.distance.value;
+  }
+  return fallback;
+}
+
+// Helper function to turn a distance matrix response into a numeric cost table (seconds)
+function buildCostMatrix(distanceMatrix, jobCount) {
+  const costs = [];
+  for (let from = 0; from <= jobCount; from++) {
+    const row = distanceMatrix.rows[from];
+    const rowCosts = [];
+    for (let to = 0; to < jobCount; to++) {
+      rowCosts.push(elementCost(row?.elements[to], from === to + 1 ? 0 : UNREACHABLE_COST));
+    }
+    costs.push(rowCosts);
+  }
+  return costs;
+}
+
+// Helper function to get the cost from each row (start, then each job) to the end
+// location, which is the element after the jobs
+function buildEndCosts(distanceMatrix, jobCount) {
+  return Array.from({ length: jobCount + 1 }, (_, from) =>
+    elementCost(distanceMatrix.rows[from]?.elements[jobCount], UNREACHABLE_COST)
+  );
+}
+
+// Helper function to get the cost of an ordered route (0-based job indices),
+// including the drive to the end location when endCosts are given
+function routeCost(costs, order, endCosts = null) {
+  if (order.length === 0) return 0;
+  let total = costs[0][order[0]];
+  for (let i = 1; i < order.length; i++) {
+    total += costs[order[i - 1] + 1][order[i]];
+  }
+  if (endCosts) {
+    total += endCosts[order[order.length - 1] + 1];
+  }
+  return total;
+}
+
+// Helper function to round minutes up to the next quarter hour
+function roundUpToQuarter(minutes) {
+  return Math.ceil(minutes / 15) * 15;
+}
+
+// Walk a route through the day the same way the scheduler does and measure
+// travel (seconds) plus how late each job starts against its time window (minutes).
+// timing: { startMinutes, bufferMinutes: [], serviceMinutes: [], windows: [{ earliest, latest }], driveFromStart }
+// where bufferMinutes[i] is the buffer added before job i when it is not the first stop.
+// With driveFromStart (re-planning from where the tradie is) the drive and buffer to the
+// first stop count too; otherwise the day starts at the first job.
+function simulateRoute(costs, order, timing) {
+  let travel = 0;
+  let lateness = 0;
+  let lateJobs = 0;
+  let fromRow = 0;
+  let readyAt = timing.startMinutes;
+
+  for (const index of order) {
+    const legSeconds = costs[fromRow][index];
+    travel += legSeconds;
+    if (fromRow !== 0 || timing.driveFromStart) {
+      readyAt += Math.ceil(legSeconds / 60) + (timing.bufferMinutes[index] || 0);
+    }
+
+    const window = timing.windows[index] || {};
+    let start = roundUpToQuarter(readyAt);
+    if (window.earliest !== null && window.earliest !== undefined && readyAt < window.earliest) {
+      start = window.earliest;
+    }
+    if (window.latest !== null && window.latest !== undefined && start > window.latest) {
+      lateness += start - window.latest;
+      lateJobs++;
+    }
+
+    readyAt = start + (timing.serviceMinutes[index] || 0);
+    fromRow = index + 1;
+  }
+
+  return { travel, lateness, lateJobs };
+}
+
+// Helper function to build the objective used when time windows are present.
+// The drive to the end location is only added once the route is complete, so
+// partial routes never cost more than the complete routes they lead to.
+function timedRouteCost(costs, timing, endCosts = null) {
+  return order => {
+    const result = simulateRoute(costs, order, timing);
+    const endTravel = endCosts && order.length === costs[0].length ? endCosts[order[order.length - 1] + 1] : 0;
+    return result.lateness * LATENESS_PENALTY + result.travel + endTravel;
+  };
+}
+
+// Exact solver for time-windowed routes: depth-first search with branch and bound.
+// The objective only grows as jobs are appended, so partial routes can be pruned.
+function solveExactTimed(costFn, jobCount, initialOrder) {
+  let bestOrder = initialOrder;
+  let bestCost = costFn(initialOrder);
+  const used = new Array(jobCount).fill(false);
+  const prefix = [];
+
+  const search = () => {
+    if (prefix.length === jobCount) {
+      const cost = costFn(prefix);
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestOrder = [...prefix];
+      }
+      return;
+    }
+    for (let j = 0; j < jobCount; j++) {
+      if (used[j]) continue;
+      prefix.push(j);
+      if (costFn(prefix) < bestCost) {
+        used[j] = true;
+        search();
+        used[j] = false;
+      }
+      prefix.pop();
+    }
+  };
+
+  search();
+  return bestOrder;
+}
+
+// Exact path solver (Held-Karp dynamic programming); open-ended unless endCosts are given
+function solveExact(costs, jobCount, endCosts = null) {
+  const fullMask = (1 << jobCount) - 1;
+  const best = new Float64Array((fullMask + 1) * jobCount).fill(Infinity);
+  const parent = new Int16Array((fullMask + 1) * jobCount).fill(-1);
+
+  for (let j = 0; j < jobCount; j++) {
+    best[(1 << j) * jobCount + j] = costs[0][j];
+  }
+
+  for (let mask = 1; mask <= fullMask; mask++) {
+    for (let last = 0; last < jobCount; last++) {
+      if (!(mask & (1 << last))) continue;
+      const current = best[mask * jobCount + last];
+      if (current === Infinity) continue;
+
+      for (let next = 0; next < jobCount; next++) {
+        if (mask & (1 << next)) continue;
+        const nextMask = mask | (1 << next);
+        const candidate = current + costs[last + 1][next];
+        if (candidate < best[nextMask * jobCount + next]) {
+          best[nextMask * jobCount + next] = candidate;
+          parent[nextMask * jobCount + next] = last;
+        }
+      }
+    }
+  }
+
+  const finalCost = last => best[fullMask * jobCount + last] + (endCosts ? endCosts[last + 1] : 0);
+  let bestLast = 0;
+  for (let last = 1; last < jobCount; last++) {
+    if (finalCost(last) < finalCost(bestLast)) {
+      bestLast = last;
+    }
+  }
+
+  const order = [];
+  let mask = fullMask;
+  let last = bestLast;
+  while (last !== -1) {
+    order.unshift(last);
+    const previous = parent[mask * jobCount + last];
+    mask &= ~(1 << last);
+    last = previous;
+  }
+
+  return order;
+}
+
+// Nearest-neighbour construction from the start location
+function nearestNeighbourRoute(costs, jobCount) {
+  const visited = new Array(jobCount).fill(false);
+  const order = [];
+  let fromRow = 0;
+
+  for (let step = 0; step < jobCount; step++) {
+    let bestJob = -1;
+    for (let j = 0; j < jobCount; j++) {
+      if (visited[j]) continue;
+      if (bestJob === -1 || costs[fromRow][j] < costs[fromRow][bestJob]) {
+        bestJob = j;
+      }
+    }
+    visited[bestJob] = true;
+    order.push(bestJob);
+    fromRow = bestJob + 1;
+  }
+
+  return order;
+}
+
+// 2-opt: reverse a segment of the route when it lowers the total cost
+function improveWithTwoOpt(costFn, order) {
+  let bestCost = costFn(order);
+  let improved = false;
+
+  for (let i = 0; i < order.length - 1; i++) {
+    for (let k = i + 1; k < order.length; k++) {
+      const candidate = [
+        ...order.slice(0, i),
+        ...order.slice(i, k + 1).reverse(),
+        ...order.slice(k + 1)
+      ];
+      const candidateCost = costFn(candidate);
+      if (candidateCost < bestCost) {
+        order = candidate;
+        bestCost = candidateCost;
+        improved = true;
+      }
+    }
+  }
+
+  return { order, improved };
+}
+
+// Or-opt: move a segment of 1-3 jobs to another position in the route
+function improveWithOrOpt(costFn, order) {
+  let bestCost = costFn(order);
+  let improved = false;
+
+  for (let segmentLength = 1; segmentLength <= 3; segmentLength++) {
+    for (let i = 0; i + segmentLength <= order.length; i++) {
+      const segment = order.slice(i, i + segmentLength);
+      const remaining = [...order.slice(0, i), ...order.slice(i + segmentLength)];
+
+      for (let position = 0; position <= remaining.length; position++) {
+        if (position === i) continue;
+        const candidate = [
+          ...remaining.slice(0, position),
+          ...segment,
+          ...remaining.slice(position)
+        ];
+        const candidateCost = costFn(candidate);
+        if (candidateCost < bestCost) {
+          order = candidate;
+          bestCost = candidateCost;
+          improved = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return { order, improved };
+}
+
+// Helper function to order jobs by their latest start, keeping the given order for ties
+function deadlineOrder(order, timing) {
+  const deadline = index => {
+    const window = timing.windows[index] || {};
+    return window.latest ?? window.earliest ?? Infinity;
+  };
+  return [...order].sort((a, b) => deadline(a) - deadline(b));
+}
+
+// Heuristic solver: a construction followed by 2-opt and or-opt until no move helps
+function solveHeuristic(costFn, initialOrder) {
+  let order = initialOrder;
+
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    const twoOpt = improveWithTwoOpt(costFn, order);
+    const orOpt = improveWithOrOpt(costFn, twoOpt.order);
+    order = orOpt.order;
+    if (!twoOpt.improved && !orOpt.improved) break;
+  }
+
+  return order;
+}
+
+// Helper function to check that a route visits every job exactly once
+function assertCompleteRoute(order, jobCount) {
+  const seen = new Set(order);
+  if (order.length !== jobCount || seen.size !== jobCount ||
+      order.some(index => !Number.isInteger(index) || index < 0 || index >= jobCount)) {
+    throw new Error(`Route solver produced an incomplete route: [${order.join(', ')}]`);
+  }
+}
+
+// Solve the visiting order for a set of jobs from a distance matrix.
+// Pass `timing` to respect job time windows (see simulateRoute); jobs that still
+// cannot start in their window are reported through `lateJobs`.
+// Pass options.hasEndLocation when the matrix has the end location after the jobs.
+// Returns 0-based job indices in visiting order plus the total travel cost in seconds
+// (endCost is the part of it spent driving to the end location).
+function solveRoute(distanceMatrix, jobCount, timing = null, { hasEndLocation = false } = {}) {
+  if (jobCount === 0) {
+    return { order: [], totalCost: 0, endCost: 0, method: 'empty', lateJobs: 0 };
+  }
+
+  const costs = buildCostMatrix(distanceMatrix, jobCount);
+  const endCosts = hasEndLocation ? buildEndCosts(distanceMatrix, jobCount) : null;
+  let order;
+  let method;
+
+  if (!timing) {
+    method = jobCount <= EXACT_SOLVER_LIMIT ? 'exact' : 'heuristic';
+    order = method === 'exact'
+      ? solveExact(costs, jobCount, endCosts)
+      : solveHeuristic(order => routeCost(costs, order, endCosts), nearestNeighbourRoute(costs, jobCount));
+  } else {
+    const costFn = timedRouteCost(costs, timing, endCosts);
+    const nearest = nearestNeighbourRoute(costs, jobCount);
+    const byDeadline = deadlineOrder(nearest, timing);
+    const initialOrder = costFn(byDeadline) < costFn(nearest) ? byDeadline : nearest;
+
+    method = jobCount <= EXACT_TIMED_SOLVER_LIMIT ? 'exact' : 'heuristic';
+    order = method === 'exact'
+      ? solveExactTimed(costFn, jobCount, initialOrder)
+      : solveHeuristic(costFn, initialOrder);
+  }
+
+  assertCompleteRoute(order, jobCount);
+
+  return {
+    order,
+    totalCost: routeCost(costs, order, endCosts),
+    endCost: endCosts ? endCosts[order[order.length - 1] + 1] : 0,
+    method,
+    lateJobs: timing ? simulateRoute(costs, order, timing).lateJobs : 0
+  };
+}
+
+module.exports = {
+  solveRoute,
+  buildCostMatrix,
+  routeCost,
+  simulateRoute,
+  UNREACHABLE_COST,
+  EXACT_SOLVER_LIMIT
+};
@@ -0,0 +1,187 @@
+// Route metrics for a scheduled day: the drive from the start to each job in the order
+// they were scheduled, then on to the end location when the route has one, plus the
+// working and idle time between the first start and the finish and what the fuel costs.
+// Works on the same distance matrix as the route solver (see routeSolver.js).
+const { formatDurationText, formatDistanceText } = require('./travelTime.js');
+const { DEFAULT_TIMEZONE, formatInstant } = require('./timezone.js');
+const { getJobDurationMinutes } = require('./scheduling.js');
+
+// Fuel cost per km driven when a request does not give one (a ute at about 12 L/100 km)
+const DEFAULT_FUEL_COST_PER_KM = 0.25;
+
+// Helper function to round to one decimal place, or to cents
+const roundTenths = value => Math.round(value * 10) / 10;
+const roundCents = value => Math.round(value * 100) / 100;
+
+// Helper function to read a matrix element as { seconds, meters, text }, or null when unpriced
+function readElement(distanceMatrix, row, column) {
+  const element = distanceMatrix.rows[row]?.elements[column];
+  if (!element?.duration) return null;
+  return {
+    seconds: element.duration.value,
+    meters: element.distance?.value || 0,
+    text: element.duration.text
+  };
+}
+
+// Helper function to describe a drive of some metres and seconds:
+// { driveKm, driveMinutes, fuelCost }
+function driveMetrics(meters, seconds, fuelCostPerKm) {
+  return {
+    driveKm: roundTenths(meters / 1000),
+    driveMinutes: Math.round(seconds / 60),
+    fuelCost: roundCents(meters / 1000 * fuelCostPerKm)
+  };
+}
+
+// Measure the drive along matrix columns in visiting order (destination indices),
+// from the start and on to the end location when there is one
+function measureOrder(columns, distanceMatrix, { hasEndLocation = false, fuelCostPerKm = DEFAULT_FUEL_COST_PER_KM } = {}) {
+  let meters = 0;
+  let seconds = 0;
+  let fromRow = 0;
+  const stops = hasEndLocation && columns.length > 0
+    ? [...columns, distanceMatrix.rows[0].elements.length - 1]
+    : columns;
+
+  for (const column of stops) {
+    const leg = readElement(distanceMatrix, fromRow, column);
+    if (leg) {
+      meters += leg.meters;
+      seconds += leg.seconds;
+    }
+    fromRow = column + 1;
+  }
+
+  return driveMetrics(meters, seconds, fuelCostPerKm);
+}
+
+// Compare the drive in the jobs' original order (as they came in) with the optimized order.
+// optimizedColumns are destination indices in visiting order.
+// Returns { original, optimized, saving } each { driveKm, driveMinutes, fuelCost }.
+function compareWithOriginalOrder(optimizedColumns, distanceMatrix, destinations, options = {}) {
+  const original = measureOrder(destinations.map((_, index) => index), distanceMatrix, options);
+  const optimized = measureOrder(optimizedColumns, distanceMatrix, options);
+  return { original, optimized, saving: subtractMetrics(original, optimized) };
+}
+
+// Helper function to subtract one set of drive metrics from another
+function subtractMetrics(from, metrics) {
+  return {
+    driveKm: roundTenths(from.driveKm - metrics.driveKm),
+    driveMinutes: from.driveMinutes - metrics.driveMinutes,
+    fuelCost: roundCents(from.fuelCost - metrics.fuelCost)
+  };
+}
+
+// Helper function to find the idle gaps between scheduled jobs: time that is neither
+// driving nor a break (buffers, rounding and waiting for a time window)
+function findIdleGaps(scheduledJobs, breaks) {
+  const gaps = [];
+  for (let i = 1; i < scheduledJobs.length; i++) {
+    const previous = scheduledJobs[i - 1];
+    const job = scheduledJobs[i];
+    const breakMinutes = breaks
+      .filter(b => b.startDate === previous.endDate)
+      .reduce((sum, b) => sum + (Date.parse(b.endDate) - Date.parse(b.startDate)) / 60000, 0);
+    const minutes = (Date.parse(job.startDate) - Date.parse(previous.endDate)) / 60000 -
+      (job.leg?.travelMinutes || 0) - breakMinutes;
+    if (minutes > 0) {
+      gaps.push({ afterJobId: previous.id, beforeJobId: job.id, minutes: Math.round(minutes) });
+    }
+  }
+  return gaps;
+}
+
+// Summarise a scheduled route.
+// Returns { totalDistance, totalDriveTime, returnLeg, finishDate, driveKm, driveMinutes,
+// workMinutes, idleMinutes, idleGaps, fuelCost } where the totals are { value, text } (metres
+// and seconds) and returnLeg is the drive to the end location ({ from, distance, duration,
+// departDate, arriveDate }, or null for an open-ended route). finishDate is when the
+// tradie gets to the end location, or the end of the last job.
+function summarizeRoute(scheduledJobs, distanceMatrix, destinations, {
+  hasEndLocation = false,
+  timezone = DEFAULT_TIMEZONE,
+  breaks = [],
+  fuelCostPerKm = DEFAULT_FUEL_COST_PER_KM
+} = {}) {
+  let meters = 0;
+  let seconds = 0;
+  let fromRow = 0;
+
+  for (const job of scheduledJobs) {
+    const column = destinations.findIndex(d => d.jobId === job.id);
+    const leg = column === -1 ? null : readElement(distanceMatrix, fromRow, column);
+    if (leg) {
+      meters += leg.meters;
+      seconds += leg.seconds;
+    }
+    if (column !== -1) fromRow = column + 1;
+  }
+
+  const lastJob = scheduledJobs[scheduledJobs.length - 1];
+  let returnLeg = null;
+  let finishDate = lastJob?.endDate || null;
+
+  if (hasEndLocation && lastJob) {
+    const leg = readElement(distanceMatrix, fromRow, destinations.length);
+    if (leg) {
+      meters += leg.meters;
+      seconds += leg.seconds;
+      finishDate = formatInstant(new Date(Date.parse(lastJob.endDate) + Math.ceil(leg.seconds / 60) * 60000), timezone);
+      returnLeg = {
+        from: lastJob.id,
+        distance: { value: leg.meters, text: formatDistanceText(leg.meters) },
+        duration: { value: leg.seconds, text: leg.text },
+        departDate: lastJob.endDate,
+        arriveDate: finishDate
+      };
+    }
+  }
+
+  const idleGaps = findIdleGaps(scheduledJobs, breaks);
+
+  return {
+    totalDistance: { value: meters, text: formatDistanceText(meters) },
+    totalDriveTime: { value: seconds, text: formatDurationText(seconds) },
+    returnLeg,
+    finishDate,
+    ...driveMetrics(meters, seconds, fuelCostPerKm),
+    workMinutes: scheduledJobs.reduce((sum, job) => sum + getJobDurationMinutes(job), 0),
+    idleMinutes: idleGaps.reduce((sum, gap) => sum + gap.minutes, 0),
+    idleGaps
+  };
+}
+
+// Add up several days' route summaries (and their comparisons, when given) for a whole plan:
+// { driveKm, driveMinutes, workMinutes, idleMinutes, fuelCost, comparison }
+function combineRouteSummaries(summaries, comparisons = []) {
+  const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+  const addUp = items => ({
+    driveKm: roundTenths(sum(items, 'driveKm')),
+    driveMinutes: sum(items, 'driveMinutes'),
+    fuelCost: roundCents(sum(items, 'fuelCost'))
+  });
+
+  const totals = {
+    ...addUp(summaries),
+    workMinutes: sum(summaries, 'workMinutes'),
+    idleMinutes: sum(summaries, 'idleMinutes'),
+    comparison: null
+  };
+
+  if (comparisons.length > 0) {
+    const original = addUp(comparisons.map(c => c.original));
+    const optimized = addUp(comparisons.map(c => c.optimized));
+    totals.comparison = { original, optimized, saving: subtractMetrics(original, optimized) };
+  }
+  return totals;
+}
+
+module.exports = {
+  DEFAULT_FUEL_COST_PER_KM,
+  measureOrder,
+  compareWithOriginalOrder,
+  summarizeRoute,
+  combineRouteSummaries
+};
@@ -0,0 +1,134 @@
+// File-backed schedule store keyed by user (tradie) id.
+// Schedules are kept in a single JSON file: { "<userId>": [task, ...] }.
+// Writes go to a temporary file first and are then renamed over the store,
+// and are queued so concurrent requests never interleave.
+const fs = require('fs');
+const path = require('path');
+const { parseTimestamp } = require('./timezone.js');
+const { getTaskDate, getNextTaskId } = require('./taskOperations.js');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, 'data', 'schedules.json');
+
+// Helper function to check whether a task falls in an inclusive YYYY-MM-DD range
+function isTaskInRange(task, from, to, timezone) {
+  if (!from && !to) return true;
+  const taskDate = getTaskDate(task, timezone);
+  if (!taskDate) return false;
+  if (from && taskDate < from) return false;
+  if (to && taskDate > to) return false;
+  return true;
+}
+
+// Helper function to sort tasks by start time, undated tasks last
+function sortTasks(tasks) {
+  return tasks.sort((a, b) => {
+    if (!a.startDate) return b.startDate ? 1 : 0;
+    if (!b.startDate) return -1;
+    return parseTimestamp(a.startDate) - parseTimestamp(b.startDate);
+  });
+}
+
+function createScheduleStore({ filePath = process.env.SCHEDULE_STORE_PATH || DEFAULT_STORE_PATH } = {}) {
+  let writeQueue = Promise.resolve();
+
+  // Schedules are keyed by user id, so they're read into an object without a prototype
+  // ("constructor" or "__proto__" is then just another key)
+  const readAll = () => {
+    try {
+      return Object.assign(Object.create(null), JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      if (error.code === 'ENOENT') return Object.create(null);
+      throw error;
+    }
+  };
+
+  const writeAll = (schedules) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(schedules, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  // Run a read-modify-write against one user's schedule
+  const update = (userId, mutate) => {
+    const run = writeQueue.then(() => {
+      const schedules = readAll();
+      const tasks = schedules[userId] || [];
+      const result = mutate(tasks);
+      schedules[userId] = sortTasks(tasks);
+      writeAll(schedules);
+      return result;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    // Get a user's tasks, optionally limited to an inclusive range of local dates
+    async getSchedule(userId, { from, to, timezone } = {}) {
+      await writeQueue;
+      const tasks = readAll()[userId] || [];
+      return tasks.filter(task => isTaskInRange(task, from, to, timezone));
+    },
+
+    // Replace a user's whole schedule
+    async saveSchedule(userId, tasks) {
+      return update(userId, existing => {
+        existing.splice(0, existing.length, ...tasks);
+        return existing;
+      });
+    },
+
+    // Add tasks, assigning ids to any that do not have one
+    async addTasks(userId, newTasks) {
+      return update(userId, tasks => {
+        let nextId = getNextTaskId(tasks);
+        const added = newTasks.map(task => {
+          const stored = { ...task, id: task.id ?? nextId++ };
+          if (tasks.some(t => String(t.id) === String(stored.id))) {
+            throw new Error(`Task ${stored.id} already exists`);
+          }
+          tasks.push(stored);
+          return stored;
+        });
+        return added;
+      });
+    },
+
+    // Merge changes into an existing task; resolves to null when it does not exist
+    async updateTask(userId, taskId, changes) {
+      return update(userId, tasks => {
+        const index = tasks.findIndex(t => String(t.id) === String(taskId));
+        if (index === -1) return null;
+        tasks[index] = { ...tasks[index], ...changes, id: tasks[index].id };
+        return tasks[index];
+      });
+    },
+
+    // Replace stored tasks that share an id with the given tasks (e.g. after optimization)
+    async upsertTasks(userId, updatedTasks) {
+      return update(userId, tasks => {
+        for (const updatedTask of updatedTasks) {
+          const index = tasks.findIndex(t => String(t.id) === String(updatedTask.id));
+          if (index === -1) {
+            tasks.push(updatedTask);
+          } else {
+            tasks[index] = updatedTask;
+          }
+        }
+        return updatedTasks;
+      });
+    },
+
+    // Remove a task; resolves to the removed task or null when it does not exist
+    async deleteTask(userId, taskId) {
+      return update(userId, tasks => {
+        const index = tasks.findIndex(t => String(t.id) === String(taskId));
+        if (index === -1) return null;
+        return tasks.splice(index, 1)[0];
+      });
+    }
+  };
+}
+
+module.exports = { createScheduleStore, isTaskInRange };
@@ -0,0 +1,192 @@
+// Scheduling helpers: turning an ordered route into start and end times.
+// Times are wall-clock times in the request's timezone.
+// (Spreading jobs over several days is done by dayPlanner.js.)
+const { getJobTimeWindow, formatTimeOfDay } = require('./timeWindows.js');
+const { DEFAULT_TIMEZONE, getTodayInTimezone, zonedTimeToInstant, formatInstant, getLocalDate, getLocalMinutes } = require('./timezone.js');
+const { DEFAULT_CALENDAR } = require('./workingCalendar.js');
+const { DEFAULT_BUFFER_RULES, getBufferMinutes } = require('./bufferRules.js');
+
+// Helper function to round time up to the next quarter hour.
+// Works on the instant itself, so the server's timezone never matters
+// (every timezone we schedule in is offset by whole quarter hours).
+function roundToQuarterHour(date) {
+  const quarterHour = 15 * 60000;
+  const wholeMinutes = Math.floor(date.getTime() / 60000) * 60000;
+  return new Date(Math.ceil(wholeMinutes / quarterHour) * quarterHour);
+}
+
+// Helper function to get the local calendar date (YYYY-MM-DD) of a date or timestamp.
+// Plain YYYY-MM-DD strings are returned as they are.
+function parseDate(dateString, timezone = DEFAULT_TIMEZONE) {
+  if (!dateString) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(dateString)) return dateString;
+  return getLocalDate(dateString, timezone);
+}
+
+// Length of a working day in minutes on the default calendar; duration.days counts days of this length
+const WORKDAY_MINUTES = DEFAULT_CALENDAR.workingMinutes;
+
+// Helper function to get a job's duration in minutes (defaults to 60)
+function getJobDurationMinutes(job, workdayMinutes = WORKDAY_MINUTES) {
+  const minutes = (job.duration?.days || 0) * workdayMinutes +
+    (job.duration?.hours || 0) * 60 + (job.duration?.minutes || 0);
+  return minutes || 60;
+}
+
+// Helper function to schedule jobs with optimized timing.
+// Each job after the first is reached after the drive plus the buffer from bufferRules
+// (see bufferRules.js). Every job reports the drive to it as leg: { fromJobId, travelMinutes,
+// distance, duration, bufferMinutes, buffer } where distance and duration are the matrix's
+// { value, text } (metres, seconds). The first job's leg is the drive from the start
+// (fromJobId null, no buffer); it does not move the start of the day.
+// The day starts at the calendar's dayStart, and its lunch break is taken at the first
+// break between jobs after lunchBreak.after (returned in breaks). Jobs finishing after
+// dayEnd are kept but marked with overtimeMinutes.
+// Jobs are started no earlier than their earliestStart; a job that cannot start by
+// its latestStart (or pinned time) is left out and returned in unscheduledJobs with a reason.
+// Pass departureMinutes (minutes after midnight) to re-plan the rest of a day: the day then
+// starts at that time at the start location, and the drive to the first job counts.
+function scheduleOptimizedJobs(optimizedJobs, distanceMatrix, destinations, routingDate, timezone = DEFAULT_TIMEZONE, calendar = DEFAULT_CALENDAR, bufferRules = DEFAULT_BUFFER_RULES, departureMinutes = null) {
+  const scheduledJobs = [];
+  const unscheduledJobs = [];
+  const breaks = [];
+
+  // Use provided routing date or get base date from first job or use today (all in the user's timezone)
+  let baseDate = getTodayInTimezone(timezone);
+  if (routingDate) {
+    baseDate = parseDate(routingDate, timezone);
+    console.log(`Using provided routing date: ${baseDate}`);
+  } else if (optimizedJobs.length > 0 && optimizedJobs[0].startDate) {
+    baseDate = parseDate(optimizedJobs[0].startDate, timezone);
+    console.log(`Using date from first job: ${optimizedJobs[0].startDate} -> ${baseDate}`);
+  } else {
+    console.log(`Using today's date: ${baseDate}`);
+  }
+
+  // Helper to turn minutes after midnight into a time on the routing day
+  const atMinutes = (totalMinutes) => zonedTimeToInstant(baseDate, totalMinutes, timezone);
+
+  // Start the day at the calendar's start time (or when leaving for the rest of the day)
+  let readyTime = atMinutes(departureMinutes ?? calendar.startMinutes);
+  let previousJob = null;
+  let previousEndTime = null;
+  let lunchTaken = !calendar.lunchBreak;
+
+  console.log(`Starting schedule at: ${formatInstant(readyTime, timezone)} (${timezone})`);
+
+  for (const originalJob of optimizedJobs) {
+    const job = { ...originalJob };
+
+    // Default to 60 minutes if no duration specified
+    const jobDurationMinutes = getJobDurationMinutes(job);
+    if (!job.duration?.days && !job.duration?.hours && !job.duration?.minutes) {
+      job.duration = { days: 0, hours: 1, minutes: 0 };
+    }
+
+    // Calculate travel time from the previous scheduled job (or the start for the first job)
+    const previousJobIndex = previousJob ? destinations.findIndex(d => d.jobId === previousJob.id) : -1;
+    const jobIndex = destinations.findIndex(d => d.jobId === job.id);
+    // Add 1 to account for start location in matrix
+    const matrixElement = jobIndex !== -1 && (!previousJob || previousJobIndex !== -1)
+      ? distanceMatrix.rows[previousJobIndex + 1]?.elements[jobIndex]
+      : null;
+    const legDistance = matrixElement?.distance ? { value: matrixElement.distance.value, text: matrixElement.distance.text } : null;
+    const legDuration = matrixElement?.duration ? { value: matrixElement.duration.value, text: matrixElement.duration.text } : null;
+
+    let travelText = null;
+    if (!previousJob && departureMinutes === null) {
+      job.leg = {
+        fromJobId: null,
+        travelMinutes: legDuration ? Math.ceil(legDuration.value / 60) : null,
+        distance: legDistance,
+        duration: legDuration
+      };
+    } else {
+      let travelMinutes = 15; // Default buffer
+
+      if (legDuration) {
+        travelMinutes = Math.ceil(legDuration.value / 60); // Convert seconds to minutes
+        travelText = legDuration.text;
+        console.log(`Travel from ${previousJob ? previousJob.title : 'start'} to ${job.title}: ${legDuration.text} (${travelMinutes} min)`);
+      }
+
+      // Add the buffer for this job (parking, setting up, ...)
+      const buffer = getBufferMinutes(job, bufferRules);
+      const totalTravelMinutes = travelMinutes + buffer.minutes;
+      job.leg = {
+        fromJobId: previousJob ? previousJob.id : null,
+        travelMinutes,
+        distance: legDistance,
+        duration: legDuration,
+        bufferMinutes: buffer.minutes,
+        buffer: buffer.parts
+      };
+
+      console.log(`Total travel + buffer: ${totalTravelMinutes} minutes (${travelMinutes} travel + ${buffer.minutes} buffer)`);
+
+      readyTime = new Date((previousJob ? previousEndTime : readyTime).getTime() + totalTravelMinutes * 60000);
+    }
+
+    // Take lunch at the first break between jobs once it is past lunchBreak.after
+    const takesLunch = previousJob && !lunchTaken && previousEndTime >= atMinutes(calendar.lunchBreak.afterMinutes);
+    if (takesLunch) {
+      readyTime = new Date(readyTime.getTime() + calendar.lunchBreak.minutes * 60000);
+    }
+
+    // Apply the job's time window: wait for earliestStart, never start after latestStart
+    const window = getJobTimeWindow(job, timezone);
+    let startTime = roundToQuarterHour(readyTime);
+    if (window.earliest !== null && readyTime < atMinutes(window.earliest)) {
+      startTime = atMinutes(window.earliest);
+    }
+
+    if (window.latest !== null && startTime > atMinutes(window.latest)) {
+      const earliestPossible = formatTimeOfDay(getLocalMinutes(startTime, timezone));
+      const reason = window.pinned
+        ? `Cannot reach pinned time ${formatTimeOfDay(window.latest)}; earliest possible start is ${earliestPossible}`
+        : `Cannot start by latestStart ${formatTimeOfDay(window.latest)}; earliest possible start is ${earliestPossible}`;
+      console.log(`Unscheduled ${job.title}: ${reason}`);
+      unscheduledJobs.push({ ...originalJob, reason });
+      continue;
+    }
+
+    const endTime = new Date(startTime.getTime() + jobDurationMinutes * 60000);
+
+    job.startDate = formatInstant(startTime, timezone);
+    job.endDate = formatInstant(endTime, timezone);
+
+    const dayEnd = atMinutes(calendar.endMinutes);
+    if (endTime > dayEnd) {
+      job.overtimeMinutes = Math.round((endTime - dayEnd) / 60000);
+    }
+
+    if (takesLunch) {
+      lunchTaken = true;
+      breaks.push({
+        type: 'lunch',
+        startDate: formatInstant(previousEndTime, timezone),
+        endDate: formatInstant(new Date(previousEndTime.getTime() + calendar.lunchBreak.minutes * 60000), timezone)
+      });
+    }
+
+    if (previousJob && travelText) {
+      previousJob.travelTimeToNext = travelText;
+    }
+
+    console.log(`Scheduled ${job.title}: ${job.startDate} - ${job.endDate}`);
+
+    scheduledJobs.push(job);
+    previousJob = job;
+    previousEndTime = endTime;
+  }
+
+  return { scheduledJobs, unscheduledJobs, breaks };
+}
+
+module.exports = {
+  WORKDAY_MINUTES,
+  roundToQuarterHour,
+  parseDate,
+  getJobDurationMinutes,
+  scheduleOptimizedJobs
+};
@@ -1,1014 +1,18 @@
-const express = require('express');
-const OpenAI = require('openai');
-const { Client } = require('@googlemaps/google-maps-services-js');
-const { bunningsLocation } = require('./data.js');
+const { createApp } = require('./app.js');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// Initialize Google Maps client
-const googleMapsClient = new Client({});
-
-app.use(express.json());
-
-// Note: Schedule is now passed in requests rather than stored server-side
-
-app.get('/hello-world', (req, res) => {
-  res.json({
-    message: 'Hello World!',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Chat endpoint for schedule management
-app.post('/chat', async (req, res) => {
-  try {
-    const { message, conversationHistory = [], schedule = [] } = req.body;
-
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
-
-    // System prompt for the schedule management chatbot
-    const systemPrompt = `You are a friendly intelligent schedule management assistant who always responds in English. The user has a daily schedule with appointments and tasks. Your job is to help them modify their schedule by adding new tasks.
-
-CRITICAL: Before doing anything else, examine the user's exact message word by word to identify:
-- If "from [PLACE]" appears → LOCATION = [PLACE]
-- If "at [TIME]" appears → TIME = [TIME]
-- If "pickup", "drop-off", "materials", etc. appear → PURPOSE = [obvious activity]
-
-User message: "${message}"
-Now parsing this exact message for TIME, LOCATION, PURPOSE...
-
-Current Schedule:
-${schedule.map(task => {
-      const startTime = new Date(task.startDate).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
-      const endTime = new Date(task.endDate).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
-      return `- ${startTime}-${endTime}: ${task.title} at ${task.location?.formattedAddress || 'Location TBD'}`;
-    }).join('\n')}
-
-When a user wants to add a new task, you MUST have these three pieces of information before adding:
-1. TIME - A specific time (e.g., "2pm", "around midday", "10:30 AM")
-2. LOCATION - Any address, business name, or location (the system will automatically look it up and get coordinates)
-3. PURPOSE/DESCRIPTION - What they need to do there
-
-TONE AND COMMUNICATION:
-- Be casual, friendly, and supportive - you're helping busy tradies get organized
-- Never show frustration or be rude - always stay polite and helpful
-- Use language that's natural and easy to understand
-- Be encouraging and positive in your responses
-- Acknowledge their hard work and busy schedules
-
-SMART PURPOSE INFERENCE AND COMPLETE REQUEST PARSING:
-
-FIRST, PARSE THE FULL REQUEST - Look for TIME, LOCATION, and PURPOSE in every message:
-  * Time indicators: "at 2pm", "around 3", "5:30", "midday", "morning", "afternoon"
-  * Location indicators:
-    - ANY phrase with "from [place]" → LOCATION = [place]
-    - ANY phrase with "at [place]" → LOCATION = [place]
-    - ANY phrase with "to [place]" → LOCATION = [place]
-    - Business names: "Bunnings", "McDonald's", "Woolworths", "Coles", "Officeworks", "Mitre 10"
-    - School names: "Oakhill College", "St Mary's Primary", "[Name] School"
-    - Addresses: "123 Main St", "45 Victoria Road"
-    - Generic locations: "the bank", "post office", "pharmacy"
-  * Purpose indicators: activity names that make the purpose obvious
-
-OBVIOUS ACTIVITIES - PURPOSE IS CLEAR:
-  * "school pickup" → purpose: "school pickup"
-  * "school drop-off" → purpose: "school drop-off"
-  * "pick up materials" → purpose: "material pickup"
-  * "get groceries" → purpose: "grocery shopping"
-  * "get lunch" or "lunch" → purpose: "lunch break"
-  * "fuel up" → purpose: "refuel vehicle"
-  * "go to the bank" → purpose: "banking"
-  * "site visit" or "job site" → purpose: "site inspection"
-  * "post office" → purpose: "postal services"
-  * "pharmacy" → purpose: "prescription/medical supplies"
-
-CRITICAL PARSING EXAMPLES - FOLLOW EXACTLY:
-
-REQUEST: "I need to pick up materials from Bunnings at 2pm"
-PARSING STEP BY STEP:
-1. Find TIME: "at 2pm" ✓
-2. Find LOCATION: "from Bunnings" = Bunnings ✓
-3. Find PURPOSE: "pick up materials" = material pickup ✓
-ALL THREE FOUND → CREATE TASK NOW!
-ADD_TASK: {"title": "Material pickup", "location": "Bunnings", "startTime": "2:00 PM", "duration": "30 minutes", "description": "material pickup", "type": "Task"}
-
-REQUEST: "school pickup at 3:15 from Oakhill College"
-PARSE: ✓ TIME: "at 3:15" ✓ LOCATION: "Oakhill College" ✓ PURPOSE: "school pickup"
-ACTION: CREATE TASK IMMEDIATELY with ADD_TASK JSON
-
-REQUEST: "I need to do a school pickup"
-PARSE: ✗ TIME: missing ✗ LOCATION: missing ✓ PURPOSE: "school pickup"
-ACTION: Ask "When and where do you need to do the school pickup?"
-
-REQUEST: "pick up materials at 2pm"
-PARSE: ✓ TIME: "at 2pm" ✗ LOCATION: missing ✓ PURPOSE: "material pickup"
-ACTION: Ask "Where do you need to pick up materials at 2pm?"
-
-IF YOU HAVE ALL THREE (TIME + LOCATION + PURPOSE), YOU MUST CREATE A TASK IMMEDIATELY.
-
-STRICT RULES:
-- Accept any location - addresses, business names, landmarks, etc.
-- NEVER ask for purpose if it's obvious from the activity mentioned
-- Ask for missing info casually - use "when and where" not "TIME and LOCATION"
-- Don't add a task until you have time, location, and purpose (inferred or explicit)
-- Estimate duration if not provided (30-60 minutes for errands, etc.)
-- Always use the EXACT SAME DATE as existing schedule items
-- Make sure times don't conflict with existing tasks
-
-MANDATORY CONSTRAINTS FOR TASK CREATION:
-- The "type" field can ONLY be one of these three values: "Task", "Quote inspection", or "Job on site"
-- Determine the type based on context: "Task" for personal errands, "Quote inspection" for estimates/quotes, "Job on site" for actual work
-- The start and end date fields must use the EXACT SAME DATE as the existing schedule items - NEVER use today's date
-- You must include the "type" field in your ADD_TASK response
-
-CRITICAL TASK CREATION RULE - MUST FOLLOW EXACTLY:
-
-NEVER say "I've added", "I've scheduled", "Great! I've added", or any variation claiming you created a task UNLESS you include the ADD_TASK JSON response first.
-
-ONLY when you have TIME, SPECIFIC LOCATION, and PURPOSE, respond in this EXACT format:
-
-ADD_TASK: {"title": "task title", "location": "exact specific location", "startTime": "HH:MM AM/PM", "duration": "XX minutes", "description": "task description", "type": "Task|Quote inspection|Job on site"}
-
-Perfect! I've added [task] to your schedule at [time]. [friendly comment]
-
-FORBIDDEN: NEVER claim you've added anything without the ADD_TASK JSON above it.
-
-If you don't have all 3 pieces, just ask for what's missing - don't claim you've added anything!`;
-
-    // Build conversation messages - convert chat format to OpenAI format
-    const convertedHistory = conversationHistory.map(msg => ({
-      role: msg.author?.id === 'trav-chat-service' ? 'assistant' : 'user',
-      content: msg.text
-    }));
-
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...convertedHistory,
-      { role: 'user', content: message }
-    ];
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: messages,
-      max_tokens: 800,
-      temperature: 0.7
-    });
-
-    const assistantMessage = completion.choices[0].message.content;
-
-    // Debug logging
-    console.log('OpenAI Response:', assistantMessage);
-
-    // Check if the assistant wants to add a task
-    let taskAdded = false;
-    let addedTask = null;
-    let updatedSchedule = [...schedule];
-
-    if (assistantMessage.includes('ADD_TASK:')) {
-      try {
-        const addTaskMatch = assistantMessage.match(/ADD_TASK:\s*({.*?})/s);
-        console.log('ADD_TASK match:', addTaskMatch);
-
-        if (addTaskMatch) {
-          const taskData = JSON.parse(addTaskMatch[1]);
-          console.log('Parsed task data:', taskData);
-
-          // Parse duration
-          const durationMinutes = parseInt(taskData.duration) || 60;
-
-          // Parse start time - handle different formats
-          // Extract date from existing schedule items without timezone conversion
-          let baseYear = 2024, baseMonth = 9, baseDay = 20; // defaults
-          if (schedule.length > 0) {
-            const existingDate = schedule[0].startDate;
-            // Parse ISO string manually to avoid timezone conversion
-            const match = existingDate.match(/^(\d{4})-(\d{2})-(\d{2})/);
-            if (match) {
-              baseYear = parseInt(match[1]);
-              baseMonth = parseInt(match[2]) - 1; // JS months are 0-indexed
-              baseDay = parseInt(match[3]);
-            }
-          }
-
-          let hour24, minute = 0;
-
-          if (taskData.startTime.toLowerCase().includes('midday') || taskData.startTime.toLowerCase().includes('noon')) {
-            hour24 = 12;
-          } else {
-            const timeMatch = taskData.startTime.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
-            if (timeMatch) {
-              hour24 = parseInt(timeMatch[1]);
-              minute = parseInt(timeMatch[2]) || 0;
-              const period = timeMatch[3]?.toLowerCase();
-
-              if (period === 'pm' && hour24 !== 12) hour24 += 12;
-              if (period === 'am' && hour24 === 12) hour24 = 0;
-            } else {
-              hour24 = 12; // Default to noon if can't parse
-            }
-          }
-
-          // Create ISO string manually to avoid timezone issues
-          const formatTwoDigits = (num) => String(num).padStart(2, '0');
-          const startDateISO = `${baseYear}-${formatTwoDigits(baseMonth + 1)}-${formatTwoDigits(baseDay)}T${formatTwoDigits(hour24)}:${formatTwoDigits(minute)}:00.000Z`;
-
-          // Calculate end time
-          const endHour = hour24 + Math.floor(durationMinutes / 60);
-          const endMinute = minute + (durationMinutes % 60);
-          const adjustedEndHour = endHour + Math.floor(endMinute / 60);
-          const adjustedEndMinute = endMinute % 60;
-
-          const endDateISO = `${baseYear}-${formatTwoDigits(baseMonth + 1)}-${formatTwoDigits(baseDay)}T${formatTwoDigits(adjustedEndHour)}:${formatTwoDigits(adjustedEndMinute)}:00.000Z`;
-
-          // Determine location - use Bunnings data if mentioned, otherwise geocode the address
-          let locationData;
-          if (taskData.location.toLowerCase().includes('bunnings')) {
-            locationData = bunningsLocation.location;
-          } else {
-            // Use Google geocoding to get proper coordinates and address details
-            locationData = await geocodeAddress(taskData.location);
-          }
-
-          // Create new task in the expected schema format
-          const newTask = {
-            id: Math.max(...schedule.map(t => t.id || 0), 0) + 1,
-            title: taskData.title,
-            jobTitle: taskData.title,
-            type: taskData.type || 'Task',
-            startDate: startDateISO,
-            endDate: endDateISO,
-            location: locationData,
-            duration: {
-              days: 0,
-              hours: Math.floor(durationMinutes / 60),
-              minutes: durationMinutes % 60
-            },
-            jobDescription: taskData.description,
-          };
-
-          console.log('Created new task:', newTask);
-
-          updatedSchedule.push(newTask);
-
-          // Sort schedule by start time
-          updatedSchedule.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
-
-          taskAdded = true;
-          addedTask = newTask;
-        }
-      } catch (error) {
-        console.error('Error parsing ADD_TASK:', error);
-      }
-    }
-
-    // Clean up the response message (remove ADD_TASK JSON)
-    const cleanResponse = assistantMessage.replace(/ADD_TASK:\s*{.*?}\s*/, '').trim();
-
-    res.json({
-      response: cleanResponse,
-      schedule: updatedSchedule,
-      taskAdded,
-      addedTask,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    console.error('Chat error:', error);
-    res.status(500).json({
-      error: 'Failed to process chat message',
-      details: error.message
-    });
-  }
-});
-
-// Get current schedule (now requires schedule to be passed as query param or body)
-app.get('/schedule', (req, res) => {
-  res.json({
-    message: 'Schedule endpoint - pass schedule data in POST /chat requests',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Add task to schedule (deprecated - use POST /chat instead)
-app.post('/schedule/add', (req, res) => {
-  res.status(400).json({
-    error: 'This endpoint is deprecated. Use POST /chat with schedule data instead.',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Helper function to geocode an address using Google Places API
-async function geocodeAddress(address) {
-  try {
-    if (!process.env.GOOGLE_MAPS_API_KEY) {
-      console.warn('Google Maps API key not configured, using placeholder location');
-      return {
-        formattedAddress: address,
-        streetAddress: address,
-        suburb: '',
-        state: '',
-        postcode: '',
-        googlePlaceId: null,
-        latitude: null,
-        longitude: null,
-      };
-    }
-
-    // Use Google Places API for address lookup
-    const response = await googleMapsClient.geocode({
-      params: {
-        address: address,
-        key: process.env.GOOGLE_MAPS_API_KEY,
-      }
-    });
-
-    if (response.data.results && response.data.results.length > 0) {
-      const result = response.data.results[0];
-      const location = result.geometry.location;
-
-      // Extract address components
-      const addressComponents = result.address_components;
-      let streetNumber = '';
-      let route = '';
-      let suburb = '';
-      let state = '';
-      let postcode = '';
-
-      addressComponents.forEach(component => {
-        const types = component.types;
-        if (types.includes('street_number')) {
-          streetNumber = component.long_name;
-        } else if (types.includes('route')) {
-          route = component.long_name;
-        } else if (types.includes('locality') || types.includes('sublocality_level_1')) {
-          suburb = component.long_name;
-        } else if (types.includes('administrative_area_level_1')) {
-          state = component.short_name;
-        } else if (types.includes('postal_code')) {
-          postcode = component.long_name;
-        }
-      });
-
-      const streetAddress = `${streetNumber} ${route}`.trim();
-
-      return {
-        formattedAddress: result.formatted_address,
-        streetAddress: streetAddress || result.formatted_address,
-        suburb: suburb,
-        state: state,
-        postcode: postcode,
-        googlePlaceId: result.place_id,
-        latitude: location.lat,
-        longitude: location.lng,
-      };
-    } else {
-      console.warn(`No geocoding results found for address: ${address}`);
-      return {
-        formattedAddress: address,
-        streetAddress: address,
-        suburb: '',
-        state: '',
-        postcode: '',
-        googlePlaceId: null,
-        latitude: null,
-        longitude: null,
-      };
-    }
-  } catch (error) {
-    console.error('Geocoding error:', error);
-    // Return placeholder location on error
-    return {
-      formattedAddress: address,
-      streetAddress: address,
-      suburb: '',
-      state: '',
-      postcode: '',
-      googlePlaceId: null,
-      latitude: null,
-      longitude: null,
-    };
-  }
-}
-
-// Helper function to round time to nearest quarter hour
-function roundToQuarterHour(date) {
-  const minutes = date.getMinutes();
-  const roundedMinutes = Math.ceil(minutes / 15) * 15;
-  const newDate = new Date(date);
-  newDate.setMinutes(roundedMinutes);
-  newDate.setSeconds(0);
-  newDate.setMilliseconds(0);
-
-  if (roundedMinutes === 60) {
-    newDate.setMinutes(0);
-    newDate.setHours(newDate.getHours() + 1);
-  }
-
-  return newDate;
-}
-
-// Helper function to parse date without timezone conversion
-function parseDate(dateString) {
-  if (!dateString) return null;
-  // Handle ISO strings by extracting just the date part or parsing carefully
-  if (dateString.includes('T')) {
-    const datePart = dateString.split('T')[0];
-    const [year, month, day] = datePart.split('-').map(Number);
-    return new Date(year, month - 1, day); // month is 0-indexed
-  }
-  // Handle YYYY-MM-DD format
-  const [year, month, day] = dateString.split('-').map(Number);
-  return new Date(year, month - 1, day); // month is 0-indexed
-}
-
-// Helper function to add days to a date string without timezone issues
-function addDaysToDateString(dateString, daysToAdd) {
-  const [year, month, day] = dateString.split('-').map(Number);
-  const date = new Date(year, month - 1, day + daysToAdd);
-
-  const newYear = date.getFullYear();
-  const newMonth = String(date.getMonth() + 1).padStart(2, '0');
-  const newDay = String(date.getDate()).padStart(2, '0');
-
-  return `${newYear}-${newMonth}-${newDay}`;
-}
-
-// Helper function to schedule jobs with optimized timing
-function scheduleOptimizedJobs(optimizedJobs, distanceMatrix, destinations, routingDate) {
-  const scheduledJobs = [...optimizedJobs];
-
-  // Use provided routing date or get base date from first job or use today
-  let baseDate = new Date();
-  if (routingDate) {
-    // Parse the yyyy-mm-dd format without timezone conversion
-    baseDate = parseDate(routingDate);
-    console.log(`Using provided routing date: ${routingDate} -> ${baseDate.toDateString()}`);
-  } else if (optimizedJobs.length > 0 && optimizedJobs[0].startDate) {
-    // Parse the existing date without timezone conversion
-    baseDate = parseDate(optimizedJobs[0].startDate);
-    console.log(`Using date from first job: ${optimizedJobs[0].startDate} -> ${baseDate.toDateString()}`);
-  } else {
-    console.log(`Using today's date: ${baseDate.toDateString()}`);
-  }
-
-  // Set start time between 7-9am (randomly pick 7:30am for consistency)
-  let currentTime = new Date(baseDate);
-  currentTime.setHours(7, 30, 0, 0);
-
-  console.log(`Starting schedule at: ${currentTime.toLocaleString()}`);
-
-  for (let i = 0; i < scheduledJobs.length; i++) {
-    const job = scheduledJobs[i];
-
-    // Get job duration in minutes
-    const jobDurationMinutes = (job.duration.hours || 0) * 60 + (job.duration.minutes || 0);
-    if (jobDurationMinutes === 0) {
-      // Default to 60 minutes if no duration specified
-      job.duration = { days: 0, hours: 1, minutes: 0 };
-    }
-
-    // Round start time to quarter hour
-    const startTime = roundToQuarterHour(currentTime);
-    const endTime = new Date(startTime.getTime() + ((job.duration.hours || 0) * 60 + (job.duration.minutes || 0)) * 60000);
-
-    // Update job times using timezone-agnostic ISO format
-    // Create ISO string in local time to avoid timezone shifts
-    const formatDateLocal = (date) => {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      const hours = String(date.getHours()).padStart(2, '0');
-      const minutes = String(date.getMinutes()).padStart(2, '0');
-      const seconds = String(date.getSeconds()).padStart(2, '0');
-      return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}.000Z`;
-    };
-
-    job.startDate = formatDateLocal(startTime);
-    job.endDate = formatDateLocal(endTime);
-
-    console.log(`Scheduled ${job.title}: ${startTime.toLocaleTimeString()} - ${endTime.toLocaleTimeString()}`);
-
-    // Calculate travel time to next job
-    if (i < scheduledJobs.length - 1) {
-      // Find travel time in distance matrix
-      const currentJobIndex = destinations.findIndex(d => d.jobId === job.id);
-      const nextJob = scheduledJobs[i + 1];
-      const nextJobIndex = destinations.findIndex(d => d.jobId === nextJob.id);
-
-      let travelMinutes = 15; // Default buffer
-
-      if (currentJobIndex !== -1 && nextJobIndex !== -1) {
-        // Add 1 to account for start location in matrix
-        const matrixRowIndex = currentJobIndex + 1;
-        const matrixElement = distanceMatrix.rows[matrixRowIndex]?.elements[nextJobIndex];
-
-        if (matrixElement && matrixElement.duration) {
-          travelMinutes = Math.ceil(matrixElement.duration.value / 60); // Convert seconds to minutes
-          job.travelTimeToNext = matrixElement.duration.text;
-          console.log(`Travel from ${job.title} to ${nextJob.title}: ${matrixElement.duration.text} (${travelMinutes} min)`);
-        }
-      }
-
-      // Add buffer time (15-30 minutes)
-      const bufferMinutes = Math.floor(Math.random() * 16) + 15; // Random between 15-30
-      const totalTravelMinutes = travelMinutes + bufferMinutes;
-
-      console.log(`Total travel + buffer: ${totalTravelMinutes} minutes (${travelMinutes} travel + ${bufferMinutes} buffer)`);
-
-      // Set next job start time
-      currentTime = new Date(endTime.getTime() + totalTravelMinutes * 60000);
-    }
-  }
-
-  return scheduledJobs;
-}
-
-// Route optimization endpoint
-app.post('/optimize-route', async (req, res) => {
-  try {
-    const { jobs, startLocation, routingDate } = req.body;
-
-    if (!jobs || !Array.isArray(jobs) || jobs.length === 0) {
-      return res.status(400).json({
-        error: 'Jobs array is required and must contain at least one job'
-      });
-    }
-
-    // Validate routing date format if provided
-    if (routingDate && !routingDate.match(/^\d{4}-\d{2}-\d{2}$/)) {
-      return res.status(400).json({
-        error: 'routingDate must be in YYYY-MM-DD format'
-      });
-    }
-
-    if (!process.env.GOOGLE_MAPS_API_KEY) {
-      return res.status(500).json({
-        error: 'Google Maps API key is not configured'
-      });
-    }
-
-    // Extract locations from jobs
-    const destinations = jobs.map(job => {
-      if (!job.location || !job.location.latitude || !job.location.longitude) {
-        throw new Error(`Job "${job.title}" is missing location coordinates`);
-      }
-      return {
-        lat: job.location.latitude,
-        lng: job.location.longitude,
-        jobId: job.id,
-        title: job.title,
-        address: job.location.formattedAddress
-      };
-    });
-
-    // Use start location if provided, otherwise use first job location
-    const origin = startLocation || {
-      lat: destinations[0].lat,
-      lng: destinations[0].lng
-    };
-
-    // Get distance matrix to calculate travel times between all points
-    const distanceMatrixResponse = await googleMapsClient.distancematrix({
-      params: {
-        origins: [origin, ...destinations.map(d => ({ lat: d.lat, lng: d.lng }))],
-        destinations: destinations.map(d => ({ lat: d.lat, lng: d.lng })),
-        mode: 'driving',
-        units: 'metric',
-        departure_time: 'now',
-        traffic_model: 'best_guess',
-        key: process.env.GOOGLE_MAPS_API_KEY,
-      }
-    });
-
-    const matrix = distanceMatrixResponse.data;
-
-    // Create AI prompt for route optimization
-    const locationsInfo = destinations.map((dest, index) =>
-      `${index + 1}. ${dest.title} at ${dest.address}`
-    ).join('\n');
-
-    const matrixInfo = matrix.rows.map((row, fromIndex) => {
-      const fromLabel = fromIndex === 0 ? 'Start' : destinations[fromIndex - 1].title;
-      return row.elements.map((element, toIndex) => {
-        const toLabel = destinations[toIndex].title;
-        const duration = element.duration ? element.duration.text : 'N/A';
-        const distance = element.distance ? element.distance.text : 'N/A';
-        return `${fromLabel} → ${toLabel}: ${duration} (${distance})`;
-      }).join('\n');
-    }).join('\n\n');
-
-    const aiPrompt = `You are a route optimization expert. Given the following job locations and travel times, determine the most efficient route to visit all locations to minimize total travel time.
-
-Jobs to visit:
-${locationsInfo}
-
-Travel times and distances:
-${matrixInfo}
-
-Please analyze the travel times and provide:
-1. The optimal route order (list of job numbers)
-2. Total estimated travel time
-3. Brief explanation of why this route is optimal
-
-Respond in JSON format:
-{
-  "optimizedRoute": [job numbers in optimal order],
-  "totalTravelTime": "estimated total travel time",
-  "explanation": "brief explanation of optimization strategy"
-}`;
-
-    // Get AI recommendation
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [
-        { role: 'system', content: 'You are a route optimization expert. Always respond with valid JSON.' },
-        { role: 'user', content: aiPrompt }
-      ],
-      max_tokens: 500,
-      temperature: 0.3
-    });
-
-    let aiRecommendation;
-    try {
-      aiRecommendation = JSON.parse(completion.choices[0].message.content);
-    } catch (parseError) {
-      console.error('Failed to parse AI response:', completion.choices[0].message.content);
-      throw new Error('Invalid AI response format');
-    }
-
-    // Create detailed route with job information
-    const optimizedJobsRoute = aiRecommendation.optimizedRoute.map(jobIndex => {
-      const job = jobs.find(j => j.id === destinations[jobIndex - 1].jobId);
-      return {
-        ...job,
-        routeOrder: aiRecommendation.optimizedRoute.indexOf(jobIndex) + 1
-      };
-    });
-
-    console.log('=== ROUTE OPTIMIZATION DEBUG ===');
-    console.log('Original jobs count:', jobs.length);
-    console.log('AI recommended route:', aiRecommendation.optimizedRoute);
-    console.log('Optimized jobs route:', optimizedJobsRoute.map(j => ({ id: j.id, title: j.title, routeOrder: j.routeOrder })));
-
-    // Schedule jobs with updated start/end times
-    const scheduledJobs = scheduleOptimizedJobs(optimizedJobsRoute, matrix, destinations, routingDate);
-
-    console.log('=== SCHEDULING DEBUG ===');
-    scheduledJobs.forEach(job => {
-      console.log(`Job ${job.routeOrder}: ${job.title}`);
-      console.log(`  Start: ${new Date(job.startDate).toLocaleString()}`);
-      console.log(`  End: ${new Date(job.endDate).toLocaleString()}`);
-      console.log(`  Duration: ${job.duration.hours}h ${job.duration.minutes}m`);
-      if (job.travelTimeToNext) {
-        console.log(`  Travel to next: ${job.travelTimeToNext}`);
-      }
-      console.log('');
-    });
-
-    res.json({
-      originalJobs: jobs,
-      optimizedRoute: scheduledJobs,
-      routeOptimization: aiRecommendation,
-      distanceMatrix: matrix,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    console.error('Route optimization error:', error);
-    res.status(500).json({
-      error: 'Failed to optimize route',
-      details: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-// Helper function to calculate distance between two points using Haversine formula
-function calculateDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLng = (lng2 - lng1) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLng/2) * Math.sin(dLng/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
-
-// Helper function to distribute jobs across multiple days using heuristics
-function distributeJobsAcrossDays(jobs, maxJobsPerDay = 7) {
-  if (jobs.length <= maxJobsPerDay) {
-    return [jobs]; // All jobs fit in one day
-  }
-
-  // Extract locations for clustering analysis
-  const jobsWithDistance = jobs.map(job => ({
-    ...job,
-    lat: job.location.latitude,
-    lng: job.location.longitude,
-    totalDuration: (job.duration.hours || 0) * 60 + (job.duration.minutes || 0)
-  }));
-
-  // Sort by priority: urgent jobs first, then by job type, then by duration
-  const prioritizedJobs = jobsWithDistance.sort((a, b) => {
-    // Priority 1: Job type priority (Job on site > Quote inspection > Task)
-    const typePriority = { 'Job on site': 3, 'Quote inspection': 2, 'Task': 1 };
-    const aPriority = typePriority[a.type] || 1;
-    const bPriority = typePriority[b.type] || 1;
-
-    if (aPriority !== bPriority) return bPriority - aPriority;
-
-    // Priority 2: Longer duration jobs first (easier to balance)
-    return b.totalDuration - a.totalDuration;
-  });
-
-  const days = [];
-  let currentDay = [];
-  let currentDayDuration = 0;
-  const maxDayDuration = 8 * 60; // 8 hours max per day
-
-  // Distribute jobs using a greedy approach with geographic clustering
-  for (const job of prioritizedJobs) {
-    const jobDuration = job.totalDuration || 60; // Default 1 hour
-
-    // Check if job fits in current day
-    if (currentDay.length < maxJobsPerDay &&
-        currentDayDuration + jobDuration <= maxDayDuration) {
-
-      // If current day is empty, add job
-      if (currentDay.length === 0) {
-        currentDay.push(job);
-        currentDayDuration += jobDuration;
-        continue;
-      }
-
-      // Calculate average distance to jobs in current day
-      const avgDistanceToCurrentDay = currentDay.reduce((sum, dayJob) =>
-        sum + calculateDistance(job.lat, job.lng, dayJob.lat, dayJob.lng), 0
-      ) / currentDay.length;
-
-      // If job is reasonably close to current day's jobs (within 15km average), add it
-      if (avgDistanceToCurrentDay <= 15) {
-        currentDay.push(job);
-        currentDayDuration += jobDuration;
-        continue;
-      }
-    }
-
-    // Start a new day
-    if (currentDay.length > 0) {
-      days.push(currentDay);
-    }
-    currentDay = [job];
-    currentDayDuration = jobDuration;
-  }
-
-  // Add the last day if it has jobs
-  if (currentDay.length > 0) {
-    days.push(currentDay);
-  }
-
-  // Post-processing: Balance days by moving jobs if beneficial
-  for (let i = 0; i < days.length - 1; i++) {
-    const currentDayJobs = days[i];
-    const nextDayJobs = days[i + 1];
-
-    // If current day is overloaded and next day has capacity
-    if (currentDayJobs.length > maxJobsPerDay * 0.8 &&
-        nextDayJobs.length < maxJobsPerDay * 0.6) {
-
-      // Find the best job to move (furthest from current day's cluster)
-      let jobToMove = null;
-      let maxDistance = 0;
-
-      for (const job of currentDayJobs) {
-        const avgDistance = currentDayJobs
-          .filter(j => j.id !== job.id)
-          .reduce((sum, j) => sum + calculateDistance(job.lat, job.lng, j.lat, j.lng), 0) /
-          (currentDayJobs.length - 1);
-
-        if (avgDistance > maxDistance) {
-          maxDistance = avgDistance;
-          jobToMove = job;
-        }
-      }
-
-      // Move the job if it's significantly far from the cluster
-      if (jobToMove && maxDistance > 10) {
-        days[i] = currentDayJobs.filter(j => j.id !== jobToMove.id);
-        days[i + 1].unshift(jobToMove);
-      }
-    }
-  }
-
-  return days;
-}
-
-// Multi-day route optimization endpoint
-app.post('/optimize-multi-day-route', async (req, res) => {
-  try {
-    const { jobs, startLocation, startFromDate } = req.body;
-
-    if (!jobs || !Array.isArray(jobs) || jobs.length === 0) {
-      return res.status(400).json({
-        error: 'Jobs array is required and must contain at least one job'
-      });
-    }
-
-    if (jobs.length > 20) {
-      return res.status(400).json({
-        error: 'Maximum 20 jobs supported for multi-day optimization'
-      });
-    }
-
-    if (!startFromDate || !startFromDate.match(/^\d{4}-\d{2}-\d{2}$/)) {
-      return res.status(400).json({
-        error: 'startFromDate is required and must be in YYYY-MM-DD format'
-      });
-    }
-
-    if (!process.env.GOOGLE_MAPS_API_KEY) {
-      return res.status(500).json({
-        error: 'Google Maps API key is not configured'
-      });
-    }
-
-    console.log(`=== MULTI-DAY OPTIMIZATION START ===`);
-    console.log(`Total jobs: ${jobs.length}`);
-    console.log(`Start date: ${startFromDate}`);
-
-    // Step 1: Distribute jobs across days
-    const jobsByDay = distributeJobsAcrossDays(jobs, 7); // Max 7 jobs per day
-
-    console.log(`Jobs distributed across ${jobsByDay.length} days:`);
-    jobsByDay.forEach((dayJobs, index) => {
-      console.log(`Day ${index + 1}: ${dayJobs.length} jobs - ${dayJobs.map(j => j.title).join(', ')}`);
-    });
-
-    // Step 2: Optimize route for each day
-    const optimizedDays = [];
-
-    for (let dayIndex = 0; dayIndex < jobsByDay.length; dayIndex++) {
-      const dayJobs = jobsByDay[dayIndex];
-      const routingDate = addDaysToDateString(startFromDate, dayIndex);
-
-      console.log(`\n--- Optimizing Day ${dayIndex + 1} (${routingDate}) ---`);
-
-      // Reuse the existing single-day optimization logic
-      const destinations = dayJobs.map(job => {
-        if (!job.location || !job.location.latitude || !job.location.longitude) {
-          throw new Error(`Job "${job.title}" is missing location coordinates`);
-        }
-        return {
-          lat: job.location.latitude,
-          lng: job.location.longitude,
-          jobId: job.id,
-          title: job.title,
-          address: job.location.formattedAddress
-        };
-      });
-
-      const origin = startLocation || {
-        lat: destinations[0].lat,
-        lng: destinations[0].lng
-      };
-
-      // Get distance matrix for this day's jobs
-      const distanceMatrixResponse = await googleMapsClient.distancematrix({
-        params: {
-          origins: [origin, ...destinations.map(d => ({ lat: d.lat, lng: d.lng }))],
-          destinations: destinations.map(d => ({ lat: d.lat, lng: d.lng })),
-          mode: 'driving',
-          units: 'metric',
-          departure_time: 'now',
-          traffic_model: 'best_guess',
-          key: process.env.GOOGLE_MAPS_API_KEY,
-        }
-      });
-
-      const matrix = distanceMatrixResponse.data;
-
-      // Create AI prompt for this day's route optimization
-      const locationsInfo = destinations.map((dest, index) =>
-        `${index + 1}. ${dest.title} at ${dest.address}`
-      ).join('\n');
-
-      const matrixInfo = matrix.rows.map((row, fromIndex) => {
-        const fromLabel = fromIndex === 0 ? 'Start' : destinations[fromIndex - 1].title;
-        return row.elements.map((element, toIndex) => {
-          const toLabel = destinations[toIndex].title;
-          const duration = element.duration ? element.duration.text : 'N/A';
-          const distance = element.distance ? element.distance.text : 'N/A';
-          return `${fromLabel} → ${toLabel}: ${duration} (${distance})`;
-        }).join('\n');
-      }).join('\n\n');
-
-      const aiPrompt = `You are a route optimization expert. Given the following job locations and travel times for Day ${dayIndex + 1}, determine the most efficient route to visit all locations to minimize total travel time.
-
-Jobs to visit on Day ${dayIndex + 1}:
-${locationsInfo}
-
-Travel times and distances:
-${matrixInfo}
-
-Please analyze the travel times and provide:
-1. The optimal route order (list of job numbers)
-2. Total estimated travel time
-3. Brief explanation of why this route is optimal
-
-Respond in JSON format:
-{
-  "optimizedRoute": [job numbers in optimal order],
-  "totalTravelTime": "estimated total travel time",
-  "explanation": "brief explanation of optimization strategy"
-}`;
-
-      // Get AI recommendation for this day
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          { role: 'system', content: 'You are a route optimization expert. Always respond with valid JSON.' },
-          { role: 'user', content: aiPrompt }
-        ],
-        max_tokens: 500,
-        temperature: 0.3
-      });
-
-      let aiRecommendation;
-      try {
-        aiRecommendation = JSON.parse(completion.choices[0].message.content);
-      } catch (parseError) {
-        console.error('Failed to parse AI response:', completion.choices[0].message.content);
-        throw new Error(`Invalid AI response format for Day ${dayIndex + 1}`);
-      }
-
-      // Create detailed route with job information
-      const optimizedJobsRoute = aiRecommendation.optimizedRoute.map(jobIndex => {
-        const job = dayJobs.find(j => j.id === destinations[jobIndex - 1].jobId);
-        return {
-          ...job,
-          routeOrder: aiRecommendation.optimizedRoute.indexOf(jobIndex) + 1
-        };
-      });
-
-      // Schedule jobs with updated start/end times
-      const scheduledJobs = scheduleOptimizedJobs(optimizedJobsRoute, matrix, destinations, routingDate);
-
-      optimizedDays.push({
-        date: routingDate,
-        dayNumber: dayIndex + 1,
-        jobs: scheduledJobs,
-        routeOptimization: aiRecommendation,
-        totalJobs: scheduledJobs.length,
-        estimatedStartTime: scheduledJobs[0]?.startDate,
-        estimatedEndTime: scheduledJobs[scheduledJobs.length - 1]?.endDate
-      });
-
-      console.log(`Day ${dayIndex + 1} optimized: ${scheduledJobs.length} jobs, route: ${aiRecommendation.optimizedRoute.join(' → ')}`);
-    }
-
-    // Calculate summary statistics
-    const totalJobs = optimizedDays.reduce((sum, day) => sum + day.totalJobs, 0);
-    const totalDays = optimizedDays.length;
-
-    console.log(`\n=== MULTI-DAY OPTIMIZATION COMPLETE ===`);
-    console.log(`Total jobs scheduled: ${totalJobs} across ${totalDays} days`);
-
-    res.json({
-      originalJobs: jobs,
-      optimizedSchedule: optimizedDays,
-      summary: {
-        totalJobs,
-        totalDays,
-        startDate: startFromDate,
-        endDate: optimizedDays[optimizedDays.length - 1]?.date,
-        averageJobsPerDay: Math.round(totalJobs / totalDays * 10) / 10
-      },
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    console.error('Multi-day route optimization error:', error);
-    res.status(500).json({
-      error: 'Failed to optimize multi-day route',
-      details: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+const app = createApp();
+const { llm } = app.locals;
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
-  console.log(`Chat endpoint: http://localhost:${PORT}/chat`);
-  console.log(`Schedule endpoint: http://localhost:${PORT}/schedule`);
+  console.log(`LLM provider: ${llm.name} (${Object.entries(llm.models).map(([useCase, model]) => `${useCase}: ${model}`).join(', ')})`);
+  console.log(`Chat endpoint: http://localhost:${PORT}/chat (streamed: /chat/stream)`);
+  console.log(`Schedule endpoints: http://localhost:${PORT}/schedule (GET, POST, PATCH /:taskId, DELETE /:taskId)`);
+  console.log(`Place endpoints: http://localhost:${PORT}/places (GET, POST, PATCH /:placeId, DELETE /:placeId)`);
   console.log(`Route optimization endpoint: http://localhost:${PORT}/optimize-route`);
   console.log(`Multi-day route optimization endpoint: http://localhost:${PORT}/optimize-multi-day-route`);
-});
\ No newline at end of file
+  console.log(`Replan endpoint: http://localhost:${PORT}/replan-route`);
+  console.log(`Dispatch endpoint: http://localhost:${PORT}/optimize-dispatch`);
+});
@@ -0,0 +1,305 @@
+// Task operations the /chat assistant can apply to a schedule.
+// Each operation targets existing tasks by id, fuzzy title match or start time,
+// and returns the change it made so the response can show exactly what moved.
+// Times of day are wall-clock times in the request's timezone.
+const { DEFAULT_TIMEZONE, zonedTimeToInstant, formatInstant, parseTimestamp, getLocalDate, getLocalMinutes } = require('./timezone.js');
+
+const TASK_TYPES = ['Task', 'Quote inspection', 'Job on site'];
+
+// Task priorities, most pressing first; tasks without one are 'normal'
+const TASK_PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+
+// Helper function to parse a chat time ("2pm", "10:30 AM", "midday") into minutes after midnight.
+// Returns null when no time can be found or it isn't a real time ("25:00", "13pm", "9:75").
+function parseChatTime(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.toLowerCase();
+
+  if (text.includes('midday') || text.includes('noon')) {
+    return 12 * 60;
+  }
+
+  const timeMatch = text.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
+  if (!timeMatch) {
+    // Vague times of day
+    if (text.includes('morning')) return 9 * 60;
+    if (text.includes('arvo') || text.includes('afternoon')) return 14 * 60;
+    if (text.includes('evening')) return 18 * 60;
+    return null;
+  }
+
+  let hour24 = parseInt(timeMatch[1]);
+  const minute = parseInt(timeMatch[2]) || 0;
+  const period = timeMatch[3]?.toLowerCase();
+
+  if (minute > 59 || hour24 > 23 || (period && (hour24 < 1 || hour24 > 12))) return null;
+
+  if (period === 'pm' && hour24 !== 12) hour24 += 12;
+  if (period === 'am' && hour24 === 12) hour24 = 0;
+  // "3 in the arvo" with no am/pm
+  if (!period && hour24 < 12 && /arvo|afternoon|evening/.test(text)) hour24 += 12;
+
+  return hour24 * 60 + minute;
+}
+
+// Helper function to parse a chat duration ("45 minutes", "1.5 hours", "2h 30m") into minutes
+function parseDurationMinutes(value, fallback = 60) {
+  if (typeof value === 'number') return value > 0 ? Math.round(value) : fallback;
+  if (typeof value !== 'string') return fallback;
+
+  const hoursMatch = value.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/i);
+  const minutesMatch = value.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/i);
+
+  if (hoursMatch || minutesMatch) {
+    const minutes = (hoursMatch ? parseFloat(hoursMatch[1]) * 60 : 0) +
+      (minutesMatch ? parseInt(minutesMatch[1]) : 0);
+    return Math.round(minutes) || fallback;
+  }
+
+  return parseInt(value) || fallback;
+}
+
+// Build an ISO timestamp (with offset) for a local date and minutes after midnight
+function buildZonedISO(datePart, totalMinutes, timezone = DEFAULT_TIMEZONE) {
+  return formatInstant(zonedTimeToInstant(datePart, totalMinutes, timezone), timezone);
+}
+
+// Helper function to read the local minutes after midnight from a task timestamp
+function getTaskStartMinutes(timestamp, timezone = DEFAULT_TIMEZONE) {
+  return timestamp ? getLocalMinutes(timestamp, timezone) : null;
+}
+
+// Helper function to get the local date (YYYY-MM-DD) of a task
+function getTaskDate(task, timezone = DEFAULT_TIMEZONE) {
+  return task.startDate ? getLocalDate(task.startDate, timezone) : null;
+}
+
+// Get the id for a new task: one more than the largest numeric id (ids like 'job-a' are skipped)
+function getNextTaskId(tasks) {
+  const numericIds = tasks.map(t => Number(t.id)).filter(Number.isInteger);
+  return Math.max(...numericIds, 0) + 1;
+}
+
+// Helper function to get a task's length in minutes from its dates or duration
+function getTaskLengthMinutes(task, timezone = DEFAULT_TIMEZONE) {
+  if (task.startDate && task.endDate) {
+    const minutes = Math.round((parseTimestamp(task.endDate, timezone) - parseTimestamp(task.startDate, timezone)) / 60000);
+    if (minutes > 0) return minutes;
+  }
+  return (task.duration?.hours || 0) * 60 + (task.duration?.minutes || 0) || 60;
+}
+
+// Helper function to split text into lowercase words for fuzzy matching
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Helper function to score how well a query matches a task title (0 - 1)
+function titleMatchScore(query, task) {
+  const title = `${task.title || ''} ${task.jobTitle || ''}`.toLowerCase();
+  const normalizedQuery = tokenize(query).join(' ');
+  if (!normalizedQuery) return 0;
+  if (tokenize(title).join(' ').includes(normalizedQuery)) return 1;
+
+  const titleWords = new Set(tokenize(title));
+  const queryWords = tokenize(query);
+  const matched = queryWords.filter(word =>
+    titleWords.has(word) || [...titleWords].some(titleWord => titleWord.startsWith(word) || word.startsWith(titleWord))
+  );
+  return matched.length / queryWords.length;
+}
+
+// Find the task an operation refers to.
+// target: { taskId, taskTitle, taskStartTime, taskDate } - id wins, then title, then start time.
+// taskDate (YYYY-MM-DD) narrows title and start time matches to one day.
+// Returns { task } or { error }.
+function findTask(schedule, target, timezone = DEFAULT_TIMEZONE) {
+  if (target.taskId !== undefined && target.taskId !== null && target.taskId !== '') {
+    const task = schedule.find(t => String(t.id) === String(target.taskId));
+    return task ? { task } : { error: `No task with id ${target.taskId}` };
+  }
+
+  let candidates = schedule;
+
+  if (target.taskDate) {
+    candidates = candidates.filter(t => getTaskDate(t, timezone) === target.taskDate);
+  }
+
+  if (target.taskStartTime) {
+    const minutes = parseChatTime(target.taskStartTime);
+    candidates = candidates.filter(t => getTaskStartMinutes(t.startDate, timezone) === minutes);
+    if (!target.taskTitle) {
+      if (candidates.length === 1) return { task: candidates[0] };
+      return {
+        error: candidates.length === 0
+          ? `No task starts at ${target.taskStartTime}`
+          : `More than one task starts at ${target.taskStartTime}`
+      };
+    }
+  }
+
+  if (target.taskTitle) {
+    const scored = candidates
+      .map(task => ({ task, score: titleMatchScore(target.taskTitle, task) }))
+      .filter(entry => entry.score >= 0.5)
+      .sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) {
+      return { error: `No task matches "${target.taskTitle}"` };
+    }
+    if (scored.length > 1 && scored[1].score === scored[0].score) {
+      return { error: `"${target.taskTitle}" matches more than one task: ${scored.filter(e => e.score === scored[0].score).map(e => e.task.title).join(', ')}` };
+    }
+    return { task: scored[0].task };
+  }
+
+  return { error: 'No task id, title or start time given' };
+}
+
+// Helper function to move a task to a new start (local minutes after midnight), keeping its length
+function retimeTask(task, startMinutes, datePart, timezone) {
+  const lengthMinutes = getTaskLengthMinutes(task, timezone);
+  return {
+    ...task,
+    startDate: buildZonedISO(datePart, startMinutes, timezone),
+    endDate: buildZonedISO(datePart, startMinutes + lengthMinutes, timezone)
+  };
+}
+
+// Apply UPDATE_TASK: change title, description, type, priority, due date, duration, start time or location text
+function updateTask(schedule, data, timezone) {
+  const { task, error } = findTask(schedule, data, timezone);
+  if (error) return { error };
+
+  if (data.type && !TASK_TYPES.includes(data.type)) {
+    return { error: `Type must be one of: ${TASK_TYPES.join(', ')}` };
+  }
+  if (data.priority && !TASK_PRIORITIES.includes(data.priority)) {
+    return { error: `Priority must be one of: ${TASK_PRIORITIES.join(', ')}` };
+  }
+
+  let updated = { ...task };
+  if (data.title) {
+    updated.title = data.title;
+    updated.jobTitle = data.title;
+  }
+  if (data.description) updated.jobDescription = data.description;
+  if (data.type) updated.type = data.type;
+  if (data.priority) updated.priority = data.priority;
+  if (data.dueBy) updated.dueBy = data.dueBy;
+
+  if (data.duration) {
+    const durationMinutes = parseDurationMinutes(data.duration);
+    updated.duration = {
+      days: 0,
+      hours: Math.floor(durationMinutes / 60),
+      minutes: durationMinutes % 60
+    };
+    if (updated.startDate) {
+      updated.endDate = formatInstant(new Date(parseTimestamp(updated.startDate, timezone).getTime() + durationMinutes * 60000), timezone);
+    }
+  }
+
+  if (data.startTime || data.date) {
+    const startMinutes = data.startTime ? parseChatTime(data.startTime) : getTaskStartMinutes(updated.startDate, timezone);
+    if (startMinutes === null) return { error: `Could not understand the time "${data.startTime}"` };
+    const datePart = data.date || getTaskDate(updated, timezone);
+    if (!datePart) return { error: `Task "${task.title}" has no date; say which day it is on` };
+    updated = retimeTask(updated, startMinutes, datePart, timezone);
+  }
+
+  return { changes: [{ action: 'UPDATE_TASK', before: task, after: updated }] };
+}
+
+// Apply MOVE_TASK: move to a new start time and/or day, or shift by a number of minutes
+function moveTask(schedule, data, timezone) {
+  const { task, error } = findTask(schedule, data, timezone);
+  if (error) return { error };
+
+  const currentStart = getTaskStartMinutes(task.startDate, timezone);
+  if (currentStart === null) return { error: `Task "${task.title}" has no start time to move` };
+
+  let startMinutes;
+  if (data.startTime) {
+    startMinutes = parseChatTime(data.startTime);
+    if (startMinutes === null) return { error: `Could not understand the time "${data.startTime}"` };
+  } else if (Number.isFinite(Number(data.shiftMinutes))) {
+    startMinutes = currentStart + Number(data.shiftMinutes);
+  } else if (data.date) {
+    startMinutes = currentStart;
+  } else {
+    return { error: 'MOVE_TASK needs a startTime, date or shiftMinutes' };
+  }
+
+  const after = retimeTask(task, startMinutes, data.date || getTaskDate(task, timezone), timezone);
+  return { changes: [{ action: 'MOVE_TASK', before: task, after }] };
+}
+
+// Apply DELETE_TASK: remove the task from the schedule
+function deleteTask(schedule, data, timezone) {
+  const { task, error } = findTask(schedule, data, timezone);
+  if (error) return { error };
+  return { changes: [{ action: 'DELETE_TASK', before: task, after: null }] };
+}
+
+// Apply SWAP_TASKS: swap the start times of two tasks, each keeping its own length
+function swapTasks(schedule, data, timezone) {
+  const first = findTask(schedule, { taskId: data.firstTaskId, taskTitle: data.firstTaskTitle, taskStartTime: data.firstTaskStartTime, taskDate: data.firstTaskDate }, timezone);
+  if (first.error) return { error: first.error };
+  const second = findTask(schedule, { taskId: data.secondTaskId, taskTitle: data.secondTaskTitle, taskStartTime: data.secondTaskStartTime, taskDate: data.secondTaskDate }, timezone);
+  if (second.error) return { error: second.error };
+
+  if (first.task === second.task) return { error: 'Cannot swap a task with itself' };
+  if (!first.task.startDate || !second.task.startDate) return { error: 'Both tasks need a start time to swap' };
+
+  const firstAfter = retimeTask(first.task, getTaskStartMinutes(second.task.startDate, timezone), getTaskDate(second.task, timezone), timezone);
+  const secondAfter = retimeTask(second.task, getTaskStartMinutes(first.task.startDate, timezone), getTaskDate(first.task, timezone), timezone);
+
+  return {
+    changes: [
+      { action: 'SWAP_TASKS', before: first.task, after: firstAfter },
+      { action: 'SWAP_TASKS', before: second.task, after: secondAfter }
+    ]
+  };
+}
+
+const OPERATIONS = {
+  UPDATE_TASK: updateTask,
+  MOVE_TASK: moveTask,
+  DELETE_TASK: deleteTask,
+  SWAP_TASKS: swapTasks
+};
+
+// Apply an edit operation to a schedule.
+// Returns { schedule, changes } on success or { schedule, error } leaving the schedule untouched.
+function applyTaskOperation(schedule, action, data, timezone = DEFAULT_TIMEZONE) {
+  const operation = OPERATIONS[action];
+  if (!operation) return { schedule, error: `Unknown action ${action}` };
+
+  const result = operation(schedule, data || {}, timezone);
+  if (result.error) return { schedule, error: result.error };
+
+  let updatedSchedule = [...schedule];
+  for (const change of result.changes) {
+    updatedSchedule = change.after
+      ? updatedSchedule.map(t => (t === change.before ? change.after : t))
+      : updatedSchedule.filter(t => t !== change.before);
+  }
+  updatedSchedule.sort((a, b) => parseTimestamp(a.startDate, timezone) - parseTimestamp(b.startDate, timezone));
+
+  return { schedule: updatedSchedule, changes: result.changes };
+}
+
+module.exports = {
+  TASK_TYPES,
+  TASK_PRIORITIES,
+  parseChatTime,
+  parseDurationMinutes,
+  buildZonedISO,
+  getTaskStartMinutes,
+  getTaskDate,
+  getNextTaskId,
+  getTaskLengthMinutes,
+  findTask,
+  applyTaskOperation
+};
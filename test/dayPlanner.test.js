@@ -0,0 +1,178 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planDays } = require('../dayPlanner.js');
+const { splitJobIntoSegments, mergeSegments } = require('../jobSegments.js');
+const { getWorkingDates, resolveCalendar } = require('../workingCalendar.js');
+const { loadFixture, job } = require('./harness.js');
+
+const depot = { lat: -33.8688, lng: 151.2093 };
+
+describe('planDays', () => {
+  it('keeps a small job list on one day', () => {
+    const { jobs, startFromDate } = loadFixture('test-timezone-fix.json');
+    const plan = planDays(jobs, { startFromDate });
+
+    assert.equal(plan.days.length, 1);
+    assert.equal(plan.days[0].date, startFromDate);
+    assert.equal(plan.days[0].jobs.length, jobs.length);
+  });
+
+  it('spreads test-multi-day.json within the limits without losing or repeating jobs', () => {
+    const { jobs, startLocation, startFromDate } = loadFixture('test-multi-day.json');
+    const plan = planDays(jobs, { startLocation, startFromDate, maxJobsPerDay: 3, maxDayDuration: 7 * 60 });
+
+    const ids = plan.days.flatMap(day => day.jobs.map(j => j.id)).sort((a, b) => a - b);
+    assert.deepEqual(ids, jobs.map(j => j.id).sort((a, b) => a - b));
+
+    for (const day of plan.days) {
+      assert.ok(day.jobs.length <= 3);
+      // A single job longer than a day still gets a day of its own
+      assert.ok(day.dayMinutes <= 7 * 60 || day.jobs.length === 1);
+    }
+    assert.deepEqual(plan.days.map(day => day.date), getWorkingDates('2025-09-22', plan.days.length));
+  });
+
+  it('counts travel between jobs against the working day', () => {
+    // 3.5 hours of work each: together that is 7 hours, but they are about an hour's drive apart
+    const near = planDays([job(1, -33.80, 151.10, 210), job(2, -33.81, 151.11, 210)], { startLocation: depot });
+    const far = planDays([job(1, -33.80, 151.10, 210), job(2, -33.30, 151.50, 210)], { startLocation: depot });
+
+    assert.equal(near.days.length, 1);
+    assert.equal(far.days.length, 2);
+  });
+
+  it('keeps each area together', () => {
+    const north = [job(1, -33.70, 151.10, 60), job(2, -33.71, 151.11, 60)];
+    const south = [job(3, -34.05, 151.10, 60), job(4, -34.06, 151.11, 60)];
+    const plan = planDays([north[0], south[0], north[1], south[1]], { startLocation: depot, maxJobsPerDay: 2 });
+
+    const days = plan.days.map(day => day.jobs.map(j => j.id).sort());
+    assert.deepEqual(days.sort(), [[1, 2], [3, 4]]);
+  });
+
+  it('plans jobs with deadlines first and reports the ones that cannot make it', () => {
+    const jobs = [
+      job(1, -33.80, 151.10, 360),
+      job(2, -33.81, 151.11, 360),
+      job(3, -33.82, 151.12, 360, { deadline: '2025-09-22' }),
+      job(4, -33.83, 151.13, 360, { deadline: '2025-09-22' })
+    ];
+    const plan = planDays(jobs, { startLocation: depot, startFromDate: '2025-09-22' });
+
+    assert.equal(plan.days.length, 4);
+    assert.ok([3, 4].includes(plan.days[0].jobs[0].id));
+    assert.equal(plan.lateJobs.length, 1);
+    assert.equal(plan.lateJobs[0].date, '2025-09-23');
+    assert.equal(plan.score.lateJobs, 1);
+  });
+
+  it('plans urgent jobs before routine ones', () => {
+    const jobs = [
+      job(1, -33.80, 151.10, 360),
+      job(2, -33.81, 151.11, 360),
+      job(3, -33.82, 151.12, 360, { priority: 'urgent', title: 'Burst pipe' }),
+      job(4, -33.83, 151.13, 360, { priority: 'low' })
+    ];
+    const plan = planDays(jobs, { startLocation: depot, startFromDate: '2025-09-22' });
+
+    assert.equal(plan.days[0].jobs[0].id, 3);
+    assert.equal(plan.days[3].jobs[0].id, 4);
+    assert.equal(plan.score.priorityMinutes, 0);
+  });
+
+  it('keeps to the earlier of deadline and dueBy and reports the miss', () => {
+    const jobs = [
+      job(1, -33.80, 151.10, 360, { priority: 'urgent' }),
+      job(2, -33.81, 151.11, 360, { deadline: '2025-09-26', dueBy: '2025-09-23' }),
+      job(3, -33.82, 151.12, 360, { dueBy: '2025-09-22' })
+    ];
+    const plan = planDays(jobs, { startLocation: depot, startFromDate: '2025-09-22' });
+
+    // Without job 2's dueBy the urgent job would have gone second
+    assert.deepEqual(plan.days.map(day => day.jobs[0].id), [3, 2, 1]);
+    assert.deepEqual(plan.lateJobs, []);
+
+    const clash = planDays([job(4, -33.83, 151.13, 360, { dueBy: '2025-09-22' }), jobs[2]], { startLocation: depot, startFromDate: '2025-09-22' });
+    assert.equal(clash.lateJobs.length, 1);
+    assert.equal(clash.lateJobs[0].dueDate, '2025-09-22');
+    assert.equal(clash.lateJobs[0].date, '2025-09-23');
+    assert.match(clash.lateJobs[0].reason, /^Due by 2025-09-22/);
+  });
+
+  it('scores tighter plans lower', () => {
+    const { jobs, startLocation, startFromDate } = loadFixture('test-multi-day.json');
+    const packed = planDays(jobs, { startLocation, startFromDate });
+    const oneJobPerDay = planDays(jobs, { startLocation, startFromDate, maxJobsPerDay: 1 });
+
+    assert.equal(oneJobPerDay.score.days, jobs.length);
+    assert.ok(packed.score.total < oneJobPerDay.score.total);
+    assert.equal(packed.score.workMinutes, oneJobPerDay.score.workMinutes);
+  });
+
+  it('puts a multi-day job on consecutive days and shares its last day', () => {
+    const reno = job(1, -33.80, 151.10, 120, { title: 'Bathroom reno', duration: { days: 2, hours: 2, minutes: 0 } });
+    const plan = planDays([reno, job(2, -33.81, 151.11, 120), job(3, -33.82, 151.12, 120)], {
+      startLocation: depot,
+      startFromDate: '2025-09-22'
+    });
+
+    const renoDays = plan.days.filter(day => day.jobs.some(j => j.segment?.jobId === 1));
+    assert.equal(renoDays.length, 3);
+    assert.deepEqual(renoDays.map(day => day.date), ['2025-09-22', '2025-09-23', '2025-09-24']);
+    assert.deepEqual(renoDays[0].jobs.map(j => j.id), [1]);
+    assert.equal(renoDays[2].jobs.length, 3);
+
+    const lastSegment = renoDays[2].jobs.find(j => j.segment);
+    assert.deepEqual(lastSegment.duration, { days: 0, hours: 2, minutes: 0 });
+    assert.deepEqual(lastSegment.segment.dates, ['2025-09-22', '2025-09-23', '2025-09-24']);
+    assert.equal(plan.score.days, 3);
+  });
+
+  it('skips weekends and public holidays', () => {
+    // Friday 3 October 2025; Monday the 6th is Labour Day in NSW but not in Victoria
+    const jobs = [job(1, -33.80, 151.10, 360), job(2, -33.81, 151.11, 360), job(3, -33.82, 151.12, 360)];
+    const nsw = planDays(jobs, { startLocation: depot, startFromDate: '2025-10-03' });
+    const vic = planDays(jobs, { startLocation: depot, startFromDate: '2025-10-03', calendar: resolveCalendar({ state: 'VIC' }) });
+
+    assert.deepEqual(nsw.days.map(day => day.date), ['2025-10-03', '2025-10-07', '2025-10-08']);
+    assert.deepEqual(vic.days.map(day => day.date), ['2025-10-03', '2025-10-06', '2025-10-07']);
+  });
+
+  it('counts deadlines in working days', () => {
+    // Three days of work due on Tuesday: Friday, (Labour Day weekend), Tuesday leaves one job late
+    const jobs = [1, 2, 3].map(id => job(id, -33.80 - id / 100, 151.10, 360, { deadline: '2025-10-07' }));
+    const plan = planDays(jobs, { startLocation: depot, startFromDate: '2025-10-03' });
+
+    assert.equal(plan.lateJobs.length, 1);
+    assert.equal(plan.lateJobs[0].date, '2025-10-08');
+  });
+});
+
+describe('job segments', () => {
+  it('splits a job into whole days and a remainder', () => {
+    const segments = splitJobIntoSegments(job(7, -33.8, 151.1, 90, { duration: { days: 2, hours: 1, minutes: 30 } }));
+
+    assert.deepEqual(segments.map(s => s.duration), [
+      { days: 0, hours: 8, minutes: 0 },
+      { days: 0, hours: 8, minutes: 0 },
+      { days: 0, hours: 1, minutes: 30 }
+    ]);
+    assert.deepEqual(segments.map(s => [s.id, s.segment.number, s.segment.of]), [[7, 1, 3], [7, 2, 3], [7, 3, 3]]);
+  });
+
+  it('merges scheduled segments back into one task', () => {
+    const [first, second] = splitJobIntoSegments(job(7, -33.8, 151.1, 0, { duration: { days: 1, hours: 3, minutes: 0 } }));
+    const merged = mergeSegments([
+      { ...first, startDate: '2025-09-22T07:30:00.000+10:00', endDate: '2025-09-22T15:30:00.000+10:00' },
+      job(8, -33.8, 151.1, 60),
+      { ...second, startDate: '2025-09-23T07:30:00.000+10:00', endDate: '2025-09-23T10:30:00.000+10:00' }
+    ]);
+
+    assert.deepEqual(merged.map(task => task.id), [7, 8]);
+    assert.equal(merged[0].startDate, '2025-09-22T07:30:00.000+10:00');
+    assert.equal(merged[0].endDate, '2025-09-23T10:30:00.000+10:00');
+    assert.deepEqual(merged[0].duration, { days: 1, hours: 3, minutes: 0 });
+    assert.equal(merged[0].segments.length, 2);
+    assert.equal(merged[0].segment, undefined);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveTechnicians, assignJobs } = require('../dispatch.js');
+const { job } = require('./harness.js');
+
+const north = { lat: -33.70, lng: 151.10 };
+const south = { lat: -34.05, lng: 151.10 };
+
+// Helper to get the job ids each technician was given
+const assignedIds = ({ routes }) => Object.fromEntries(routes.map(route => [route.technician.id, route.jobs.map(j => j.id).sort()]));
+
+describe('assignJobs', () => {
+  it('gives each job to the technician based nearest to it', () => {
+    const technicians = resolveTechnicians([
+      { id: 'north', startLocation: north, returnToStart: true },
+      { id: 'south', startLocation: south, returnToStart: true }
+    ]);
+    const jobs = [job(1, -33.71, 151.11, 60), job(2, -34.04, 151.11, 60), job(3, -33.72, 151.09, 60), job(4, -34.06, 151.09, 60)];
+
+    assert.deepEqual(assignedIds(assignJobs(jobs, technicians)), { north: [1, 3], south: [2, 4] });
+  });
+
+  it('only gives jobs to technicians with the skills for them', () => {
+    const technicians = resolveTechnicians([
+      { id: 'sparky', startLocation: north, skills: ['Electrical'] },
+      { id: 'plumber', startLocation: south, skills: ['plumbing'] }
+    ]);
+    const jobs = [
+      job(1, -34.04, 151.11, 60, { requiredSkills: ['electrical'] }),
+      job(2, -33.71, 151.11, 60, { requiredSkills: ['plumbing'] }),
+      job(3, -33.71, 151.11, 60, { requiredSkills: ['roofing'] })
+    ];
+    const result = assignJobs(jobs, technicians);
+
+    assert.deepEqual(assignedIds(result), { sparky: [1], plumber: [2] });
+    assert.deepEqual(result.unassigned.map(j => [j.id, j.reason]), [[3, 'No technician has the skills: roofing']]);
+  });
+
+  it('moves jobs to another technician once a day or a van is full', () => {
+    const technicians = resolveTechnicians([
+      { id: 'north', startLocation: north, vanCapacity: 3 },
+      { id: 'south', startLocation: south }
+    ]);
+    // Three 3-hour jobs near the north base don't fit in one 8-hour day
+    const long = [job(1, -33.71, 151.11, 180), job(2, -33.71, 151.12, 180), job(3, -33.72, 151.11, 180)];
+    assert.deepEqual(assignedIds(assignJobs(long, technicians)).south.length, 1);
+
+    // Van space for three loads of one
+    const loads = [1, 2, 3, 4].map(id => job(id, -33.71, 151.1 + id / 100, 30, { load: 1 }));
+    assert.deepEqual(assignedIds(assignJobs(loads, technicians)).north.length, 3);
+  });
+
+  it('leaves out jobs no qualified technician has time for', () => {
+    const technicians = resolveTechnicians([{ id: 'solo', startLocation: north, vanCapacity: 1 }]);
+    const result = assignJobs([job(1, -33.71, 151.11, 60, { load: 1 }), job(2, -33.71, 151.12, 60, { load: 1 })], technicians);
+
+    assert.equal(result.routes[0].jobs.length, 1);
+    assert.match(result.unassigned[0].reason, /time or van space/);
+  });
+});
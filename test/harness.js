@@ -0,0 +1,178 @@
+// Shared helpers for the tests: job and distance matrix builders for the planner tests, stub Google Maps and
+// OpenAI clients, and a running app on a random port with throwaway schedule and place stores.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../app.js');
+const { createOpenAiLlmProvider } = require('../llmProvider.js');
+const { createMockLlmClient } = require('../mockLlm.js');
+const { createScheduleStore } = require('../scheduleStore.js');
+const { createPlaceStore } = require('../placeStore.js');
+const { calculateDistance } = require('../travelTime.js');
+
+// Read one of the test-*.json fixtures from the repo root (a fresh copy each time)
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', name), 'utf8'));
+}
+
+// Helper to build a job at a point with a duration in minutes
+function job(id, lat, lng, minutes, extra = {}) {
+  return {
+    id,
+    title: `Job ${id}`,
+    duration: { days: 0, hours: Math.floor(minutes / 60), minutes: minutes % 60 },
+    location: { latitude: lat, longitude: lng },
+    ...extra
+  };
+}
+
+// Helper to build a distance matrix from points on a line (km from 0): the start first,
+// then the jobs, with the end point (if any) as the last column. A km takes a minute.
+function lineMatrix(start, jobs, end = null) {
+  const columns = end === null ? jobs : [...jobs, end];
+  return {
+    rows: [start, ...jobs].map(from => ({
+      elements: columns.map(to => {
+        const meters = Math.abs(to - from) * 1000;
+        return { status: 'OK', distance: { value: meters, text: `${meters / 1000} km` }, duration: { value: meters * 60 / 1000, text: `${meters / 1000} mins` } };
+      })
+    }))
+  };
+}
+
+// Woolworths branches the stub geocoder finds for any address mentioning Woolworths
+const STUB_WOOLWORTHS_BRANCHES = [
+  { suburb: 'Penrith', lat: -33.7510, lng: 150.6940 },
+  { suburb: 'Eastwood', lat: -33.7918, lng: 151.0817 },
+  { suburb: 'Bondi Junction', lat: -33.8915, lng: 151.2502 }
+];
+
+// Helper to build a stub geocoding result in a suburb
+function stubGeocodeResult(address, suburb, lat, lng) {
+  return {
+    formatted_address: `${address}, ${suburb} NSW 2000, Australia`,
+    place_id: `stub-place-id-${suburb.toLowerCase().replace(/ /g, '-')}`,
+    geometry: { location: { lat, lng } },
+    address_components: [
+      { long_name: suburb, short_name: suburb, types: ['locality'] },
+      { long_name: 'New South Wales', short_name: 'NSW', types: ['administrative_area_level_1'] },
+      { long_name: '2000', short_name: '2000', types: ['postal_code'] }
+    ]
+  };
+}
+
+// Stub Google Maps client: straight-line distances at 40 km/h, and geocode results in Sydney
+// (several for Woolworths, none for anything mentioning Nowhere)
+function createStubGoogleMapsClient() {
+  const calls = [];
+
+  return {
+    calls,
+    async distancematrix({ params }) {
+      calls.push({ method: 'distancematrix', params });
+      return {
+        data: {
+          rows: params.origins.map(origin => ({
+            elements: params.destinations.map(destination => {
+              const km = calculateDistance(origin.lat, origin.lng, destination.lat, destination.lng);
+              const seconds = Math.round(km / 40 * 3600);
+              return {
+                status: 'OK',
+                distance: { value: Math.round(km * 1000), text: `${km.toFixed(1)} km` },
+                duration: { value: seconds, text: `${Math.round(seconds / 60)} mins` }
+              };
+            })
+          }))
+        }
+      };
+    },
+    async geocode({ params }) {
+      calls.push({ method: 'geocode', params });
+      let results = [stubGeocodeResult(params.address, 'Sydney', -33.8688, 151.2093)];
+      if (/woolworths/i.test(params.address) && !/ NSW /.test(params.address)) {
+        results = STUB_WOOLWORTHS_BRANCHES.map(branch => stubGeocodeResult('Woolworths', branch.suburb, branch.lat, branch.lng));
+      } else if (/nowhere/i.test(params.address)) {
+        results = [];
+      }
+      return { data: { results } };
+    }
+  };
+}
+
+// Stub OpenAI client replaying canned replies ({ content, tool_calls }) and recording requests
+function createStubOpenAiClient(replies = []) {
+  const requests = [];
+  const mock = createMockLlmClient({ responses: replies });
+
+  return {
+    requests,
+    chat: {
+      completions: {
+        async create(params) {
+          requests.push(params);
+          return mock.chat.completions.create(params);
+        }
+      }
+    }
+  };
+}
+
+// Start the app with stub clients. Returns { request, baseUrl, openai, googleMaps, close }.
+async function startTestApp({ replies = [] } = {}) {
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-store-'));
+  const openai = createStubOpenAiClient(replies);
+  const googleMaps = createStubGoogleMapsClient();
+
+  const app = createApp({
+    llm: createOpenAiLlmProvider({ client: openai }),
+    googleMapsClient: googleMaps,
+    scheduleStore: createScheduleStore({ filePath: path.join(storeDir, 'schedules.json') }),
+    placeStore: createPlaceStore({ filePath: path.join(storeDir, 'places.json') })
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Send a request; JSON responses are parsed, anything else is returned as text
+  const request = async (method, urlPath, body, headers = {}) => {
+    const response = await fetch(baseUrl + urlPath, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? await response.json() : await response.text()
+    };
+  };
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  };
+
+  return { request, baseUrl, openai, googleMaps, close };
+}
+
+// Split a Server-Sent Events body into [{ event, data }]
+function parseEventStream(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+}
+
+module.exports = {
+  loadFixture,
+  job,
+  lineMatrix,
+  createStubGoogleMapsClient,
+  createStubOpenAiClient,
+  startTestApp,
+  parseEventStream
+};
@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema } = require('../jsonSchema.js');
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: { title: { type: 'string' } },
+    additionalProperties: false
+  };
+
+  it('checks the listed properties', () => {
+    assert.deepEqual(validateSchema(schema, { title: 'Quote' }), []);
+    assert.deepEqual(validateSchema(schema, { title: 3 }).map(error => [error.path, error.code]), [['title', 'type']]);
+  });
+
+  it('does not take object prototype names for listed properties', () => {
+    const errors = validateSchema(schema, JSON.parse('{"constructor": 1, "toString": "x", "__proto__": {}}'));
+
+    assert.deepEqual(errors.map(error => [error.path, error.code]), [
+      ['constructor', 'additionalProperties'],
+      ['toString', 'additionalProperties'],
+      ['__proto__', 'additionalProperties']
+    ]);
+  });
+});
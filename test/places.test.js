@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAddress, findPlace, findNearestPlace, rankByDistance } = require('../places.js');
+const { DEFAULT_PLACES } = require('../data.js');
+
+// Helper to build a place at a point
+function place(id, name, lat, lng, extra = {}) {
+  return { id, name, aliases: [], location: { formattedAddress: name, latitude: lat, longitude: lng }, ...extra };
+}
+
+const yard = place('yard', 'Yard', -33.80, 151.00, { aliases: ['the yard', 'the shed'] });
+const thornleigh = place('mitre-10-thornleigh', 'Mitre 10 Thornleigh', -33.73, 151.08, { brand: 'Mitre 10' });
+const penrith = place('mitre-10-penrith', 'Mitre 10 Penrith', -33.75, 150.69, { brand: 'Mitre 10' });
+const places = [yard, thornleigh, penrith, ...DEFAULT_PLACES];
+
+describe('normalizeAddress', () => {
+  it('ignores case, punctuation and street type abbreviations', () => {
+    assert.equal(normalizeAddress(' 45 Victoria Rd,  Gladesville '), '45 victoria road gladesville');
+    assert.equal(normalizeAddress("McDonald's Ryde"), normalizeAddress('mcdonalds ryde'));
+  });
+});
+
+describe('findPlace', () => {
+  it('matches names and aliases', () => {
+    assert.equal(findPlace(places, 'The Yard').place, yard);
+    assert.equal(findPlace(places, 'mitre 10 thornleigh').place, thornleigh);
+    assert.deepEqual(findPlace(places, 'drop the trailer at the shed'), { place: yard, match: 'name' });
+  });
+
+  it('picks the branch closest to the route for a brand', () => {
+    const nearPenrith = [{ lat: -33.76, lng: 150.70 }, { lat: -33.77, lng: 150.75 }];
+    const nearHornsby = [{ lat: -33.70, lng: 151.10 }];
+
+    assert.deepEqual(findPlace(places, 'Mitre 10', nearPenrith), { place: penrith, match: 'branch' });
+    assert.deepEqual(findPlace(places, 'mitre 10', nearHornsby), { place: thornleigh, match: 'branch' });
+    assert.equal(findPlace(places, 'Bunnings').place.id, 'bunnings-carlingford');
+    assert.equal(findPlace(places, 'the nearest Bunnings store').place.id, 'bunnings-carlingford');
+  });
+
+  it('leaves a brand with a suburb or address to be looked up', () => {
+    assert.equal(findPlace(places, 'Bunnings Alexandria'), null);
+    assert.equal(findPlace(places, 'Bunnings Penrith, 1 Mulgoa Rd'), null);
+    assert.equal(findPlace(places, 'Mitre 10 Penrith').place, penrith);
+  });
+
+  it('returns null for anything else', () => {
+    assert.equal(findPlace(places, '12 Smith Street, Ryde'), null);
+    assert.equal(findPlace(places, ''), null);
+  });
+});
+
+describe('findNearestPlace', () => {
+  it('falls back to the first place without a route', () => {
+    assert.equal(findNearestPlace([penrith, thornleigh]), penrith);
+    assert.equal(findNearestPlace([]), null);
+  });
+});
+
+describe('rankByDistance', () => {
+  it('puts the locations nearest the route first', () => {
+    const locations = [penrith.location, yard.location, thornleigh.location];
+    const ranked = rankByDistance(locations, [{ lat: -33.72, lng: 151.09 }]);
+
+    assert.deepEqual(ranked.map(location => location.formattedAddress), ['Mitre 10 Thornleigh', 'Yard', 'Mitre 10 Penrith']);
+    assert.equal(ranked[0].distanceKm, 1.4);
+    assert.deepEqual(rankByDistance(locations).map(location => location.distanceKm), [null, null, null]);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { solveRoute, routeCost, buildCostMatrix } = require('../routeSolver.js');
+const { lineMatrix } = require('./harness.js');
+
+describe('solveRoute', () => {
+  it('finds the shortest open route', () => {
+    // Start at 0; jobs at 10, 5 and 20: drive out 5, 10, 20
+    const { order, totalCost, endCost } = solveRoute(lineMatrix(0, [10, 5, 20]), 3);
+    assert.deepEqual(order, [1, 0, 2]);
+    assert.equal(totalCost, 20 * 60);
+    assert.equal(endCost, 0);
+  });
+
+  it('counts the drive to the end location', () => {
+    // Going out to 20 and -8 and back to 0 is at least 56 km whichever way round
+    const positions = [10, 5, 20, -8];
+    const matrix = lineMatrix(0, positions, 0);
+    const { order, totalCost, endCost } = solveRoute(matrix, 4, null, { hasEndLocation: true });
+
+    assert.equal(totalCost, (20 + 20 + 8 + 8) * 60);
+    assert.equal(endCost, Math.abs(positions[order[order.length - 1]]) * 60);
+    const costs = buildCostMatrix(matrix, 4);
+    assert.equal(routeCost(costs, order) + endCost, totalCost);
+  });
+
+  it('finishes near the end location', () => {
+    // Start at 0 and end at 30: visit the jobs from nearest to furthest
+    const { order } = solveRoute(lineMatrix(0, [25, 5, 15], 30), 3, null, { hasEndLocation: true });
+    assert.deepEqual(order, [1, 2, 0]);
+  });
+
+  it('counts the end location when solving with time windows', () => {
+    const timing = {
+      startMinutes: 450,
+      bufferMinutes: [0, 0, 0],
+      serviceMinutes: [30, 30, 30],
+      windows: [{ earliest: null, latest: null }, { earliest: null, latest: null }, { earliest: null, latest: null }]
+    };
+    const { order, endCost } = solveRoute(lineMatrix(0, [25, 5, 15], 30), 3, timing, { hasEndLocation: true });
+    assert.deepEqual(order, [1, 2, 0]);
+    assert.equal(endCost, 5 * 60);
+  });
+});
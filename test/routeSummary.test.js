@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeRoute, compareWithOriginalOrder, combineRouteSummaries } = require('../routeSummary.js');
+const { lineMatrix } = require('./harness.js');
+
+const destinations = [1, 2, 3].map(id => ({ jobId: id, title: `Job ${id}` }));
+
+// Jobs at 10, 20 and 30 km, scheduled in that order with a lunch break after the second
+const scheduledJobs = [
+  { id: 1, duration: { hours: 1, minutes: 0 }, startDate: '2025-10-14T07:30:00.000+11:00', endDate: '2025-10-14T08:30:00.000+11:00', leg: { travelMinutes: 10 } },
+  { id: 2, duration: { hours: 2, minutes: 0 }, startDate: '2025-10-14T09:00:00.000+11:00', endDate: '2025-10-14T11:00:00.000+11:00', leg: { travelMinutes: 10 } },
+  { id: 3, duration: { hours: 0, minutes: 30 }, startDate: '2025-10-14T12:00:00.000+11:00', endDate: '2025-10-14T12:30:00.000+11:00', leg: { travelMinutes: 10 } }
+];
+const breaks = [{ type: 'lunch', startDate: '2025-10-14T11:00:00.000+11:00', endDate: '2025-10-14T11:30:00.000+11:00' }];
+
+describe('summarizeRoute', () => {
+  it('adds up the drive, work, idle time and fuel', () => {
+    const summary = summarizeRoute(scheduledJobs, lineMatrix(0, [10, 20, 30]), destinations, { breaks, fuelCostPerKm: 0.3 });
+
+    assert.equal(summary.driveKm, 30);
+    assert.equal(summary.driveMinutes, 30);
+    assert.equal(summary.workMinutes, 210);
+    assert.equal(summary.fuelCost, 9);
+    // 8:30 to 9:00 less 10 min driving; 11:00 to 12:00 less lunch and driving
+    assert.deepEqual(summary.idleGaps, [
+      { afterJobId: 1, beforeJobId: 2, minutes: 20 },
+      { afterJobId: 2, beforeJobId: 3, minutes: 20 }
+    ]);
+    assert.equal(summary.idleMinutes, 40);
+    assert.equal(summary.returnLeg, null);
+    assert.equal(summary.finishDate, '2025-10-14T12:30:00.000+11:00');
+  });
+
+  it('includes the drive to the end location', () => {
+    const summary = summarizeRoute(scheduledJobs, lineMatrix(0, [10, 20, 30], 0), destinations, { hasEndLocation: true, breaks });
+
+    assert.equal(summary.driveKm, 60);
+    assert.equal(summary.returnLeg.duration.value, 30 * 60);
+    assert.equal(summary.finishDate, '2025-10-14T13:00:00.000+11:00');
+  });
+});
+
+describe('compareWithOriginalOrder', () => {
+  it('shows the saving over the order the jobs came in', () => {
+    // Jobs came in as 30, 10, 20: 30 + 20 + 10 = 60 km; visiting 10, 20, 30 is 30 km
+    const comparison = compareWithOriginalOrder([1, 2, 0], lineMatrix(0, [30, 10, 20]), destinations, { fuelCostPerKm: 0.5 });
+
+    assert.deepEqual(comparison.original, { driveKm: 60, driveMinutes: 60, fuelCost: 30 });
+    assert.deepEqual(comparison.optimized, { driveKm: 30, driveMinutes: 30, fuelCost: 15 });
+    assert.deepEqual(comparison.saving, { driveKm: 30, driveMinutes: 30, fuelCost: 15 });
+  });
+
+  it('adds up days for a whole plan', () => {
+    const day = summarizeRoute(scheduledJobs, lineMatrix(0, [10, 20, 30]), destinations, { breaks });
+    const comparison = compareWithOriginalOrder([1, 2, 0], lineMatrix(0, [30, 10, 20]), destinations);
+    const totals = combineRouteSummaries([day, day], [comparison, comparison]);
+
+    assert.equal(totals.driveKm, 60);
+    assert.equal(totals.workMinutes, 420);
+    assert.equal(totals.idleMinutes, 80);
+    assert.deepEqual(totals.comparison.saving, { driveKm: 60, driveMinutes: 60, fuelCost: 15 });
+  });
+});
@@ -0,0 +1,1014 @@
+// Integration tests: the test-*.json fixtures run against every route with
+// stubbed Google Maps and OpenAI clients.
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, startTestApp, parseEventStream } = require('./harness.js');
+const { getWorkingDates } = require('../workingCalendar.js');
+const { bunningsLocation } = require('../data.js');
+const { MAX_DAY_JOBS } = require('../requestSchemas.js');
+
+// Use the (stubbed) Google Maps client for travel times and geocoding
+process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+delete process.env.TRAVEL_TIME_PROVIDER;
+
+// Helper to build an add_task tool call reply
+function addTaskReply(content, args) {
+  return { content, tool_calls: [{ name: 'add_task', arguments: args }] };
+}
+
+describe('routes', () => {
+  let testApp;
+
+  before(() => {
+    // Keep the test output readable; the routes log every step
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  after(() => mock.restoreAll());
+
+  afterEach(async () => {
+    if (testApp) await testApp.close();
+    testApp = null;
+  });
+
+  describe('GET /hello-world', () => {
+    it('responds', async () => {
+      testApp = await startTestApp();
+      const { status, body } = await testApp.request('GET', '/hello-world');
+      assert.equal(status, 200);
+      assert.equal(body.message, 'Hello World!');
+    });
+  });
+
+  describe('POST /optimize-route', () => {
+    beforeEach(async () => {
+      testApp = await startTestApp({ replies: [{ content: 'Start close to home and work outwards.' }] });
+    });
+
+    it('orders and times a day of jobs from test-multi-day.json', async () => {
+      const fixture = loadFixture('test-multi-day.json');
+      const jobs = fixture.jobs.slice(0, 4);
+
+      const { status, body } = await testApp.request('POST', '/optimize-route', {
+        jobs,
+        startLocation: fixture.startLocation,
+        routingDate: '2025-09-22'
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.optimizedRoute.length, 4);
+      assert.deepEqual(body.optimizedRoute.map(job => job.id).sort(), [1, 2, 3, 4]);
+      assert.deepEqual(body.unscheduled, []);
+      assert.equal(body.travelTimeProvider, 'google');
+      assert.equal(body.routeOptimization.explanation, 'Start close to home and work outwards.');
+
+      // First job at 7:30am Sydney time (AEST in September); jobs never overlap
+      assert.equal(body.optimizedRoute[0].startDate, '2025-09-22T07:30:00.000+10:00');
+      for (let i = 1; i < body.optimizedRoute.length; i++) {
+        assert.ok(new Date(body.optimizedRoute[i].startDate) >= new Date(body.optimizedRoute[i - 1].endDate));
+      }
+
+      assert.ok(testApp.googleMaps.calls.some(call => call.method === 'distancematrix'));
+      assert.equal(testApp.openai.requests[0].model, 'gpt-3.5-turbo');
+    });
+
+    it('schedules in the requested timezone', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+
+      const { status, body } = await testApp.request('POST', '/optimize-route', {
+        jobs,
+        routingDate: '2025-10-14',
+        timezone: 'Australia/Perth'
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.optimizedRoute[0].startDate, '2025-10-14T07:30:00.000+08:00');
+    });
+
+    it('rejects a bad routingDate, timezone or empty job list', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+
+      const badDate = await testApp.request('POST', '/optimize-route', { jobs, routingDate: '14/10/2025' });
+      assert.equal(badDate.status, 400);
+
+      const badTimezone = await testApp.request('POST', '/optimize-route', { jobs, timezone: 'Sydney' });
+      assert.equal(badTimezone.status, 400);
+
+      const noJobs = await testApp.request('POST', '/optimize-route', { jobs: [] });
+      assert.equal(noJobs.status, 400);
+
+      const tooManyJobs = await testApp.request('POST', '/optimize-route', { jobs: Array.from({ length: MAX_DAY_JOBS + 1 }, (_, index) => ({ ...jobs[0], id: index + 1 })) });
+      assert.equal(tooManyJobs.status, 400);
+      assert.deepEqual(tooManyJobs.body.fields.map(field => [field.path, field.code]), [['jobs', 'maxItems']]);
+    });
+
+    it('sends multi-day jobs to the multi-day optimizer', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+      jobs[0].duration = { days: 3, hours: 0, minutes: 0 };
+
+      const { status, body } = await testApp.request('POST', '/optimize-route', { jobs, routingDate: '2025-10-14' });
+
+      assert.equal(status, 400);
+      assert.equal(body.fields[0].path, 'jobs[0].duration.days');
+    });
+
+    it('falls back to a plain explanation when the LLM fails', async () => {
+      testApp.openai.chat.completions.create = async () => {
+        throw new Error('network down');
+      };
+      const { jobs } = loadFixture('test-timezone-fix.json');
+
+      const { status, body } = await testApp.request('POST', '/optimize-route', { jobs, routingDate: '2025-10-14' });
+
+      assert.equal(status, 200);
+      assert.match(body.routeOptimization.explanation, /route solver/);
+    });
+
+    it('gives the same schedule for the same request and reports each leg\'s buffer', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+      const request = { jobs, routingDate: '2025-10-14', buffers: { byType: { 'Job on site': 10 }, jitter: { maxMinutes: 15, seed: 3 } } };
+
+      const first = await testApp.request('POST', '/optimize-route', request);
+      const second = await testApp.request('POST', '/optimize-route', request);
+
+      assert.equal(first.status, 200);
+      assert.deepEqual(second.body.optimizedRoute, first.body.optimizedRoute);
+      assert.deepEqual(first.body.buffers.jitter, { maxMinutes: 15, seed: 3 });
+      for (const job of first.body.optimizedRoute.slice(1)) {
+        assert.equal(job.leg.bufferMinutes, 15 + job.leg.buffer.typeMinutes + job.leg.buffer.jitterMinutes);
+      }
+    });
+
+    it('rejects buffers for an unknown job type', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+
+      const { status, body } = await testApp.request('POST', '/optimize-route', { jobs, buffers: { byType: { Demolition: 30 } } });
+
+      assert.equal(status, 400);
+      assert.equal(body.fields[0].path, 'buffers.byType.Demolition');
+    });
+
+    it('drives back to the start with returnToStart and reports the finish at home', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+      const startLocation = { lat: -33.8150, lng: 151.0011 };
+
+      const open = await testApp.request('POST', '/optimize-route', { jobs, startLocation, routingDate: '2025-10-14' });
+      const { status, body } = await testApp.request('POST', '/optimize-route', { jobs, startLocation, routingDate: '2025-10-14', returnToStart: true });
+
+      assert.equal(status, 200);
+      assert.equal(open.body.routeSummary.returnLeg, null);
+      assert.equal(open.body.routeSummary.finishDate, open.body.optimizedRoute.at(-1).endDate);
+
+      const { returnLeg, finishDate, totalDistance } = body.routeSummary;
+      assert.equal(returnLeg.from, body.optimizedRoute.at(-1).id);
+      assert.equal(returnLeg.departDate, body.optimizedRoute.at(-1).endDate);
+      assert.equal(returnLeg.arriveDate, finishDate);
+      assert.ok(Date.parse(finishDate) > Date.parse(returnLeg.departDate));
+      assert.ok(totalDistance.value > returnLeg.distance.value);
+      assert.deepEqual(body.endLocation, startLocation);
+    });
+
+    it('reports numeric legs and the saving over the original order', async () => {
+      const { jobs } = loadFixture('test-multi-day.json');
+
+      const { status, body } = await testApp.request('POST', '/optimize-route', { jobs: jobs.slice(0, 6), routingDate: '2025-09-22', fuelCostPerKm: 0.4 });
+
+      assert.equal(status, 200);
+      for (const job of body.optimizedRoute) {
+        assert.equal(typeof job.leg.distance.value, 'number');
+        assert.equal(typeof job.leg.duration.value, 'number');
+      }
+      const { totalDistance, fuelCost, comparison } = body.routeSummary;
+      assert.equal(fuelCost, Math.round(totalDistance.value / 1000 * 0.4 * 100) / 100);
+      assert.ok(comparison.saving.driveKm >= 0);
+      assert.ok(comparison.original.driveKm >= comparison.optimized.driveKm);
+    });
+
+    it('needs a startLocation to return to', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+
+      const { status, body } = await testApp.request('POST', '/optimize-route', { jobs, returnToStart: true });
+
+      assert.equal(status, 400);
+      assert.deepEqual(body.fields.map(field => [field.path, field.code]), [['returnToStart', 'required']]);
+    });
+
+    it('refuses to route on a day off', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+
+      const { status, body } = await testApp.request('POST', '/optimize-route', { jobs, routingDate: '2025-10-06' });
+
+      assert.equal(status, 400);
+      assert.deepEqual(body.fields.map(field => [field.path, field.code]), [['routingDate', 'nonWorkingDay']]);
+      assert.match(body.fields[0].message, /Labour Day/);
+    });
+
+    it('schedules with the request\'s calendar', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+      const calendar = { dayStart: '06:30', workingDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'] };
+
+      const { status, body } = await testApp.request('POST', '/optimize-route', { jobs, routingDate: '2025-10-18', calendar });
+
+      assert.equal(status, 200);
+      assert.equal(body.optimizedRoute[0].startDate, '2025-10-18T06:30:00.000+11:00');
+      assert.ok(Array.isArray(body.breaks));
+    });
+  });
+
+  describe('POST /replan-route', () => {
+    beforeEach(async () => {
+      testApp = await startTestApp();
+    });
+
+    it('re-times only the remaining jobs from when the job in progress finishes', async () => {
+      const { jobs } = loadFixture('test-multi-day.json');
+      const planned = await testApp.request('POST', '/optimize-route', { jobs: jobs.slice(0, 5), routingDate: '2025-09-22' });
+      const [done, current, ...rest] = planned.body.optimizedRoute;
+
+      const { status, body } = await testApp.request('POST', '/replan-route', {
+        jobs: planned.body.optimizedRoute,
+        currentTime: '2025-09-22T13:00:00+10:00',
+        currentLocation: { lat: current.location.latitude, lng: current.location.longitude },
+        completedJobIds: [done.id],
+        inProgress: { jobId: current.id, remainingMinutes: 45 },
+        lunchTaken: true
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.replannedFrom.departureTime, '2025-09-22T13:45:00.000+10:00');
+      assert.deepEqual(body.completedJobs.map(job => job.id), [done.id]);
+      assert.equal(body.inProgressJob.id, current.id);
+      assert.deepEqual(body.optimizedRoute.map(job => job.id).sort(), rest.map(job => job.id).sort());
+
+      const first = body.optimizedRoute[0];
+      assert.equal(first.leg.fromJobId, null);
+      assert.ok(Date.parse(first.startDate) >= Date.parse('2025-09-22T13:45:00+10:00') + (first.leg.travelMinutes + first.leg.bufferMinutes) * 60000);
+      assert.deepEqual(body.breaks, []);
+      for (const delayed of body.delayedJobs) {
+        assert.ok(delayed.delayMinutes > 0);
+      }
+    });
+
+    it('flags jobs that can no longer start in their window', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+      const windowed = jobs.map((job, index) => index === 0 ? { ...job, latestStart: '10:00' } : job);
+
+      const { status, body } = await testApp.request('POST', '/replan-route', {
+        jobs: windowed,
+        currentTime: '2025-10-14T11:00:00+11:00',
+        currentLocation: { lat: -33.8688, lng: 151.2093 }
+      });
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.missedWindows.map(job => job.id), [windowed[0].id]);
+      assert.match(body.missedWindows[0].reason, /latestStart 10:00/);
+      assert.equal(body.optimizedRoute.length, windowed.length - 1);
+    });
+
+    it('reads timestamps without an offset in the request timezone', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+      const planned = jobs.map((job, index) => ({ ...job, startDate: ['2025-10-14T07:00:00', '2025-10-14T09:00:00', '2025-10-14T09:30:00'][index] }));
+      planned[0].endDate = '2025-10-14T10:00:00';
+
+      const { status, body } = await testApp.request('POST', '/replan-route', {
+        jobs: planned,
+        currentTime: '2025-10-14T09:00:00+11:00',
+        currentLocation: { lat: -33.8688, lng: 151.2093 },
+        inProgress: { jobId: planned[0].id },
+        timezone: 'Australia/Sydney'
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.replannedFrom.departureTime, '2025-10-14T10:00:00.000+11:00');
+      assert.deepEqual(body.delayedJobs.map(job => job.id).sort(), [planned[1].id, planned[2].id]);
+    });
+
+    it('rejects job ids that are not on the day', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+
+      const { status, body } = await testApp.request('POST', '/replan-route', {
+        jobs,
+        currentTime: '2025-10-14T11:00:00+11:00',
+        currentLocation: { lat: -33.8688, lng: 151.2093 },
+        completedJobIds: [999]
+      });
+
+      assert.equal(status, 400);
+      assert.deepEqual(body.fields.map(field => [field.path, field.code]), [['completedJobIds', 'unknownJob']]);
+    });
+
+    it('requires the current time and location', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+      const { status, body } = await testApp.request('POST', '/replan-route', { jobs });
+
+      assert.equal(status, 400);
+      assert.deepEqual(body.fields.map(field => field.path).sort(), ['currentLocation', 'currentTime']);
+    });
+  });
+
+  describe('POST /optimize-dispatch', () => {
+    beforeEach(async () => {
+      testApp = await startTestApp();
+    });
+
+    const technicians = [
+      { id: 'east', name: 'Eastern crew', startLocation: { lat: -33.8915, lng: 151.2767 }, returnToStart: true, skills: ['carpentry'] },
+      { id: 'west', name: 'Western crew', startLocation: { lat: -33.8150, lng: 151.0011 }, skills: ['carpentry', 'plumbing'] }
+    ];
+
+    it('returns a timed route per technician and accounts for every job', async () => {
+      const { jobs } = loadFixture('test-multi-day.json');
+      const dayJobs = jobs.slice(0, 8).map((job, index) => index === 0 ? { ...job, requiredSkills: ['plumbing'] } : job);
+
+      const { status, body } = await testApp.request('POST', '/optimize-dispatch', { jobs: dayJobs, technicians, routingDate: '2025-09-22' });
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.routes.map(route => route.technician.id), ['east', 'west']);
+      assert.equal(body.summary.assignedJobs + body.summary.totalUnassigned + body.summary.totalUnscheduled, dayJobs.length);
+
+      const west = body.routes.find(route => route.technician.id === 'west');
+      assert.ok(west.jobs.some(job => job.id === dayJobs[0].id), 'the plumbing job goes to the plumber');
+      for (const route of body.routes.filter(route => route.jobs.length > 0)) {
+        assert.ok(route.jobs.every(job => job.technicianId === route.technician.id));
+        assert.ok(route.jobs[0].startDate.startsWith('2025-09-22T07:30'));
+      }
+      const east = body.routes.find(route => route.technician.id === 'east');
+      assert.ok(east.jobs.length === 0 || east.routeSummary.returnLeg !== null);
+    });
+
+    it('asks for the technicians\' route explanations at the same time', async () => {
+      let running = 0;
+      let mostRunning = 0;
+      testApp.openai.chat.completions.create = async () => {
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        running--;
+        return { choices: [{ message: { role: 'assistant', content: 'Work outwards from the start.' } }] };
+      };
+      const { jobs } = loadFixture('test-multi-day.json');
+
+      const { status, body } = await testApp.request('POST', '/optimize-dispatch', { jobs: jobs.slice(0, 8), technicians, routingDate: '2025-09-22' });
+
+      assert.equal(status, 200);
+      assert.ok(body.routes.every(route => route.jobs.length > 0));
+      assert.equal(mostRunning, 2);
+    });
+
+    it('leaves technicians who are off out of the dispatch', async () => {
+      const { jobs } = loadFixture('test-multi-day.json');
+      const weekdaysOnly = technicians.map(technician => technician.id === 'east'
+        ? { ...technician, calendar: { workingDays: ['Tue', 'Wed'] } }
+        : technician);
+
+      const { status, body } = await testApp.request('POST', '/optimize-dispatch', { jobs: jobs.slice(0, 3), technicians: weekdaysOnly, routingDate: '2025-09-22' });
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.techniciansOff, [{ id: 'east', name: 'Eastern crew', reason: 'Mon is not a working day' }]);
+      assert.deepEqual(body.routes.map(route => route.technician.id), ['west']);
+    });
+
+    it('rejects technicians sharing an id', async () => {
+      const { jobs } = loadFixture('test-multi-day.json');
+
+      const { status, body } = await testApp.request('POST', '/optimize-dispatch', {
+        jobs: jobs.slice(0, 3),
+        technicians: [technicians[0], { ...technicians[1], id: 'east' }]
+      });
+
+      assert.equal(status, 400);
+      assert.deepEqual(body.fields.map(field => [field.path, field.code]), [['technicians[1].id', 'unique']]);
+    });
+  });
+
+  describe('POST /optimize-multi-day-route', () => {
+    beforeEach(async () => {
+      testApp = await startTestApp();
+    });
+
+    it('spreads test-multi-day.json over consecutive working days', async () => {
+      const fixture = loadFixture('test-multi-day.json');
+
+      const { status, body } = await testApp.request('POST', '/optimize-multi-day-route', fixture);
+
+      assert.equal(status, 200);
+      assert.equal(body.summary.totalJobs + body.summary.totalUnscheduled, fixture.jobs.length);
+      assert.equal(body.summary.startDate, '2025-09-22');
+
+      const workingDates = getWorkingDates('2025-09-22', body.optimizedSchedule.length);
+      body.optimizedSchedule.forEach((day, index) => {
+        const expectedDate = workingDates[index];
+        assert.equal(day.date, expectedDate);
+        for (const job of day.jobs) {
+          assert.ok(job.startDate.startsWith(`${expectedDate}T`), `${job.title} is on ${day.date}`);
+          assert.ok(job.startDate.endsWith('+10:00'));
+        }
+      });
+
+      const scheduledIds = body.optimizedSchedule.flatMap(day => day.jobs.map(job => job.id));
+      assert.equal(new Set(scheduledIds).size, scheduledIds.length);
+    });
+
+    it('uses the daylight saving offset from test-timezone-fix.json', async () => {
+      const fixture = loadFixture('test-timezone-fix.json');
+
+      const { status, body } = await testApp.request('POST', '/optimize-multi-day-route', fixture);
+
+      assert.equal(status, 200);
+      assert.equal(body.optimizedSchedule[0].date, '2025-10-14');
+      assert.equal(body.optimizedSchedule[0].jobs[0].startDate, '2025-10-14T07:30:00.000+11:00');
+    });
+
+    it('honours maxJobsPerDay and returns a plan score', async () => {
+      const fixture = loadFixture('test-multi-day.json');
+
+      const { status, body } = await testApp.request('POST', '/optimize-multi-day-route', { ...fixture, maxJobsPerDay: 2 });
+
+      assert.equal(status, 200);
+      assert.ok(body.optimizedSchedule.every(day => day.jobs.length + day.unscheduled.length <= 2));
+      assert.equal(body.summary.maxJobsPerDay, 2);
+      assert.equal(body.summary.planScore.days, body.optimizedSchedule.length);
+      assert.deepEqual(body.summary.lateJobs, []);
+    });
+
+    it('plans urgent jobs first and reports jobs that miss their dueBy date', async () => {
+      const fixture = loadFixture('test-multi-day.json');
+      const last = fixture.jobs.length - 1;
+      fixture.jobs[last].priority = 'urgent';
+      fixture.jobs[0].dueBy = fixture.startFromDate;
+      fixture.jobs[1].dueBy = fixture.startFromDate;
+
+      const { status, body } = await testApp.request('POST', '/optimize-multi-day-route', { ...fixture, maxJobsPerDay: 1 });
+
+      assert.equal(status, 200);
+      const firstDayIds = body.optimizedSchedule[0].jobs.map(job => job.id);
+      assert.ok(firstDayIds.includes(fixture.jobs[0].id) || firstDayIds.includes(fixture.jobs[1].id));
+      // Only one of the two jobs due on the first day fits on it; the other is reported
+      assert.equal(body.summary.lateJobs.length, 1);
+      assert.equal(body.summary.lateJobs[0].dueDate, fixture.startFromDate);
+      assert.match(body.summary.lateJobs[0].reason, /^Due by /);
+      assert.ok(body.optimizedSchedule[1].jobs.some(job => job.id === fixture.jobs[last].id));
+    });
+
+    it('rejects an unknown priority', async () => {
+      const fixture = loadFixture('test-multi-day.json');
+      fixture.jobs[0].priority = 'asap';
+
+      const { status, body } = await testApp.request('POST', '/optimize-multi-day-route', fixture);
+
+      assert.equal(status, 400);
+      assert.equal(body.fields[0].path, 'jobs[0].priority');
+    });
+
+    it('plans a few hundred jobs with matrix requests inside the Google limits', async () => {
+      const jobs = Array.from({ length: 200 }, (_, index) => ({
+        id: index + 1,
+        title: `Job ${index + 1}`,
+        duration: { days: 0, hours: 1 + index % 3, minutes: 0 },
+        location: { latitude: -33.75 - (index % 20) / 50, longitude: 151.0 + Math.floor(index / 20) / 40 }
+      }));
+      const callsBefore = testApp.googleMaps.calls.length;
+
+      const { status, body } = await testApp.request('POST', '/optimize-multi-day-route', {
+        jobs,
+        startLocation: { lat: -33.8688, lng: 151.2093 },
+        startFromDate: '2025-09-22'
+      });
+
+      assert.equal(status, 200);
+      const ids = body.optimizedSchedule.flatMap(day => [...day.jobs, ...day.unscheduled].map(job => job.id));
+      assert.equal(new Set(ids).size, jobs.length);
+
+      const matrixCalls = testApp.googleMaps.calls.slice(callsBefore).filter(call => call.method === 'distancematrix');
+      for (const { params } of matrixCalls) {
+        assert.ok(params.origins.length * params.destinations.length <= 100);
+      }
+      assert.equal(body.summary.travelTimeRequests.requests, matrixCalls.length);
+    });
+
+    it('spreads a multi-day job over consecutive days and stores it as one task', async () => {
+      const fixture = loadFixture('test-multi-day.json');
+      fixture.jobs[4].duration = { days: 2, hours: 0, minutes: 0 };
+      const headers = { 'X-User-Id': 'tradie-5' };
+
+      const { status, body } = await testApp.request('POST', '/optimize-multi-day-route', fixture, headers);
+
+      assert.equal(status, 200);
+      const segments = body.optimizedSchedule.flatMap(day => day.jobs).filter(job => job.segment);
+      assert.equal(segments.length, 2);
+      assert.deepEqual(segments.map(job => job.segment.number), [1, 2]);
+      assert.equal(segments[0].segment.dates.length, 2);
+      assert.equal(body.summary.totalJobs + body.summary.totalUnscheduled, fixture.jobs.length);
+
+      const listed = await testApp.request('GET', '/schedule', undefined, headers);
+      const stored = listed.body.schedule.find(task => task.id === fixture.jobs[4].id);
+      assert.deepEqual(stored.duration, { days: 2, hours: 0, minutes: 0 });
+      assert.equal(stored.segments.length, 2);
+    });
+
+    it('ends each day at the endLocation and totals the driving', async () => {
+      const fixture = loadFixture('test-multi-day.json');
+      const endLocation = { lat: -33.8150, lng: 151.0011 };
+
+      const { status, body } = await testApp.request('POST', '/optimize-multi-day-route', { ...fixture, endLocation });
+
+      assert.equal(status, 200);
+      for (const day of body.optimizedSchedule) {
+        assert.equal(day.routeSummary.returnLeg.arriveDate, day.routeSummary.finishDate);
+      }
+      const dayMeters = body.optimizedSchedule.reduce((sum, day) => sum + day.routeSummary.totalDistance.value, 0);
+      assert.equal(body.summary.totalDistance.value, dayMeters);
+      assert.deepEqual(body.summary.endLocation, endLocation);
+      const dayMinutes = body.optimizedSchedule.reduce((sum, day) => sum + day.routeSummary.driveMinutes, 0);
+      assert.equal(body.summary.routeMetrics.driveMinutes, dayMinutes);
+      assert.ok(body.summary.routeMetrics.comparison.saving.driveKm >= 0);
+    });
+
+    it('skips days off and lists them in the summary', async () => {
+      const fixture = loadFixture('test-multi-day.json');
+      const calendar = { holidays: ['2025-09-23'] };
+
+      const { status, body } = await testApp.request('POST', '/optimize-multi-day-route', { ...fixture, calendar });
+
+      assert.equal(status, 200);
+      assert.ok(body.optimizedSchedule.every(day => day.date !== '2025-09-23'));
+      assert.deepEqual(body.summary.daysOff[0], { date: '2025-09-23', reason: 'Day off' });
+    });
+
+    it('rejects a calendar with no working hours', async () => {
+      const fixture = loadFixture('test-multi-day.json');
+      const calendar = { dayStart: '12:00', dayEnd: '12:30' };
+
+      const { status, body } = await testApp.request('POST', '/optimize-multi-day-route', { ...fixture, calendar });
+
+      assert.equal(status, 400);
+      assert.equal(body.fields[0].path, 'calendar.dayEnd');
+    });
+
+    it('requires startFromDate', async () => {
+      const { jobs } = loadFixture('test-multi-day.json');
+      const { status } = await testApp.request('POST', '/optimize-multi-day-route', { jobs });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('POST /chat', () => {
+    it('adds tasks on the date of the schedule from test-chat-dates-match-schedule.json', async () => {
+      testApp = await startTestApp({
+        replies: [addTaskReply('Done, added the pickup at 5pm.', {
+          title: 'Material pickup',
+          location: 'Bunnings',
+          startTime: '5:00 PM',
+          duration: '30 minutes',
+          description: 'material pickup',
+          type: 'Task'
+        })]
+      });
+      const schedule = loadFixture('test-chat-dates-match-schedule.json');
+
+      const { status, body } = await testApp.request('POST', '/chat', {
+        message: 'pick up materials from Bunnings at 5pm',
+        schedule,
+        referenceDate: '2025-09-14'
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.taskAdded, true);
+      assert.equal(body.addedTask.startDate, '2025-09-15T17:00:00.000+10:00');
+      assert.equal(body.addedTask.endDate, '2025-09-15T17:30:00.000+10:00');
+      assert.equal(body.schedule.length, schedule.length + 1);
+      assert.equal(testApp.openai.requests[0].model, 'gpt-4o-mini');
+    });
+
+    it('gives tasks added to a stored schedule fresh ids, even when the body sends part of it', async () => {
+      testApp = await startTestApp({
+        replies: [addTaskReply('Added the pickup.', {
+          title: 'Material pickup',
+          location: 'Bunnings',
+          startTime: '5:00 PM',
+          duration: '30 minutes',
+          description: 'material pickup',
+          type: 'Task'
+        })]
+      });
+      const headers = { 'X-User-Id': 'tradie-9' };
+      const stored = loadFixture('test-chat-dates-match-schedule.json').map(task => ({ ...task, title: `Stored ${task.id}` }));
+      await testApp.request('POST', '/schedule', { tasks: stored }, headers);
+
+      const { status, body } = await testApp.request('POST', '/chat', {
+        message: 'pick up materials from Bunnings at 5pm',
+        schedule: [stored[0]],
+        referenceDate: '2025-09-14'
+      }, headers);
+
+      assert.equal(status, 200);
+      assert.equal(body.addedTask.id, 4);
+      const listed = await testApp.request('GET', '/schedule', undefined, headers);
+      assert.deepEqual(listed.body.schedule.map(task => [task.id, task.title]).sort(), [
+        [1, 'Stored 1'],
+        [2, 'Stored 2'],
+        [3, 'Stored 3'],
+        [4, 'Material pickup']
+      ]);
+    });
+
+    it('stores a task added and then moved in one message once, under its stored id', async () => {
+      const pickup = {
+        title: 'Material pickup',
+        location: 'Bunnings',
+        startTime: '5:00 PM',
+        duration: '30 minutes',
+        description: 'material pickup',
+        type: 'Task'
+      };
+      testApp = await startTestApp({
+        replies: [{
+          content: 'Added the pickup and moved it to 6pm.',
+          tool_calls: [
+            { name: 'add_task', arguments: pickup },
+            { name: 'move_task', arguments: { taskTitle: 'Material pickup', startTime: '6:00 PM' } }
+          ]
+        }]
+      });
+      const headers = { 'X-User-Id': 'tradie-13' };
+      const stored = loadFixture('test-chat-dates-match-schedule.json').map(task => ({ ...task, title: `Stored ${task.id}` }));
+      await testApp.request('POST', '/schedule', { tasks: stored }, headers);
+
+      const { status, body } = await testApp.request('POST', '/chat', {
+        message: 'pick up materials from Bunnings at 5pm, actually make it 6pm',
+        schedule: [stored[0]],
+        referenceDate: '2025-09-14'
+      }, headers);
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.changedTasks.map(change => change.after.id), [4, 4]);
+      const listed = await testApp.request('GET', '/schedule', undefined, headers);
+      assert.deepEqual(listed.body.schedule.map(task => [task.id, task.title]).sort(), [
+        [1, 'Stored 1'],
+        [2, 'Stored 2'],
+        [3, 'Stored 3'],
+        [4, 'Material pickup']
+      ]);
+      assert.equal(listed.body.schedule.find(task => task.id === 4).startDate, '2025-09-15T18:00:00.000+10:00');
+    });
+
+    it('reports a clash with the fixture schedule instead of adding the task', async () => {
+      testApp = await startTestApp({
+        replies: [
+          addTaskReply('Added!', {
+            title: 'Bank',
+            location: 'Commonwealth Bank Parramatta',
+            startTime: '10:00 AM',
+            duration: '30 minutes',
+            description: 'banking',
+            type: 'Task'
+          }),
+          { content: 'That clashes with a job - how about later?' }
+        ]
+      });
+      const schedule = loadFixture('test-chat-dates-match-schedule.json');
+
+      const { status, body } = await testApp.request('POST', '/chat', {
+        message: 'bank at 10am',
+        schedule,
+        referenceDate: '2025-09-14'
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.taskAdded, false);
+      assert.equal(body.conflicts[0].resolution, 'not_added');
+      assert.equal(body.response, 'That clashes with a job - how about later?');
+      assert.equal(body.schedule.length, schedule.length);
+    });
+
+    it('uses saved places, the nearest branch and the geocode cache for locations', async () => {
+      const pickup = location => addTaskReply('Added!', {
+        title: 'Pickup',
+        location,
+        startTime: '5:00 PM',
+        duration: '30 minutes',
+        description: 'material pickup',
+        type: 'Task'
+      });
+      testApp = await startTestApp({
+        replies: [pickup('Mitre 10'), pickup('the yard'), pickup('45 Victoria Rd, Gladesville'), pickup('45 Victoria Road Gladesville')]
+      });
+      const headers = { 'X-User-Id': 'tradie-7' };
+      const branch = (name, latitude, longitude) => ({ name, brand: 'Mitre 10', location: { formattedAddress: name, latitude, longitude } });
+      await testApp.request('POST', '/places', branch('Mitre 10 Penrith', -33.75, 150.69), headers);
+      await testApp.request('POST', '/places', branch('Mitre 10 Ryde', -33.81, 151.10), headers);
+      await testApp.request('POST', '/places', { name: 'Yard', aliases: ['the yard'], location: { formattedAddress: '1 Yard Lane', latitude: -33.80, longitude: 151.00 } }, headers);
+      const schedule = loadFixture('test-chat-dates-match-schedule.json');
+
+      const chat = () => testApp.request('POST', '/chat', { message: 'pickup at 5pm', schedule, referenceDate: '2025-09-14' }, headers);
+
+      assert.equal((await chat()).body.addedTask.location.formattedAddress, 'Mitre 10 Ryde');
+      assert.equal((await chat()).body.addedTask.location.formattedAddress, '1 Yard Lane');
+
+      const geocodesBefore = testApp.googleMaps.calls.filter(call => call.method === 'geocode').length;
+      const first = await chat();
+      const second = await chat();
+      assert.equal(testApp.googleMaps.calls.filter(call => call.method === 'geocode').length, geocodesBefore + 1);
+      assert.deepEqual(second.body.addedTask.location, first.body.addedTask.location);
+    });
+
+    it('picks the nearest of the branches saved in the place registry', async () => {
+      const pickup = addTaskReply('Added!', {
+        title: 'Material pickup',
+        location: 'Bunnings',
+        startTime: '5:00 PM',
+        duration: '30 minutes',
+        description: 'material pickup',
+        type: 'Task'
+      });
+      testApp = await startTestApp({ replies: [pickup, pickup, pickup] });
+      const headers = { 'X-User-Id': 'tradie-11' };
+      const branch = (name, latitude, longitude) => ({ name, brand: 'Bunnings', location: { formattedAddress: name, latitude, longitude } });
+      await testApp.request('POST', '/places', branch('Bunnings Penrith', -33.75, 150.69), headers);
+      await testApp.request('POST', '/places', branch('Bunnings Alexandria', -33.905, 151.195), headers);
+      const schedule = loadFixture('test-chat-dates-match-schedule.json');
+
+      const chat = chatHeaders => testApp.request('POST', '/chat', { message: 'pickup at 5pm', schedule, referenceDate: '2025-09-14' }, chatHeaders);
+
+      // The saved Alexandria branch is closer to the Sydney CBD job than the built-in Carlingford one
+      assert.equal((await chat(headers)).body.addedTask.location.formattedAddress, 'Bunnings Alexandria');
+
+      // Without saved branches there is only the built-in one
+      assert.equal((await chat({ 'X-User-Id': 'tradie-12' })).body.addedTask.location.formattedAddress, bunningsLocation.location.formattedAddress);
+
+      await testApp.request('DELETE', '/places/bunnings-alexandria', undefined, headers);
+      assert.equal((await chat(headers)).body.addedTask.location.formattedAddress, bunningsLocation.location.formattedAddress);
+      assert.equal(testApp.googleMaps.calls.filter(call => call.method === 'geocode').length, 0);
+    });
+
+    it('looks up a brand with a suburb instead of snapping it to the built-in branch', async () => {
+      testApp = await startTestApp({
+        replies: [addTaskReply('Added!', {
+          title: 'Material pickup',
+          location: 'Bunnings Alexandria',
+          startTime: '5:00 PM',
+          duration: '30 minutes',
+          description: 'material pickup',
+          type: 'Task'
+        })]
+      });
+      const schedule = loadFixture('test-chat-dates-match-schedule.json');
+
+      const { body } = await testApp.request('POST', '/chat', { message: 'pickup at 5pm', schedule, referenceDate: '2025-09-14' });
+
+      assert.equal(body.addedTask.location.formattedAddress, 'Bunnings Alexandria, Sydney NSW 2000, Australia');
+      assert.equal(testApp.googleMaps.calls.filter(call => call.method === 'geocode').length, 1);
+    });
+
+    it('asks which place is meant when a location matches several, nearest the jobs first', async () => {
+      const shopping = location => addTaskReply('Added!', {
+        title: 'Groceries',
+        location,
+        startTime: '5:00 PM',
+        duration: '30 minutes',
+        description: 'grocery shopping',
+        type: 'Task'
+      });
+      testApp = await startTestApp({
+        replies: [
+          shopping('Woolworths'),
+          { content: 'Which Woolworths - Eastwood, Bondi Junction or Penrith?' },
+          shopping('Woolworths, Eastwood NSW 2000, Australia')
+        ]
+      });
+      const schedule = loadFixture('test-chat-dates-match-schedule.json');
+
+      const asked = await testApp.request('POST', '/chat', { message: 'groceries at woolies at 5pm', schedule, referenceDate: '2025-09-14' });
+
+      assert.equal(asked.status, 200);
+      assert.equal(asked.body.taskAdded, false);
+      assert.equal(asked.body.response, 'Which Woolworths - Eastwood, Bondi Junction or Penrith?');
+      const [choice] = asked.body.locationChoices;
+      assert.equal(choice.query, 'Woolworths');
+      assert.deepEqual(choice.options.map(option => option.suburb), ['Eastwood', 'Bondi Junction', 'Penrith']);
+      assert.ok(choice.options[0].distanceKm < choice.options[2].distanceKm);
+      assert.match(testApp.openai.requests[1].messages.at(-1).content, /1\. Woolworths, Eastwood/);
+
+      const geocodes = testApp.googleMaps.calls.filter(call => call.method === 'geocode').length;
+      const picked = await testApp.request('POST', '/chat', { message: 'the Eastwood one', schedule, referenceDate: '2025-09-14' });
+
+      assert.equal(picked.body.taskAdded, true);
+      assert.equal(picked.body.addedTask.location.suburb, 'Eastwood');
+      assert.equal(testApp.googleMaps.calls.filter(call => call.method === 'geocode').length, geocodes);
+    });
+
+    it('asks for an address instead of adding a task whose location cannot be found', async () => {
+      testApp = await startTestApp({
+        replies: [addTaskReply('Added!', {
+          title: 'Quote',
+          location: 'Nowhere Street',
+          startTime: '5:00 PM',
+          duration: '30 minutes',
+          description: 'quote',
+          type: 'Quote inspection'
+        }), { content: "I couldn't find Nowhere Street - what's the full address?" }]
+      });
+      const schedule = loadFixture('test-chat-dates-match-schedule.json');
+
+      const { status, body } = await testApp.request('POST', '/chat', { message: 'quote on Nowhere Street at 5pm', schedule, referenceDate: '2025-09-14' });
+
+      assert.equal(status, 200);
+      assert.equal(body.taskAdded, false);
+      assert.deepEqual(body.locationChoices[0].options, []);
+      assert.match(body.locationChoices[0].reason, /No place found/);
+      assert.equal(body.response, "I couldn't find Nowhere Street - what's the full address?");
+      assert.match(testApp.openai.requests[1].messages.at(-1).content, /Ask the user for a street address/);
+      assert.equal(body.schedule.length, schedule.length);
+    });
+
+    it('requires a message', async () => {
+      testApp = await startTestApp();
+      const { status } = await testApp.request('POST', '/chat', {});
+      assert.equal(status, 400);
+    });
+
+    it('streams the reply as Server-Sent Events', async () => {
+      testApp = await startTestApp({ replies: [{ content: 'Your day looks clear.' }] });
+
+      const { status, headers, body } = await testApp.request('POST', '/chat/stream', {
+        message: 'what is on today?',
+        schedule: [],
+        referenceDate: '2025-09-15'
+      });
+
+      assert.equal(status, 200);
+      assert.match(headers.get('content-type'), /text\/event-stream/);
+
+      const events = parseEventStream(body);
+      const text = events.filter(e => e.event === 'token').map(e => e.data.text).join('');
+      assert.equal(text, 'Your day looks clear.');
+      assert.equal(events.at(-1).event, 'done');
+      assert.equal(events.at(-1).data.response, 'Your day looks clear.');
+    });
+  });
+
+  describe('error responses', () => {
+    beforeEach(async () => {
+      testApp = await startTestApp();
+    });
+
+    it('rejects a job without coordinates with a 400 naming the field', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+      delete jobs[1].location.latitude;
+
+      const { status, body } = await testApp.request('POST', '/optimize-route', { jobs, routingDate: '2025-10-14' });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_ERROR');
+      assert.deepEqual(body.fields, [
+        { location: 'body', path: 'jobs[1].location.latitude', message: 'is required', code: 'required' }
+      ]);
+      assert.ok(body.timestamp);
+      assert.equal(testApp.googleMaps.calls.length, 0);
+    });
+
+    it('reports every bad field in a task', async () => {
+      const { status, body } = await testApp.request('POST', '/schedule', {
+        task: { id: 1, type: 'Meeting', duration: { hours: 1, minutes: 90 }, startDate: 'tomorrow' }
+      }, { 'X-User-Id': 'tradie-3' });
+
+      assert.equal(status, 400);
+      assert.deepEqual(body.fields.map(field => [field.path, field.code]), [
+        ['task.type', 'enum'],
+        ['task.duration.minutes', 'maximum'],
+        ['task.startDate', 'format']
+      ]);
+    });
+
+    it('checks time windows on stored jobs too', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+      const headers = { 'X-User-Id': 'tradie-4' };
+      const stored = jobs.map(job => ({ ...job, startDate: '2025-10-14T09:00:00.000+11:00', earliestStart: '14:00', latestStart: '10:00' }));
+      await testApp.request('POST', '/schedule', { tasks: stored }, headers);
+
+      const { status, body } = await testApp.request('POST', '/optimize-route', { routingDate: '2025-10-14' }, headers);
+
+      assert.equal(status, 400);
+      assert.equal(body.fields[0].location, 'schedule');
+      assert.equal(body.fields[0].path, 'jobs[0].latestStart');
+    });
+
+    it('answers malformed JSON and unknown routes in the same envelope', async () => {
+      const invalid = await fetch(testApp.baseUrl + '/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"message": '
+      });
+      const invalidBody = await invalid.json();
+      assert.equal(invalid.status, 400);
+      assert.equal(invalidBody.code, 'INVALID_JSON');
+
+      const unknown = await testApp.request('GET', '/nowhere');
+      assert.equal(unknown.status, 404);
+      assert.equal(unknown.body.code, 'NOT_FOUND');
+      assert.equal(typeof unknown.body.error, 'string');
+    });
+  });
+
+  describe('/schedule', () => {
+    beforeEach(async () => {
+      testApp = await startTestApp();
+    });
+
+    it('stores, lists, updates and deletes tasks for a user', async () => {
+      const tasks = loadFixture('test-chat-dates-match-schedule.json');
+      const headers = { 'X-User-Id': 'tradie-1' };
+
+      const created = await testApp.request('POST', '/schedule', { tasks }, headers);
+      assert.equal(created.status, 201);
+
+      const duplicate = await testApp.request('POST', '/schedule', { task: tasks[0] }, headers);
+      assert.equal(duplicate.status, 409);
+      const duplicateStringId = await testApp.request('POST', '/schedule', { task: { ...tasks[0], id: String(tasks[0].id) } }, headers);
+      assert.equal(duplicateStringId.status, 409);
+
+      const listed = await testApp.request('GET', '/schedule?from=2025-09-15&to=2025-09-15', undefined, headers);
+      assert.equal(listed.status, 200);
+      assert.equal(listed.body.schedule.length, tasks.length);
+
+      const otherDay = await testApp.request('GET', '/schedule?from=2025-09-16', undefined, headers);
+      assert.equal(otherDay.body.schedule.length, 0);
+
+      const updated = await testApp.request('PATCH', `/schedule/${tasks[0].id}`, { title: 'Renamed' }, headers);
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.task.title, 'Renamed');
+
+      const deleted = await testApp.request('DELETE', `/schedule/${tasks[0].id}`, undefined, headers);
+      assert.equal(deleted.status, 200);
+
+      const missing = await testApp.request('DELETE', `/schedule/${tasks[0].id}`, undefined, headers);
+      assert.equal(missing.status, 404);
+    });
+
+    it('saves, lists, updates and deletes named places', async () => {
+      const headers = { 'X-User-Id': 'tradie-8' };
+
+      const created = await testApp.request('POST', '/places', { name: 'Smith residence', address: '12 Smith St, Ryde' }, headers);
+      assert.equal(created.status, 201);
+      assert.equal(created.body.place.id, 'smith-residence');
+      assert.equal(typeof created.body.place.location.latitude, 'number');
+
+      const duplicate = await testApp.request('POST', '/places', { name: 'Smith residence', address: '12 Smith St, Ryde' }, headers);
+      assert.equal(duplicate.status, 409);
+      assert.equal(duplicate.body.code, 'PLACE_EXISTS');
+
+      const invalid = await testApp.request('POST', '/places', { name: 'Nowhere' }, headers);
+      assert.equal(invalid.status, 400);
+
+      const updated = await testApp.request('PATCH', '/places/smith-residence', { aliases: ['the Smiths'] }, headers);
+      assert.deepEqual(updated.body.place.aliases, ['the Smiths']);
+
+      const listed = await testApp.request('GET', '/places', undefined, headers);
+      assert.deepEqual(listed.body.places.map(p => p.id), ['smith-residence']);
+      assert.ok(listed.body.builtInPlaces.some(p => p.brand === 'Bunnings'));
+
+      const deleted = await testApp.request('DELETE', '/places/smith-residence', undefined, headers);
+      assert.equal(deleted.status, 200);
+      const missing = await testApp.request('DELETE', '/places/smith-residence', undefined, headers);
+      assert.equal(missing.status, 404);
+    });
+
+    it('requires a user id', async () => {
+      const { status } = await testApp.request('GET', '/schedule');
+      assert.equal(status, 400);
+    });
+
+    it('refuses user ids that name object prototype keys', async () => {
+      for (const userId of ['__proto__', 'constructor', 'prototype']) {
+        const stored = await testApp.request('POST', '/schedule', { task: { id: 1, title: 'Quote' } }, { 'X-User-Id': userId });
+        assert.equal(stored.status, 400);
+        assert.equal(stored.body.fields[0].code, 'reserved');
+
+        const places = await testApp.request('GET', `/places?userId=${userId}`);
+        assert.equal(places.status, 400);
+      }
+
+      const listed = await testApp.request('GET', '/schedule', undefined, { 'X-User-Id': 'tradie-10' });
+      assert.deepEqual(listed.body.schedule, []);
+    });
+
+    it('re-times stored jobs when optimizing without a jobs list', async () => {
+      const { jobs } = loadFixture('test-timezone-fix.json');
+      const headers = { 'X-User-Id': 'tradie-2' };
+      const stored = jobs.map((job, index) => ({
+        ...job,
+        startDate: `2025-10-14T${String(9 + index * 3).padStart(2, '0')}:00:00.000+11:00`
+      }));
+      await testApp.request('POST', '/schedule', { tasks: stored }, headers);
+
+      const { status, body } = await testApp.request('POST', '/optimize-route', { routingDate: '2025-10-14' }, headers);
+      assert.equal(status, 200);
+      assert.equal(body.optimizedRoute.length, jobs.length);
+
+      const listed = await testApp.request('GET', '/schedule', undefined, headers);
+      assert.equal(listed.body.schedule[0].startDate, '2025-10-14T07:30:00.000+11:00');
+    });
+  });
+});
@@ -0,0 +1,28 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScheduleStore } = require('../scheduleStore.js');
+
+describe('createScheduleStore', () => {
+  let storeDir;
+  let store;
+
+  beforeEach(() => {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-store-'));
+    store = createScheduleStore({ filePath: path.join(storeDir, 'schedules.json') });
+  });
+
+  afterEach(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+  it('numbers new tasks after the numeric ids when some ids are strings', async () => {
+    await store.saveSchedule('tradie-1', [{ id: 'job-a', title: 'Optimized job' }, { id: '7', title: 'Quote' }]);
+
+    const [added] = await store.addTasks('tradie-1', [{ title: 'New task' }]);
+
+    assert.equal(added.id, 8);
+    const stored = await store.getSchedule('tradie-1');
+    assert.deepEqual(stored.map(task => task.id), ['job-a', '7', 8]);
+  });
+});
@@ -0,0 +1,206 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { roundToQuarterHour, parseDate, scheduleOptimizedJobs } = require('../scheduling.js');
+const { resolveCalendar } = require('../workingCalendar.js');
+const { resolveBufferRules, getJobSuburb, getBufferMinutes } = require('../bufferRules.js');
+
+// Helper to build a distance matrix (start location row first) where every leg takes `minutes`
+function uniformMatrix(jobCount, minutes) {
+  const element = { status: 'OK', duration: { value: minutes * 60, text: `${minutes} mins` }, distance: { value: 1000, text: '1 km' } };
+  return {
+    rows: Array.from({ length: jobCount + 1 }, () => ({
+      elements: Array.from({ length: jobCount }, () => element)
+    }))
+  };
+}
+
+// Helper to build a job with a duration in minutes
+function job(id, minutes, extra = {}) {
+  return {
+    id,
+    title: `Job ${id}`,
+    duration: { days: 0, hours: Math.floor(minutes / 60), minutes: minutes % 60 },
+    ...extra
+  };
+}
+
+describe('roundToQuarterHour', () => {
+  it('rounds up to the next quarter hour', () => {
+    assert.equal(roundToQuarterHour(new Date('2025-10-14T08:01:00Z')).toISOString(), '2025-10-14T08:15:00.000Z');
+    assert.equal(roundToQuarterHour(new Date('2025-10-14T08:46:00Z')).toISOString(), '2025-10-14T09:00:00.000Z');
+  });
+
+  it('leaves quarter hours alone and drops seconds', () => {
+    assert.equal(roundToQuarterHour(new Date('2025-10-14T08:30:00Z')).toISOString(), '2025-10-14T08:30:00.000Z');
+    assert.equal(roundToQuarterHour(new Date('2025-10-14T08:30:45Z')).toISOString(), '2025-10-14T08:30:00.000Z');
+  });
+
+  it('rolls over midnight', () => {
+    assert.equal(roundToQuarterHour(new Date('2025-10-14T23:50:00Z')).toISOString(), '2025-10-15T00:00:00.000Z');
+  });
+});
+
+describe('parseDate', () => {
+  it('returns YYYY-MM-DD strings unchanged', () => {
+    assert.equal(parseDate('2025-10-14'), '2025-10-14');
+  });
+
+  it('returns the local date of a timestamp in the timezone', () => {
+    // 8pm UTC on the 14th is already the 15th in Sydney; 3pm UTC is 11pm on the 14th in Perth
+    assert.equal(parseDate('2025-10-14T20:00:00.000Z', 'Australia/Sydney'), '2025-10-15');
+    assert.equal(parseDate('2025-10-14T15:00:00.000Z', 'Australia/Perth'), '2025-10-14');
+    assert.equal(parseDate('2025-10-14T09:00:00.000+11:00', 'Australia/Sydney'), '2025-10-14');
+  });
+
+  it('reads timestamps without an offset as local time', () => {
+    assert.equal(parseDate('2025-10-14T23:30:00', 'Australia/Brisbane'), '2025-10-14');
+  });
+
+  it('returns null for a missing date', () => {
+    assert.equal(parseDate(undefined), null);
+    assert.equal(parseDate(''), null);
+  });
+});
+
+describe('scheduleOptimizedJobs', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => mock.restoreAll());
+
+  const destinations = [1, 2, 3].map(id => ({ jobId: id, title: `Job ${id}` }));
+
+  it('starts at 7:30 and spaces jobs by travel time plus buffer', () => {
+    const jobs = [job(1, 60), job(2, 90), job(3, 30)];
+    const { scheduledJobs, unscheduledJobs } = scheduleOptimizedJobs(jobs, uniformMatrix(3, 20), destinations, '2025-10-14');
+
+    assert.deepEqual(unscheduledJobs, []);
+    assert.deepEqual(scheduledJobs.map(j => [j.startDate, j.endDate]), [
+      ['2025-10-14T07:30:00.000+11:00', '2025-10-14T08:30:00.000+11:00'],
+      // 8:30 + 20 min travel + 15 min buffer = 9:05, rounded up to 9:15
+      ['2025-10-14T09:15:00.000+11:00', '2025-10-14T10:45:00.000+11:00'],
+      ['2025-10-14T11:30:00.000+11:00', '2025-10-14T12:00:00.000+11:00']
+    ]);
+    assert.equal(scheduledJobs[0].travelTimeToNext, '20 mins');
+  });
+
+  it('uses the timezone offset for the routing date', () => {
+    const { scheduledJobs } = scheduleOptimizedJobs([job(1, 60)], uniformMatrix(1, 20), destinations, '2025-07-01', 'Australia/Perth');
+    assert.equal(scheduledJobs[0].startDate, '2025-07-01T07:30:00.000+08:00');
+  });
+
+  it('takes the date from the first job when there is no routing date', () => {
+    const jobs = [job(1, 60, { startDate: '2025-09-15T13:00:00.000+10:00' })];
+    const { scheduledJobs } = scheduleOptimizedJobs(jobs, uniformMatrix(1, 20), destinations);
+    assert.equal(scheduledJobs[0].startDate, '2025-09-15T07:30:00.000+10:00');
+  });
+
+  it('defaults missing durations to an hour', () => {
+    const { scheduledJobs } = scheduleOptimizedJobs([{ id: 1, title: 'Job 1' }], uniformMatrix(1, 20), destinations, '2025-10-14');
+    assert.deepEqual(scheduledJobs[0].duration, { days: 0, hours: 1, minutes: 0 });
+    assert.equal(scheduledJobs[0].endDate, '2025-10-14T08:30:00.000+11:00');
+  });
+
+  it('waits for earliestStart and leaves out jobs that miss their latestStart', () => {
+    const jobs = [job(1, 60, { earliestStart: '10:00' }), job(2, 60, { latestStart: '10:30' }), job(3, 60)];
+    const { scheduledJobs, unscheduledJobs } = scheduleOptimizedJobs(jobs, uniformMatrix(3, 20), destinations, '2025-10-14');
+
+    assert.deepEqual(scheduledJobs.map(j => j.id), [1, 3]);
+    assert.equal(scheduledJobs[0].startDate, '2025-10-14T10:00:00.000+11:00');
+    assert.equal(unscheduledJobs[0].id, 2);
+    assert.match(unscheduledJobs[0].reason, /latestStart 10:30/);
+  });
+
+  it('takes lunch at the first break after 12:00 and marks jobs running past dayEnd', () => {
+    const jobs = [job(1, 270), job(2, 60), job(3, 180)];
+    const { scheduledJobs, breaks } = scheduleOptimizedJobs(jobs, uniformMatrix(3, 20), destinations, '2025-10-14');
+
+    assert.deepEqual(breaks, [
+      { type: 'lunch', startDate: '2025-10-14T12:00:00.000+11:00', endDate: '2025-10-14T12:30:00.000+11:00' }
+    ]);
+    // 12:00 + 30 min lunch + 20 min travel + 15 min buffer = 13:05, rounded up to 13:15
+    assert.equal(scheduledJobs[1].startDate, '2025-10-14T13:15:00.000+11:00');
+    assert.equal(scheduledJobs[2].endDate, '2025-10-14T18:00:00.000+11:00');
+    assert.equal(scheduledJobs[1].overtimeMinutes, undefined);
+    assert.equal(scheduledJobs[2].overtimeMinutes, 120);
+  });
+
+  it('follows the calendar\'s start time and skips lunch when there is none', () => {
+    const calendar = resolveCalendar({ dayStart: '06:00', lunchBreak: null });
+    const jobs = [job(1, 360), job(2, 60)];
+    const { scheduledJobs, breaks } = scheduleOptimizedJobs(jobs, uniformMatrix(2, 20), destinations, '2025-10-14', 'Australia/Sydney', calendar);
+
+    assert.equal(scheduledJobs[0].startDate, '2025-10-14T06:00:00.000+11:00');
+    assert.equal(scheduledJobs[1].startDate, '2025-10-14T12:45:00.000+11:00');
+    assert.deepEqual(breaks, []);
+  });
+
+  it('adds the buffer rules for each job and reports them per leg', () => {
+    const bufferRules = resolveBufferRules({ defaultMinutes: 10, byType: { 'Job on site': 20 }, bySuburb: { bondi: 5 } });
+    const jobs = [
+      job(1, 60),
+      job(2, 60, { type: 'Job on site', location: { formattedAddress: '456 Pine Avenue, Bondi NSW 2026' } })
+    ];
+    const { scheduledJobs } = scheduleOptimizedJobs(jobs, uniformMatrix(2, 20), destinations, '2025-10-14', 'Australia/Sydney', undefined, bufferRules);
+
+    assert.equal(scheduledJobs[0].leg.fromJobId, null);
+    assert.equal(scheduledJobs[0].leg.bufferMinutes, undefined);
+    assert.deepEqual(scheduledJobs[1].leg, {
+      fromJobId: 1,
+      travelMinutes: 20,
+      distance: { value: 1000, text: '1 km' },
+      duration: { value: 1200, text: '20 mins' },
+      bufferMinutes: 35,
+      buffer: { defaultMinutes: 10, typeMinutes: 20, suburbMinutes: 5, jitterMinutes: 0 }
+    });
+    // 8:30 + 20 min travel + 35 min buffer = 9:25, rounded up to 9:30
+    assert.equal(scheduledJobs[1].startDate, '2025-10-14T09:30:00.000+11:00');
+  });
+});
+
+describe('scheduleOptimizedJobs from a departure time', () => {
+  before(() => mock.method(console, 'log', () => {}));
+  after(() => mock.restoreAll());
+
+  it('drives to the first job before starting it', () => {
+    const destinations = [1, 2].map(id => ({ jobId: id, title: `Job ${id}` }));
+    const { scheduledJobs } = scheduleOptimizedJobs([job(1, 60), job(2, 60)], uniformMatrix(2, 20), destinations, '2025-10-14', 'Australia/Sydney', undefined, undefined, 13 * 60);
+
+    // 13:00 + 20 min travel + 15 min buffer = 13:35, rounded up to 13:45
+    assert.equal(scheduledJobs[0].startDate, '2025-10-14T13:45:00.000+11:00');
+    assert.equal(scheduledJobs[0].leg.fromJobId, null);
+    assert.equal(scheduledJobs[0].leg.bufferMinutes, 15);
+  });
+});
+
+describe('buffer rules', () => {
+  it('finds the suburb in the location or its formatted address', () => {
+    assert.equal(getJobSuburb({ location: { suburb: 'Manly' } }), 'Manly');
+    assert.equal(getJobSuburb({ location: { formattedAddress: '12 Oak St, Surry Hills NSW 2010' } }), 'Surry Hills');
+    assert.equal(getJobSuburb({ location: { formattedAddress: 'Somewhere' } }), null);
+  });
+
+  it('gives the same jitter for the same seed and job', () => {
+    const rules = resolveBufferRules({ jitter: { maxMinutes: 10, seed: 42 } });
+    const minutes = [1, 2, 3, 4, 5].map(id => getBufferMinutes({ id }, rules).minutes);
+
+    assert.deepEqual(minutes, [1, 2, 3, 4, 5].map(id => getBufferMinutes({ id }, resolveBufferRules({ jitter: { maxMinutes: 10, seed: 42 } })).minutes));
+    assert.ok(minutes.every(value => value >= 15 && value <= 25));
+    assert.notDeepEqual(minutes, [1, 2, 3, 4, 5].map(id => getBufferMinutes({ id }, resolveBufferRules({ jitter: { maxMinutes: 10, seed: 7 } })).minutes));
+  });
+
+  it('adds nothing for suburbs and types named like object properties', () => {
+    const rules = resolveBufferRules({ bySuburb: { Manly: 10 } });
+
+    assert.equal(getBufferMinutes({ id: 1, location: { suburb: 'Constructor' } }, rules).minutes, 15);
+    assert.equal(getBufferMinutes({ id: 1, type: 'toString', location: { suburb: 'toString' } }, rules).minutes, 15);
+    assert.equal(getBufferMinutes({ id: 1, location: { suburb: 'manly' } }, rules).minutes, 25);
+  });
+
+  it('picks and keeps a seed when jitter has none', () => {
+    const rules = resolveBufferRules({ jitter: { maxMinutes: 10 } });
+    assert.equal(typeof rules.jitter.seed, 'number');
+    assert.equal(resolveBufferRules().jitter, null);
+  });
+});
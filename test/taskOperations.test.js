@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseChatTime } = require('../taskOperations.js');
+
+describe('parseChatTime', () => {
+  it('reads clock times, am/pm and times of day', () => {
+    assert.equal(parseChatTime('2pm'), 14 * 60);
+    assert.equal(parseChatTime('10:30 AM'), 10 * 60 + 30);
+    assert.equal(parseChatTime('12am'), 0);
+    assert.equal(parseChatTime('17:45'), 17 * 60 + 45);
+    assert.equal(parseChatTime('midday'), 12 * 60);
+    assert.equal(parseChatTime('3 in the arvo'), 15 * 60);
+  });
+
+  it('returns null for times that do not exist', () => {
+    assert.equal(parseChatTime('25:00'), null);
+    assert.equal(parseChatTime('13pm'), null);
+    assert.equal(parseChatTime('0am'), null);
+    assert.equal(parseChatTime('9:75'), null);
+  });
+
+  it('returns null without a time', () => {
+    assert.equal(parseChatTime('whenever'), null);
+    assert.equal(parseChatTime(undefined), null);
+  });
+});
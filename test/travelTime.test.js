@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { GOOGLE_MATRIX_LIMITS, createHaversineTravelTimeProvider, createBatchedTravelTimeProvider } = require('../travelTime.js');
+const { mapWithConcurrency } = require('../concurrency.js');
+
+// Helper to build points in a row going east from the Sydney CBD
+function points(count, offset = 0) {
+  return Array.from({ length: count }, (_, index) => ({ lat: -33.8688, lng: 151.2093 + (offset + index) / 100 }));
+}
+
+// Helper to wrap the Haversine estimator as a provider with Google's limits, recording each request
+function createLimitedProvider({ failFirst = false } = {}) {
+  const estimator = createHaversineTravelTimeProvider();
+  const requests = [];
+  let running = 0;
+  let maxRunning = 0;
+
+  return {
+    requests,
+    get maxRunning() { return maxRunning; },
+    name: 'limited',
+    limits: GOOGLE_MATRIX_LIMITS,
+    async getDistanceMatrix(origins, destinations) {
+      requests.push({ origins: origins.length, destinations: destinations.length });
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+      if (failFirst && requests.length === 1) throw new Error('OVER_QUERY_LIMIT');
+      return estimator.getDistanceMatrix(origins, destinations);
+    }
+  };
+}
+
+describe('createBatchedTravelTimeProvider', () => {
+  it('splits a large matrix into requests within the provider limits', async () => {
+    const limited = createLimitedProvider();
+    const batched = createBatchedTravelTimeProvider(limited, { concurrency: 2 });
+    const origins = points(30);
+    const destinations = points(30, 0.5);
+
+    const matrix = await batched.getDistanceMatrix(origins, destinations);
+    const expected = await createHaversineTravelTimeProvider().getDistanceMatrix(origins, destinations);
+
+    assert.deepEqual(matrix, expected);
+    for (const request of limited.requests) {
+      assert.ok(request.origins <= 25 && request.destinations <= 25 && request.origins * request.destinations <= 100);
+    }
+    assert.equal(limited.requests.reduce((sum, r) => sum + r.origins * r.destinations, 0), 900);
+    assert.equal(limited.maxRunning, 2);
+    assert.deepEqual(batched.stats, { requests: limited.requests.length, elements: 900, reusedElements: 0 });
+  });
+
+  it('reuses legs it has already fetched', async () => {
+    const limited = createLimitedProvider();
+    const batched = createBatchedTravelTimeProvider(limited);
+
+    await batched.getDistanceMatrix(points(5), points(5));
+    const requestsBefore = limited.requests.length;
+    // Same start, two jobs seen before and one new one
+    const matrix = await batched.getDistanceMatrix(points(1), [...points(2, 1), ...points(1, 9)]);
+
+    assert.equal(limited.requests.length, requestsBefore + 1);
+    assert.deepEqual(limited.requests[limited.requests.length - 1], { origins: 1, destinations: 1 });
+    assert.equal(matrix.rows[0].elements.length, 3);
+    assert.equal(batched.stats.reusedElements, 2);
+  });
+
+  it('fetches legs again after a failed request', async () => {
+    const batched = createBatchedTravelTimeProvider(createLimitedProvider({ failFirst: true }));
+
+    await assert.rejects(batched.getDistanceMatrix(points(2), points(2)), /OVER_QUERY_LIMIT/);
+    const matrix = await batched.getDistanceMatrix(points(2), points(2));
+
+    assert.equal(matrix.rows[1].elements[0].status, 'OK');
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('keeps the order of the results', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 2, async (ms, index) => {
+      await new Promise(resolve => setTimeout(resolve, ms));
+      return index;
+    });
+
+    assert.deepEqual(results, [0, 1, 2]);
+  });
+});
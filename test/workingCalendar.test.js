@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { easterSunday, getPublicHolidays, getPublicHolidayName } = require('../publicHolidays.js');
+const { DEFAULT_CALENDAR, resolveCalendar, getDayOffReason, getWorkingDates, countWorkingDays } = require('../workingCalendar.js');
+
+describe('public holidays', () => {
+  it('finds Easter Sunday', () => {
+    assert.equal(easterSunday(2025).toISOString().slice(0, 10), '2025-04-20');
+    assert.equal(easterSunday(2026).toISOString().slice(0, 10), '2026-04-05');
+  });
+
+  it('lists the NSW holidays for 2025', () => {
+    assert.deepEqual(getPublicHolidays('NSW', 2025).map(holiday => holiday.date), [
+      '2025-01-01', '2025-01-26', '2025-01-27', '2025-04-18', '2025-04-19', '2025-04-20', '2025-04-21',
+      '2025-04-25', '2025-06-09', '2025-10-06', '2025-12-25', '2025-12-26'
+    ]);
+  });
+
+  it('follows each state\'s rules', () => {
+    assert.equal(getPublicHolidayName('VIC', '2025-11-04'), 'Melbourne Cup');
+    assert.equal(getPublicHolidayName('QLD', '2025-10-06'), "King's Birthday");
+    assert.equal(getPublicHolidayName('WA', '2025-09-29'), "King's Birthday");
+    assert.equal(getPublicHolidayName('WA', '2026-04-27'), 'Anzac Day (additional day)');
+    assert.equal(getPublicHolidayName('NSW', '2026-04-27'), null);
+  });
+
+  it('moves Christmas and Boxing Day off the weekend', () => {
+    // Christmas 2027 is a Saturday
+    assert.equal(getPublicHolidayName('NSW', '2027-12-27'), 'Christmas Day (additional day)');
+    assert.equal(getPublicHolidayName('NSW', '2027-12-28'), 'Boxing Day (additional day)');
+  });
+
+  it('rejects an unknown state', () => {
+    assert.throws(() => getPublicHolidays('XYZ', 2025), /Unknown state/);
+  });
+});
+
+describe('working calendar', () => {
+  it('defaults to 7:30 to 4:00 weekdays with a 30 minute lunch in NSW', () => {
+    assert.equal(DEFAULT_CALENDAR.startMinutes, 450);
+    assert.equal(DEFAULT_CALENDAR.endMinutes, 960);
+    assert.deepEqual(DEFAULT_CALENDAR.lunchBreak, { afterMinutes: 720, minutes: 30 });
+    assert.equal(DEFAULT_CALENDAR.workingMinutes, 480);
+  });
+
+  it('explains why a day is off', () => {
+    const calendar = resolveCalendar({ holidays: ['2025-10-08'] });
+
+    assert.equal(getDayOffReason('2025-10-04', calendar), 'Sat is not a working day');
+    assert.equal(getDayOffReason('2025-10-06', calendar), 'Labour Day (NSW public holiday)');
+    assert.equal(getDayOffReason('2025-10-08', calendar), 'Day off');
+    assert.equal(getDayOffReason('2025-10-07', calendar), null);
+  });
+
+  it('lists and counts working days', () => {
+    const sixDays = resolveCalendar({ workingDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'], state: null });
+
+    assert.deepEqual(getWorkingDates('2025-10-03', 3), ['2025-10-03', '2025-10-07', '2025-10-08']);
+    assert.deepEqual(getWorkingDates('2025-10-03', 3, sixDays), ['2025-10-03', '2025-10-04', '2025-10-06']);
+    assert.equal(countWorkingDays('2025-10-03', '2025-10-07'), 2);
+  });
+
+  it('fails when no day is a working day', () => {
+    const calendar = resolveCalendar({ workingDays: ['Sun'], holidays: [] });
+    assert.deepEqual(getWorkingDates('2025-10-03', 1, calendar), ['2025-10-05']);
+    assert.throws(() => getWorkingDates('2025-10-03', 1, { ...calendar, workingDays: [] }), /no working days/);
+  });
+});
@@ -0,0 +1,105 @@
+// Helpers for job time windows and fixed appointments.
+// Jobs may carry optional `earliestStart`, `latestStart` and `pinned` fields.
+// Times are wall-clock times on the day the job is scheduled, given as
+// "HH:MM" (24 hour), "h:mm am/pm" or an ISO timestamp (converted to local time
+// in the request's timezone).
+// `pinned: true` fixes the job at its existing startDate time (or earliestStart),
+// `pinned: "15:00"` fixes it at the given time.
+const { DEFAULT_TIMEZONE, getLocalMinutes } = require('./timezone.js');
+
+// Helper function to parse a wall-clock time into minutes after midnight
+function parseTimeOfDay(value, timezone = DEFAULT_TIMEZONE) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') return NaN;
+
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) {
+    return getLocalMinutes(value, timezone) ?? NaN;
+  }
+
+  const timeMatch = value.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!timeMatch) return NaN;
+
+  let hour = parseInt(timeMatch[1]);
+  const minute = parseInt(timeMatch[2]) || 0;
+  const period = timeMatch[3]?.toLowerCase();
+
+  if (!period && !timeMatch[2]) return NaN; // a bare number is ambiguous
+  if (period === 'pm' && hour !== 12) hour += 12;
+  if (period === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return NaN;
+
+  return hour * 60 + minute;
+}
+
+// Helper function to format minutes after midnight as HH:MM
+function formatTimeOfDay(totalMinutes) {
+  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+  const minutes = String(totalMinutes % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+// Get a job's allowed start window in minutes after midnight.
+// Returns { earliest, latest, pinned } where earliest/latest are null when unconstrained.
+function getJobTimeWindow(job, timezone = DEFAULT_TIMEZONE) {
+  let earliest = parseTimeOfDay(job.earliestStart, timezone);
+  let latest = parseTimeOfDay(job.latestStart, timezone);
+  let pinned = false;
+
+  if (job.pinned) {
+    const pinnedTime = typeof job.pinned === 'string'
+      ? parseTimeOfDay(job.pinned, timezone)
+      : (earliest ?? parseTimeOfDay(job.startDate, timezone));
+    earliest = pinnedTime;
+    latest = pinnedTime;
+    pinned = true;
+  }
+
+  return { earliest, latest, pinned };
+}
+
+// Helper function to validate time window fields on a list of jobs.
+// Returns a list of { path, message, code } errors (path like jobs[2].latestStart),
+// empty when every job is valid.
+function validateJobTimeWindows(jobs, timezone = DEFAULT_TIMEZONE, basePath = 'jobs') {
+  const errors = [];
+
+  jobs.forEach((job, index) => {
+    const path = `${basePath}[${index}]`;
+
+    for (const field of ['earliestStart', 'latestStart']) {
+      if (Number.isNaN(parseTimeOfDay(job[field], timezone))) {
+        errors.push({ path: `${path}.${field}`, message: 'must be HH:MM, h:mm am/pm or an ISO date', code: 'format' });
+      }
+    }
+
+    if (job.pinned !== undefined && typeof job.pinned !== 'boolean' && typeof job.pinned !== 'string') {
+      errors.push({ path: `${path}.pinned`, message: 'must be true or a time', code: 'type' });
+      return;
+    }
+
+    const window = getJobTimeWindow(job, timezone);
+    if (job.pinned && (window.earliest === null || Number.isNaN(window.earliest))) {
+      errors.push({ path: `${path}.pinned`, message: 'has no valid time to pin the job to', code: 'timeWindow' });
+    } else if (window.earliest !== null && window.latest !== null && window.latest < window.earliest) {
+      errors.push({ path: `${path}.latestStart`, message: 'must not be before earliestStart', code: 'timeWindow' });
+    }
+  });
+
+  return errors;
+}
+
+// Helper function to check whether any job carries a time window
+function hasTimeWindows(jobs, timezone = DEFAULT_TIMEZONE) {
+  return jobs.some(job => {
+    const window = getJobTimeWindow(job, timezone);
+    return window.earliest !== null || window.latest !== null;
+  });
+}
+
+module.exports = {
+  parseTimeOfDay,
+  formatTimeOfDay,
+  getJobTimeWindow,
+  validateJobTimeWindows,
+  hasTimeWindows
+};
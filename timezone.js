@@ -0,0 +1,126 @@
+// Timezone helpers. Tasks are stored as real instants and returned as ISO strings
+// with the offset of the requested IANA timezone, e.g. "2025-10-14T07:30:00.000+11:00".
+// Timestamps without an offset ("2025-10-14T07:30:00") are read as wall-clock time
+// in the request's timezone.
+
+const DEFAULT_TIMEZONE = 'Australia/Sydney';
+
+const formatters = new Map();
+
+// Helper function to get a cached formatter for a timezone
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Helper function to check an IANA timezone name
+function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Get the wall-clock parts of an instant in a timezone
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  }
+  return parts;
+}
+
+// Offset of a timezone from UTC at an instant, in minutes (e.g. 660 for +11:00)
+function getOffsetMinutes(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Convert a local date (YYYY-MM-DD) and minutes after midnight in a timezone to an instant.
+// Minutes may run past midnight into the next day.
+function zonedTimeToInstant(dateString, totalMinutes, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const wallClockAsUTC = Date.UTC(year, month - 1, day, 0, totalMinutes);
+
+  // The offset depends on the instant, so correct once for daylight saving changes
+  const firstGuess = wallClockAsUTC - getOffsetMinutes(new Date(wallClockAsUTC), timeZone) * 60000;
+  const offset = getOffsetMinutes(new Date(firstGuess), timeZone);
+  return new Date(wallClockAsUTC - offset * 60000);
+}
+
+// Format an instant as an ISO string with the timezone's offset
+function formatInstant(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getOffsetMinutes(date, timeZone);
+  const pad = (num) => String(num).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  const absoluteOffset = Math.abs(offset);
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}.000` +
+    `${sign}${pad(Math.floor(absoluteOffset / 60))}:${pad(absoluteOffset % 60)}`;
+}
+
+// Parse a timestamp into an instant. Strings with Z or an offset are exact;
+// strings without one are wall-clock time in the timezone. Returns null if unparseable.
+function parseTimestamp(value, timeZone = DEFAULT_TIMEZONE) {
+  if (value instanceof Date) return value;
+  if (typeof value !== 'string') return null;
+
+  if (/([zZ]|[+-]\d{2}:?\d{2})$/.test(value)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = value.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!match) return null;
+  const minutes = match[2] ? parseInt(match[2]) * 60 + parseInt(match[3]) : 0;
+  const date = zonedTimeToInstant(match[1], minutes, timeZone);
+  if (match[4]) date.setTime(date.getTime() + parseInt(match[4]) * 1000);
+  return date;
+}
+
+// Local calendar date (YYYY-MM-DD) of a timestamp in a timezone
+function getLocalDate(value, timeZone = DEFAULT_TIMEZONE) {
+  const date = parseTimestamp(value, timeZone);
+  return date ? formatInstant(date, timeZone).slice(0, 10) : null;
+}
+
+// Local minutes after midnight of a timestamp in a timezone
+function getLocalMinutes(value, timeZone = DEFAULT_TIMEZONE) {
+  const date = parseTimestamp(value, timeZone);
+  if (!date) return null;
+  const parts = getZonedParts(date, timeZone);
+  return parts.hour * 60 + parts.minute;
+}
+
+// Today's date (YYYY-MM-DD) in a timezone
+function getTodayInTimezone(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  return formatInstant(now, timeZone).slice(0, 10);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getOffsetMinutes,
+  zonedTimeToInstant,
+  formatInstant,
+  parseTimestamp,
+  getLocalDate,
+  getLocalMinutes,
+  getTodayInTimezone
+};
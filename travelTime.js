@@ -0,0 +1,267 @@
+// Travel-time providers used to build distance matrices for routing.
+// Every provider exposes getDistanceMatrix(origins, destinations), taking arrays of
+// { lat, lng } and resolving to a Google Distance Matrix shaped object:
+// { rows: [{ elements: [{ status, distance: { value, text }, duration: { value, text } }] }] }
+// Providers with per-request limits say so in `limits` ({ maxOrigins, maxDestinations,
+// maxElements }); createBatchedTravelTimeProvider splits requests to fit them.
+const fs = require('fs');
+const { createLimiter } = require('./concurrency.js');
+
+// Defaults for the Haversine estimator: suburban average road speed and how much
+// longer the road distance is than the straight line
+const DEFAULT_AVERAGE_SPEED_KMH = 40;
+const DEFAULT_DETOUR_FACTOR = 1.3;
+
+// Google Distance Matrix limits on a single request
+const GOOGLE_MATRIX_LIMITS = { maxOrigins: 25, maxDestinations: 25, maxElements: 100 };
+
+// Matrix requests a batched provider sends at once
+const DEFAULT_MATRIX_CONCURRENCY = 4;
+
+// Helper function to calculate distance between two points using Haversine formula
+function calculateDistance(lat1, lng1, lat2, lng2) {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLng/2) * Math.sin(dLng/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+// Helper function to estimate driving minutes between two { lat, lng } points
+// from the straight-line distance (used to plan before the real matrix is fetched)
+function estimateTravelMinutes(from, to, {
+  averageSpeedKmh = DEFAULT_AVERAGE_SPEED_KMH,
+  detourFactor = DEFAULT_DETOUR_FACTOR
+} = {}) {
+  const roadKm = calculateDistance(from.lat, from.lng, to.lat, to.lng) * detourFactor;
+  return roadKm / averageSpeedKmh * 60;
+}
+
+// Helper function to format a duration in seconds as human readable text
+function formatDurationText(totalSeconds) {
+  const totalMinutes = Math.round(totalSeconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `${minutes} mins`;
+  return `${hours} hour${hours === 1 ? '' : 's'} ${minutes} mins`;
+}
+
+// Helper function to format a distance in metres as human readable text
+function formatDistanceText(meters) {
+  if (meters < 1000) return `${Math.round(meters)} m`;
+  return `${(meters / 1000).toFixed(1)} km`;
+}
+
+// Helper function to build a matrix element from metres and seconds
+function buildElement(meters, seconds) {
+  return {
+    status: 'OK',
+    distance: { value: Math.round(meters), text: formatDistanceText(meters) },
+    duration: { value: Math.round(seconds), text: formatDurationText(seconds) }
+  };
+}
+
+// Provider backed by the Google Distance Matrix API
+function createGoogleTravelTimeProvider({ client, apiKey }) {
+  return {
+    name: 'google',
+    limits: GOOGLE_MATRIX_LIMITS,
+    async getDistanceMatrix(origins, destinations) {
+      const response = await client.distancematrix({
+        params: {
+          origins,
+          destinations,
+          mode: 'driving',
+          units: 'metric',
+          departure_time: 'now',
+          traffic_model: 'best_guess',
+          key: apiKey,
+        }
+      });
+      return response.data;
+    }
+  };
+}
+
+// Offline provider estimating road travel from the straight-line distance
+function createHaversineTravelTimeProvider({
+  averageSpeedKmh = DEFAULT_AVERAGE_SPEED_KMH,
+  detourFactor = DEFAULT_DETOUR_FACTOR
+} = {}) {
+  return {
+    name: 'haversine',
+    async getDistanceMatrix(origins, destinations) {
+      return {
+        rows: origins.map(origin => ({
+          elements: destinations.map(destination => {
+            const roadKm = calculateDistance(origin.lat, origin.lng, destination.lat, destination.lng) * detourFactor;
+            return buildElement(roadKm * 1000, roadKm / averageSpeedKmh * 3600);
+          })
+        }))
+      };
+    }
+  };
+}
+
+// Helper function to build the lookup key for a fixture leg
+function fixtureKey(from, to) {
+  const point = p => `${Number(p.lat).toFixed(5)},${Number(p.lng).toFixed(5)}`;
+  return `${point(from)}->${point(to)}`;
+}
+
+// Provider that replays recorded legs, for tests.
+// fixture: { legs: [{ from: { lat, lng }, to: { lat, lng }, distance: metres, duration: seconds }] }
+// Legs missing from the fixture come back as ZERO_RESULTS unless a fallback provider is given.
+function createFixtureTravelTimeProvider(fixture, { fallback = null } = {}) {
+  const legs = new Map();
+  for (const leg of fixture.legs || []) {
+    legs.set(fixtureKey(leg.from, leg.to), leg);
+  }
+
+  return {
+    name: 'fixture',
+    async getDistanceMatrix(origins, destinations) {
+      const fallbackMatrix = fallback
+        ? await fallback.getDistanceMatrix(origins, destinations)
+        : null;
+
+      return {
+        rows: origins.map((origin, originIndex) => ({
+          elements: destinations.map((destination, destinationIndex) => {
+            const leg = legs.get(fixtureKey(origin, destination));
+            if (leg) return buildElement(leg.distance, leg.duration);
+            if (fallbackMatrix) return fallbackMatrix.rows[originIndex].elements[destinationIndex];
+            return { status: 'ZERO_RESULTS' };
+          })
+        }))
+      };
+    }
+  };
+}
+
+// Helper function to drop repeated points (same key as fixture legs)
+function uniquePoints(points) {
+  const seen = new Map();
+  for (const point of points) {
+    const key = fixtureKey(point, point);
+    if (!seen.has(key)) seen.set(key, point);
+  }
+  return [...seen.values()];
+}
+
+// Wrap a provider so matrices of any size can be asked for: each leg is fetched once and
+// reused by later requests (e.g. other days of a plan), the legs still missing are fetched
+// in blocks within the provider's limits, and at most `concurrency` blocks are in flight.
+// stats counts { requests, elements, reusedElements } sent to and saved from the provider.
+function createBatchedTravelTimeProvider(provider, { concurrency = DEFAULT_MATRIX_CONCURRENCY } = {}) {
+  const limits = { maxOrigins: Infinity, maxDestinations: Infinity, maxElements: Infinity, ...provider.limits };
+  const limit = createLimiter(concurrency);
+  const legs = new Map();
+  const stats = { requests: 0, elements: 0, reusedElements: 0 };
+
+  // Fetch one block and cache a promise of each of its legs; a failed block is forgotten
+  // so it can be asked for again
+  const fetchBlock = (origins, destinations) => {
+    stats.requests++;
+    stats.elements += origins.length * destinations.length;
+    const block = limit(() => provider.getDistanceMatrix(origins, destinations));
+
+    origins.forEach((origin, originIndex) => {
+      destinations.forEach((destination, destinationIndex) => {
+        const key = fixtureKey(origin, destination);
+        if (legs.has(key)) return;
+        const leg = block.then(matrix => matrix.rows[originIndex].elements[destinationIndex]);
+        // Failures reach whoever awaits the leg; this only stops an unhandled rejection
+        leg.catch(() => legs.delete(key));
+        legs.set(key, leg);
+      });
+    });
+  };
+
+  return {
+    name: provider.name,
+    limits: provider.limits,
+    stats,
+    async getDistanceMatrix(origins, destinations) {
+      const missing = (origin, destination) => !legs.has(fixtureKey(origin, destination));
+      const missingOrigins = uniquePoints(origins.filter(origin => destinations.some(d => missing(origin, d))));
+      const missingDestinations = uniquePoints(destinations.filter(d => missingOrigins.some(origin => missing(origin, d))));
+      stats.reusedElements += origins.length * destinations.length -
+        missingOrigins.length * missingDestinations.length;
+
+      if (missingOrigins.length > 0) {
+        const destinationsPerBlock = Math.min(limits.maxDestinations, limits.maxElements, missingDestinations.length);
+        const originsPerBlock = Math.min(limits.maxOrigins, Math.floor(limits.maxElements / destinationsPerBlock), missingOrigins.length);
+        for (let o = 0; o < missingOrigins.length; o += originsPerBlock) {
+          for (let d = 0; d < missingDestinations.length; d += destinationsPerBlock) {
+            fetchBlock(missingOrigins.slice(o, o + originsPerBlock), missingDestinations.slice(d, d + destinationsPerBlock));
+          }
+        }
+      }
+
+      const rows = await Promise.all(origins.map(origin =>
+        Promise.all(destinations.map(destination => legs.get(fixtureKey(origin, destination))))
+      ));
+      return { rows: rows.map(elements => ({ elements })) };
+    }
+  };
+}
+
+// Pick the travel-time provider for a request.
+// `name` comes from the request body, falling back to TRAVEL_TIME_PROVIDER, then to
+// Google when an API key is configured and the offline estimator otherwise.
+function getTravelTimeProvider(name, { googleMapsClient, options = {} } = {}) {
+  const providerName = name || process.env.TRAVEL_TIME_PROVIDER ||
+    (process.env.GOOGLE_MAPS_API_KEY ? 'google' : 'haversine');
+
+  switch (providerName) {
+    case 'google':
+      if (!process.env.GOOGLE_MAPS_API_KEY) {
+        throw new Error('Google Maps API key is not configured');
+      }
+      return createGoogleTravelTimeProvider({
+        client: googleMapsClient,
+        apiKey: process.env.GOOGLE_MAPS_API_KEY
+      });
+
+    case 'haversine':
+      return createHaversineTravelTimeProvider({
+        averageSpeedKmh: options.averageSpeedKmh ?? (Number(process.env.TRAVEL_TIME_AVERAGE_SPEED_KMH) || undefined),
+        detourFactor: options.detourFactor ?? (Number(process.env.TRAVEL_TIME_DETOUR_FACTOR) || undefined)
+      });
+
+    case 'fixture': {
+      const fixturePath = process.env.TRAVEL_TIME_FIXTURE;
+      if (!fixturePath) {
+        throw new Error('TRAVEL_TIME_FIXTURE must point to a fixture file to use the fixture provider');
+      }
+      const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+      return createFixtureTravelTimeProvider(fixture, {
+        fallback: fixture.fallback === 'haversine' ? createHaversineTravelTimeProvider() : null
+      });
+    }
+
+    default:
+      throw new Error(`Unknown travel time provider: ${providerName}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_AVERAGE_SPEED_KMH,
+  DEFAULT_DETOUR_FACTOR,
+  GOOGLE_MATRIX_LIMITS,
+  DEFAULT_MATRIX_CONCURRENCY,
+  calculateDistance,
+  estimateTravelMinutes,
+  formatDurationText,
+  formatDistanceText,
+  createGoogleTravelTimeProvider,
+  createHaversineTravelTimeProvider,
+  createFixtureTravelTimeProvider,
+  createBatchedTravelTimeProvider,
+  getTravelTimeProvider,
+  TRAVEL_TIME_PROVIDERS: ['google', 'haversine', 'fixture']
+};
@@ -0,0 +1,116 @@
+// A tradie's working calendar: which days they work, their start and finish times,
+// a lunch break, and the public holidays of their state plus any other days off.
+// Requests send the settings as `calendar`:
+//   { workingDays: ['Mon', ...], dayStart: '07:30', dayEnd: '16:00',
+//     lunchBreak: { after: '12:00', minutes: 30 } (or null), state: 'NSW' (or null), holidays: ['YYYY-MM-DD'] }
+// Anything left out falls back to DEFAULT_CALENDAR_SETTINGS. The lunch break is taken at
+// the first break between jobs once it is past `after`.
+const { parseTimeOfDay } = require('./timeWindows.js');
+const { getPublicHolidayName } = require('./publicHolidays.js');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DEFAULT_CALENDAR_SETTINGS = {
+  workingDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+  dayStart: '07:30',
+  dayEnd: '16:00',
+  lunchBreak: { after: '12:00', minutes: 30 },
+  state: 'NSW',
+  holidays: []
+};
+
+// Turn calendar settings into the form the schedulers use:
+// { workingDays, startMinutes, endMinutes, lunchBreak: { afterMinutes, minutes } | null,
+//   state, holidays, workingMinutes } where times are minutes after midnight and
+// workingMinutes is the working time in a day once lunch is taken out.
+function resolveCalendar(settings = {}) {
+  const merged = { ...DEFAULT_CALENDAR_SETTINGS, ...settings };
+  const startMinutes = parseTimeOfDay(merged.dayStart);
+  const endMinutes = parseTimeOfDay(merged.dayEnd);
+  const lunchBreak = merged.lunchBreak && merged.lunchBreak.minutes > 0
+    ? {
+      afterMinutes: parseTimeOfDay(merged.lunchBreak.after ?? DEFAULT_CALENDAR_SETTINGS.lunchBreak.after),
+      minutes: merged.lunchBreak.minutes
+    }
+    : null;
+
+  return {
+    workingDays: merged.workingDays,
+    startMinutes,
+    endMinutes,
+    lunchBreak,
+    state: merged.state,
+    holidays: merged.holidays,
+    workingMinutes: endMinutes - startMinutes - (lunchBreak?.minutes || 0)
+  };
+}
+
+const DEFAULT_CALENDAR = resolveCalendar();
+
+// Helper function to get the weekday name (Mon, Tue, ...) of a YYYY-MM-DD date
+function getWeekday(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+// Helper function to add days to a YYYY-MM-DD date
+function addCalendarDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Get why a date is not a working day ("Saturday is not a working day", "Labour Day", ...),
+// or null when it is one
+function getDayOffReason(dateString, calendar = DEFAULT_CALENDAR) {
+  const weekday = getWeekday(dateString);
+  if (!calendar.workingDays.includes(weekday)) {
+    return `${weekday} is not a working day`;
+  }
+  const holiday = calendar.state ? getPublicHolidayName(calendar.state, dateString) : null;
+  if (holiday) {
+    return `${holiday} (${calendar.state} public holiday)`;
+  }
+  if (calendar.holidays.includes(dateString)) {
+    return 'Day off';
+  }
+  return null;
+}
+
+function isWorkingDay(dateString, calendar = DEFAULT_CALENDAR) {
+  return getDayOffReason(dateString, calendar) === null;
+}
+
+// Get the first `count` working days on or after a date
+function getWorkingDates(fromDate, count, calendar = DEFAULT_CALENDAR) {
+  const dates = [];
+  let date = fromDate;
+  // A year without a working day means the calendar has none at all
+  for (let checked = 0; dates.length < count && checked < 366 + count * 7; checked++) {
+    if (isWorkingDay(date, calendar)) dates.push(date);
+    date = addCalendarDays(date, 1);
+  }
+  if (dates.length < count) {
+    throw new Error('The working calendar has no working days');
+  }
+  return dates;
+}
+
+// Count the working days from one date to another (both included)
+function countWorkingDays(fromDate, toDate, calendar = DEFAULT_CALENDAR) {
+  let count = 0;
+  for (let date = fromDate; date <= toDate; date = addCalendarDays(date, 1)) {
+    if (isWorkingDay(date, calendar)) count++;
+  }
+  return count;
+}
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_CALENDAR_SETTINGS,
+  DEFAULT_CALENDAR,
+  resolveCalendar,
+  getDayOffReason,
+  isWorkingDay,
+  getWorkingDates,
+  countWorkingDays
+};